@@ -0,0 +1,211 @@
+import { createServer } from 'node:http';
+import { UpstreamError, generate, isKnownUpstream } from './upstream.js';
+
+// --- ANALYSIS PROXY SERVER ---
+// Owns the LLM API keys so they never reach the browser bundle. Vite proxies
+// /api to this server during development (see vite.config.js).
+
+try {
+  process.loadEnvFile();
+} catch {
+  // No .env file; rely on the real environment.
+}
+
+const PORT = Number(process.env.API_PORT || 8787);
+// Anyone who can reach the server can spend the keys, so it only listens on
+// loopback unless told otherwise.
+const HOST = process.env.HOST || '127.0.0.1';
+// The browser accepts up to 20 MB of uploads (MAX_TOTAL_BYTES in
+// src/fileCollection.js). Images travel base64-encoded, a third larger, and the
+// prompt and schema come on top, so the limit leaves room above 4/3 of that.
+const MAX_BODY_BYTES = Number(process.env.MAX_BODY_BYTES || 40 * 1024 * 1024);
+const RATE_LIMIT_MAX = Number(process.env.RATE_LIMIT_MAX || 10);
+const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS || 60_000);
+// Addresses of the gateways allowed to name the user in X-User-Id, comma-separated.
+const TRUSTED_PROXIES = (process.env.TRUSTED_PROXY || '').split(',').map(a => a.trim()).filter(Boolean);
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// --- Rate limiting ---
+// Fixed window per user. Without authentication a "user" is the client address.
+// Any caller can send X-User-Id, so it only counts on requests that come from
+// one of the TRUSTED_PROXY addresses; otherwise a new value on every request
+// would never hit the limit.
+
+const rateWindows = new Map();
+
+// IPv4 clients of a dual-stack socket show up as ::ffff:a.b.c.d.
+const normalizeAddress = (address) => (address || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+
+const clientId = (req) => {
+  const address = normalizeAddress(req.socket.remoteAddress);
+  const userId = req.headers['x-user-id'];
+  if (userId && TRUSTED_PROXIES.some(proxy => normalizeAddress(proxy) === address)) return `user:${userId}`;
+  return address || 'unknown';
+};
+
+const checkRateLimit = (id, now = Date.now()) => {
+  let window = rateWindows.get(id);
+  if (!window || now - window.start >= RATE_LIMIT_WINDOW_MS) {
+    window = { start: now, count: 0 };
+    rateWindows.set(id, window);
+  }
+  window.count++;
+  if (window.count > RATE_LIMIT_MAX) {
+    const retryAfter = Math.ceil((window.start + RATE_LIMIT_WINDOW_MS - now) / 1000);
+    return { allowed: false, retryAfter };
+  }
+  return { allowed: true };
+};
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, window] of rateWindows) {
+    if (now - window.start >= RATE_LIMIT_WINDOW_MS) rateWindows.delete(id);
+  }
+}, RATE_LIMIT_WINDOW_MS).unref();
+
+// --- Helpers ---
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  const onData = (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      // Resetting the socket now would lose the 413 on the way out, so the rest
+      // of the body is read and discarded and the connection closes once the
+      // response is sent.
+      req.off('data', onData);
+      req.resume();
+      reject(Object.assign(new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`), { closeConnection: true }));
+      return;
+    }
+    chunks.push(chunk);
+  };
+  req.on('data', onData);
+  req.on('end', () => {
+    if (size > MAX_BODY_BYTES) return;
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch {
+      reject(new HttpError(400, 'Request body must be valid JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+const isInlineImage = (image) => (
+  typeof image?.mimeType === 'string' && image.mimeType.startsWith('image/')
+  && typeof image.data === 'string' && /^[A-Za-z0-9+/]+=*$/.test(image.data)
+);
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+// Once the request is accepted the response is a stream of JSON lines:
+// { type: 'retry', attempt, maxAttempts, delay, reason } before each backoff,
+// { type: 'text', text } for every piece of the model's answer, then
+// { type: 'done' } or { type: 'error', error }.
+const startEventStream = (res) => {
+  res.writeHead(200, { 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no' });
+  return (event) => res.write(`${JSON.stringify(event)}\n`);
+};
+
+const log = (entry) => {
+  console.log(JSON.stringify({ time: new Date().toISOString(), ...entry }));
+};
+
+// --- Routes ---
+
+const handleAnalyze = async (req, res, logEntry) => {
+  const limit = checkRateLimit(logEntry.client);
+  if (!limit.allowed) {
+    throw Object.assign(new HttpError(429, 'Rate limit exceeded, please try again later'), { retryAfter: limit.retryAfter });
+  }
+
+  const { provider, model, prompt, schema, images = [] } = await readJsonBody(req);
+  if (!isKnownUpstream(provider)) throw new HttpError(400, `Unsupported provider "${provider}"`);
+  if (typeof prompt !== 'string' || !prompt) throw new HttpError(400, 'A prompt is required');
+  if (!schema || typeof schema !== 'object') throw new HttpError(400, 'A response schema is required');
+  if (!Array.isArray(images) || !images.every(isInlineImage)) {
+    throw new HttpError(400, 'images must be a list of { mimeType, data } with an image MIME type and base64 data');
+  }
+
+  Object.assign(logEntry, { provider, model, promptChars: prompt.length, images: images.length, retries: 0 });
+
+  // Stop the upstream call (and its backoff loop) when the browser cancels.
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const send = startEventStream(res);
+  try {
+    await generate({
+      provider,
+      model,
+      prompt,
+      schema,
+      images,
+      signal: controller.signal,
+      onRetry: ({ attempt, maxAttempts, delay, reason }) => {
+        logEntry.retries = attempt - 1;
+        log({ level: 'warn', client: logEntry.client, message: `Retrying upstream (${reason}), attempt ${attempt} in ${delay}ms` });
+        send({ type: 'retry', attempt, maxAttempts, delay, reason });
+      },
+      onText: (text) => send({ type: 'text', text }),
+    });
+    send({ type: 'done' });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    // The status line is already sent; the failure travels as the last event.
+    const known = error instanceof UpstreamError;
+    if (!known) console.error(error);
+    logEntry.error = error.message;
+    send({ type: 'error', error: known ? error.message : 'Internal server error' });
+  }
+  res.end();
+};
+
+const server = createServer(async (req, res) => {
+  const startedAt = Date.now();
+  const logEntry = { method: req.method, path: req.url, client: clientId(req) };
+
+  try {
+    if (req.method === 'POST' && req.url === '/api/analyze') {
+      await handleAnalyze(req, res, logEntry);
+    } else if (req.method === 'GET' && req.url === '/api/health') {
+      sendJson(res, 200, { ok: true });
+    } else {
+      throw new HttpError(404, 'Not found');
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      logEntry.aborted = true;
+    } else {
+      const known = error instanceof HttpError || error instanceof UpstreamError;
+      const status = known ? error.status : 500;
+      if (status >= 500) console.error(error);
+      const headers = error.retryAfter ? { 'Retry-After': String(error.retryAfter) } : {};
+      if (error.closeConnection) {
+        headers.Connection = 'close';
+        res.once('finish', () => req.destroy());
+      }
+      if (!res.headersSent) sendJson(res, status, { error: known ? error.message : 'Internal server error' }, headers);
+    }
+  } finally {
+    log({ ...logEntry, status: res.statusCode, durationMs: Date.now() - startedAt });
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Analysis proxy listening on http://${HOST.includes(':') ? `[${HOST}]` : HOST}:${PORT}`);
+});
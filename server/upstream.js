@@ -0,0 +1,138 @@
+import { postWithRetry, toJsonSchema } from '../src/llmTransport.js';
+
+// --- UPSTREAM LLM CALLS ---
+// The API keys live only here, on the server. The browser sends the prompt,
+// schema and any diagram images; the endpoint and key for each provider come
+// from the environment. Responses are streamed: `onText` receives each piece of
+// the model's JSON as it is generated, and the full text is returned at the end.
+
+export class UpstreamError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+  }
+}
+
+// The shared loop reports failures as plain errors; they become 502s here so
+// that their message reaches the browser.
+const postUpstream = async (url, body, options) => {
+  try {
+    return await postWithRetry(url, body, options);
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw new UpstreamError(error.status ? `Upstream request failed with status ${error.status}` : `Upstream request failed: ${error.message}`, 502);
+  }
+};
+
+const requireKey = (name) => {
+  const key = process.env[name];
+  if (!key) throw new UpstreamError(`${name} is not configured on the server`, 500);
+  return key;
+};
+
+const invalidResponse = (result) => {
+  console.error('Invalid response structure from upstream:', JSON.stringify(result).slice(0, 2000));
+  return new UpstreamError('Received an invalid or empty response from the AI model.', 502);
+};
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+// Yields the parsed JSON `data:` payload of each server-sent event. Both
+// upstreams send one JSON object per event; OpenAI ends with `data: [DONE]`.
+async function* readEvents(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const parse = function* (block) {
+    const data = block.split(/\r?\n/).filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('\n');
+    if (!data || data === '[DONE]') return;
+    try {
+      yield JSON.parse(data);
+    } catch {
+      throw invalidResponse(data);
+    }
+  };
+  try {
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      for (const block of blocks) yield* parse(block);
+    }
+  } catch (error) {
+    if (error.name === 'AbortError' || error instanceof UpstreamError) throw error;
+    throw new UpstreamError(`The upstream stream was interrupted: ${error.message}`, 502);
+  }
+  yield* parse(buffer + decoder.decode());
+}
+
+// Collects the text pieces of a stream, passing each to `onText`.
+const collectText = async (response, pieceOf, onText) => {
+  let text = '';
+  for await (const event of readEvents(response)) {
+    if (event.error) throw invalidResponse(event);
+    const piece = pieceOf(event);
+    if (!piece) continue;
+    text += piece;
+    onText?.(piece);
+  }
+  if (!text) throw invalidResponse({ message: 'The stream ended without any text' });
+  return text;
+};
+
+const UPSTREAMS = {
+  gemini: {
+    defaultModel: 'gemini-2.5-flash',
+    generate: async ({ prompt, schema, images, model, signal, onRetry, onText }) => {
+      const apiKey = requireKey('GEMINI_API_KEY');
+      const baseUrl = trimSlash(process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta');
+      const response = await postUpstream(`${baseUrl}/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`, {
+        contents: [{
+          parts: [
+            { text: prompt },
+            ...images.map(image => ({ inlineData: { mimeType: image.mimeType, data: image.data } })),
+          ],
+        }],
+        generationConfig: {
+          responseMimeType: 'application/json',
+          responseSchema: schema,
+        },
+      }, { headers: { 'x-goog-api-key': apiKey }, signal, onRetry });
+
+      return collectText(response, (event) => (event.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join(''), onText);
+    },
+  },
+  openai: {
+    defaultModel: 'gpt-4o-mini',
+    generate: async ({ prompt, schema, images, model, signal, onRetry, onText }) => {
+      const baseUrl = trimSlash(process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1');
+      // Local OpenAI-compatible servers (llama.cpp, vLLM) often run without a key.
+      const headers = process.env.OPENAI_API_KEY ? { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } : {};
+      const response = await postUpstream(`${baseUrl}/chat/completions`, {
+        model,
+        messages: [{
+          role: 'user',
+          // Plain text unless there are images, for servers without vision support.
+          content: images.length === 0 ? prompt : [
+            { type: 'text', text: prompt },
+            ...images.map(image => ({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } })),
+          ],
+        }],
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: 'threat_model', schema: toJsonSchema(schema) },
+        },
+        stream: true,
+      }, { headers, signal, onRetry });
+
+      return collectText(response, (event) => event.choices?.[0]?.delta?.content, onText);
+    },
+  },
+};
+
+export const isKnownUpstream = (provider) => Object.hasOwn(UPSTREAMS, provider);
+
+export const generate = ({ provider, model, images = [], ...rest }) => {
+  const upstream = UPSTREAMS[provider];
+  return upstream.generate({ model: model || upstream.defaultModel, images, ...rest });
+};
@@ -0,0 +1,153 @@
+import React, { useMemo } from 'react';
+import { ArrowRight, Minus, Plus } from 'lucide-react';
+import { describeFlow, diffAnalyses } from './analysisDiff';
+import { formatDate } from './projectStore';
+
+// --- ANALYSIS COMPARISON ---
+// Shows what changed between two saved analyses of one project: threats that
+// are new, no longer reported or re-rated, plus added and removed assets and
+// data flows. `older` and `newer` are records from projectStore.loadAnalysis.
+
+const describeFlowProperties = (flow) => `${flow.dataClassification || 'Unclassified'}, ${flow.crossesTrustBoundary ? 'crosses a trust boundary' : 'internal'}`;
+
+const SeverityBadge = ({ severity = 'Unrated' }) => (
+    <span className={`severity-badge severity-${severity.toLowerCase()}`}>{severity}</span>
+);
+
+const ThreatList = ({ title, threats, emptyText, tone }) => (
+    <div className="card">
+        <h5 style={{color: tone}}>{title} ({threats.length})</h5>
+        {threats.length === 0 ? (
+            <p style={{color: 'var(--color-text-muted)', margin: 0}}>{emptyText}</p>
+        ) : (
+            <table className="threat-table">
+                <thead>
+                    <tr>
+                        <th>Severity</th>
+                        <th>Category</th>
+                        <th>Threat</th>
+                        <th>Component</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {threats.map(t => (
+                        <tr key={t.id}>
+                            <td><SeverityBadge severity={t.severity} /></td>
+                            <td>{t.category}</td>
+                            <td style={{color: 'var(--color-text-muted)'}}>{t.threat}</td>
+                            <td>{t.component}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        )}
+    </div>
+);
+
+const ChangeList = ({ title, added, removed, describe, emptyText }) => (
+    <div className="card">
+        <h5>{title}</h5>
+        {added.length === 0 && removed.length === 0 ? (
+            <p style={{color: 'var(--color-text-muted)', margin: 0}}>{emptyText}</p>
+        ) : (
+            <ul className="diff-list">
+                {added.map(item => (
+                    <li key={`+${describe(item)}`}><Plus color="var(--color-success)" size={18}/> {describe(item)}</li>
+                ))}
+                {removed.map(item => (
+                    <li key={`-${describe(item)}`}><Minus color="var(--color-danger)" size={18}/> <span style={{textDecoration: 'line-through', color: 'var(--color-text-muted)'}}>{describe(item)}</span></li>
+                ))}
+            </ul>
+        )}
+    </div>
+);
+
+const AnalysisComparison = ({ projectName, older, newer, onBack }) => {
+    const diff = useMemo(() => diffAnalyses(older.analysis, newer.analysis), [older, newer]);
+    const { threats, assets, dataFlows } = diff;
+
+    const stats = [
+        { name: 'New Threats', value: threats.added.length, color: 'var(--color-danger)' },
+        { name: 'No Longer Reported', value: threats.resolved.length, color: 'var(--color-success)' },
+        { name: 'Severity Changed', value: threats.severityChanged.length, color: 'var(--color-warning)' },
+        { name: 'Unchanged Threats', value: threats.unchanged.length, color: 'var(--color-medium-blue)' },
+    ];
+
+    return (
+        <div>
+            <div className="dashboard-header">
+                <div>
+                    <h2>Compare Analyses: {projectName}</h2>
+                    <p style={{color: 'var(--color-text-muted)', display: 'flex', alignItems: 'center', gap: '0.5rem'}}>
+                        {formatDate(older.analyzedAt)} <ArrowRight size={16}/> {formatDate(newer.analyzedAt)}
+                    </p>
+                </div>
+                <button onClick={onBack} className="btn btn-secondary">Back to Projects</button>
+            </div>
+
+            <div className="stats-grid">
+                {stats.map(stat => (
+                    <div key={stat.name} className="card">
+                        <p style={{fontSize: '1.75rem', fontWeight: 'bold', margin: 0, color: stat.color}}>{stat.value}</p>
+                        <p style={{color: 'var(--color-text-muted)', margin: 0, fontSize: '0.9rem'}}>{stat.name}</p>
+                    </div>
+                ))}
+            </div>
+
+            <div className="main-grid">
+                <ThreatList title="New Threats" threats={threats.added} tone="var(--color-danger)" emptyText="No new threats since the earlier analysis." />
+                <ThreatList title="No Longer Reported" threats={threats.resolved} tone="var(--color-success)" emptyText="Every earlier threat is still reported." />
+
+                <div className="card">
+                    <h5>Severity Changes ({threats.severityChanged.length})</h5>
+                    {threats.severityChanged.length === 0 ? (
+                        <p style={{color: 'var(--color-text-muted)', margin: 0}}>No threat was re-rated.</p>
+                    ) : (
+                        <table className="threat-table">
+                            <thead>
+                                <tr>
+                                    <th>Severity</th>
+                                    <th>Category</th>
+                                    <th>Threat</th>
+                                    <th>Component</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {threats.severityChanged.map(({ older: before, newer: after }) => (
+                                    <tr key={after.id}>
+                                        <td style={{whiteSpace: 'nowrap'}}>
+                                            <SeverityBadge severity={before.severity} /> <ArrowRight size={14}/> <SeverityBadge severity={after.severity} />
+                                        </td>
+                                        <td>{after.category}</td>
+                                        <td style={{color: 'var(--color-text-muted)'}}>{after.threat}</td>
+                                        <td>{after.component}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+
+                <ChangeList title="Assets" added={assets.added} removed={assets.removed} describe={a => a} emptyText="No assets were added or removed." />
+                <ChangeList title="Data Flows" added={dataFlows.added} removed={dataFlows.removed} describe={describeFlow} emptyText="No data flows were added or removed." />
+                {dataFlows.changed.length > 0 && (
+                    <div className="card">
+                        <h5>Changed Data Flows ({dataFlows.changed.length})</h5>
+                        <ul className="diff-list">
+                            {dataFlows.changed.map(({ older: before, newer: after }) => (
+                                <li key={describeFlow(after)} style={{flexDirection: 'column', alignItems: 'flex-start', gap: '0.25rem'}}>
+                                    <span>{describeFlow(after)}</span>
+                                    <span style={{fontSize: '0.8rem', color: 'var(--color-text-muted)'}}>
+                                        {describeFlowProperties(before)} → {describeFlowProperties(after)}
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default AnalysisComparison;
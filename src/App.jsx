@@ -1,157 +1,27 @@
-import React, { useState, useEffect, useMemo, useRef } from 'react';
-import { ShieldCheck, Upload, FileText, Cpu, AlertTriangle, Lightbulb, CheckCircle, Code, Server, Database, Users, ArrowRight, X, BarChart2, Zap, Download } from 'lucide-react';
-
-
-// --- AI/ML ANALYSIS ENGINE (using Gemini API) ---
-const aiEngine = {
-  analyzeArtifacts: async (files, { signal }) => { // Accept a signal for cancellation
-    const combinedContent = files.map(f => `--- FILE: ${f.name} ---\n${f.content}`).join('\n\n');
-
-    const userQuery = `
-    Analyze the following software project artifacts and generate a threat model.
-
-    **Project Artifacts:**
-    ${combinedContent}
-
-    **Instructions:**
-    1.  Identify the key assets in the system (e.g., 'User Database', 'API Gateway', 'Authentication Service'). Provide at least 3 assets.
-    2.  Based on the assets and their interactions, identify potential threats.
-    3.  For each threat, provide a detailed analysis using the STRIDE framework (Spoofing, Tampering, Repudiation, Information Disclosure, Denial of Service, Elevation of Privilege).
-    4.  Assign a severity level ('Critical', 'High', 'Medium', 'Low') to each threat.
-    5.  Pinpoint the affected component (must be one of the identified assets) for each threat.
-    6.  Suggest a detailed mitigation strategy.
-    7.  Provide a relevant, concise code snippet in an appropriate language demonstrating the mitigation principle.
-
-    You must return ONLY a single valid JSON object matching the provided schema. Do not include any other text, explanations, or markdown formatting like \`\`\`json.
-    `;
-
-    const schema = {
-      type: "OBJECT",
-      properties: {
-        assets: {
-          type: "ARRAY",
-          description: "A list of key assets identified in the system.",
-          items: { type: "STRING" }
-        },
-        threats: {
-          type: "ARRAY",
-          description: "A list of identified threats based on the STRIDE framework.",
-          items: {
-            type: "OBJECT",
-            properties: {
-              category: { 
-                  type: "STRING", 
-                  description: "STRIDE category.",
-                  enum: ["Spoofing", "Tampering", "Repudiation", "Information Disclosure", "Denial of Service", "Elevation of Privilege"] 
-              },
-              threat: { type: "STRING", description: "A concise description of the threat." },
-              severity: { 
-                  type: "STRING", 
-                  description: "The assessed severity of the threat.",
-                  enum: ["Critical", "High", "Medium", "Low"] 
-              },
-              component: { type: "STRING", description: "The asset or component affected by this threat." },
-              mitigation: { type: "STRING", description: "Recommended actions to mitigate the threat." },
-              codeSnippet: { type: "STRING", description: "An example code snippet for the mitigation." }
-            },
-            required: ["category", "threat", "severity", "component", "mitigation", "codeSnippet"]
-          }
-        }
-      },
-      required: ["assets", "threats"]
-    };
-
-    const payload = {
-      contents: [{ parts: [{ text: userQuery }] }],
-      generationConfig: {
-        responseMimeType: "application/json",
-        responseSchema: schema,
-      }
-    };
-
-    const apiKey = import.meta.env.VITE_GEMINI_API_KEY; // Canvas will provide this.
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
-
-    let response;
-    let attempts = 0;
-    while (attempts < 5) {
-        if (signal.aborted) throw new DOMException('Aborted', 'AbortError');
-        try {
-            response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload),
-                signal, // Pass the signal to the fetch request
-            });
-
-            if (response.ok) break;
-
-            if (response.status === 429 || response.status >= 500) {
-                attempts++;
-                const delay = Math.pow(2, attempts) * 1000;
-                await new Promise(res => setTimeout(res, delay));
-            } else {
-                throw new Error(`API request failed with status ${response.status}`);
-            }
-        } catch (error) {
-            if (error.name === 'AbortError') {
-              console.log('Fetch aborted');
-              throw error; // Re-throw so the calling function knows it was aborted
-            }
-            if (attempts >= 4) throw error;
-            attempts++;
-            const delay = Math.pow(2, attempts) * 1000;
-            await new Promise(res => setTimeout(res, delay));
-        }
-    }
-
-    if (!response || !response.ok) {
-        if (signal.aborted) {
-             throw new DOMException('Aborted', 'AbortError');
-        }
-        const errorBody = response ? await response.text() : 'No response from server';
-        console.error("API Error Response:", errorBody);
-        throw new Error(`API request failed with status ${response ? response.status : 'unknown'}`);
-    }
-
-    const result = await response.json();
-    
-    const candidate = result.candidates?.[0];
-    if (!candidate || !candidate.content?.parts?.[0]?.text) {
-        console.error("Invalid response structure from API:", result);
-        throw new Error("Received an invalid or empty response from the AI model.");
-    }
-    
-    const llmResponse = JSON.parse(candidate.content.parts[0].text);
-
-    let analysis = {
-      assets: new Set(llmResponse.assets || []),
-      threats: (llmResponse.threats || []).map((t, i) => ({ ...t, id: Date.now() + i })),
-      dataFlows: [],
-      diagramData: { nodes: [], edges: [] }
-    };
-    
-    const assetArray = Array.from(analysis.assets);
-    analysis.diagramData.nodes = assetArray.map((asset, i) => ({ id: (i + 1).toString(), label: asset }));
-
-    if (assetArray.length > 1) {
-        for (let i = 0; i < assetArray.length - 1; i++) {
-             analysis.diagramData.edges.push({from: (i + 1).toString(), to: (i + 2).toString(), label: 'Data/API Call'});
-        }
-        if (assetArray.length > 2) {
-             analysis.diagramData.edges.push({from: (assetArray.length).toString(), to: "1", label: 'Auth Sync'});
-        }
-    }
-    
-    analysis.dataFlows = analysis.diagramData.edges.map(e => {
-        const fromNode = analysis.diagramData.nodes.find(n => n.id === e.from)?.label || 'Unknown';
-        const toNode = analysis.diagramData.nodes.find(n => n.id === e.to)?.label || 'Unknown';
-        return `${fromNode} -> ${toNode} (${e.label})`
-    });
-
-    return analysis;
-  }
-};
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { ShieldCheck, Upload, FileText, Cpu, AlertTriangle, Lightbulb, CheckCircle, Code, Server, Database, Users, ArrowRight, X, BarChart2, Zap, Download, FolderOpen, Copy, Edit2, Trash2, ChevronDown, ChevronRight, ChevronUp, MessageSquare, ClipboardCheck, GitCompare, EyeOff, ExternalLink } from 'lucide-react';
+import { aiEngine, describeContext } from './aiEngine';
+import DataFlowDiagram from './DataFlowDiagram';
+import AnalysisComparison from './AnalysisComparison';
+import RedactionReview from './RedactionReview';
+import ControlCoverage from './ControlCoverage';
+import { EXPORT_FORMATS, downloadExport, downloadRedactionLog } from './exporters';
+import { ImportError, importModelFile } from './importers';
+import { EXTERNAL_FORMATS } from './externalModels';
+import { ChunkAnalysisError } from './chunkedAnalysis';
+import { extractInfrastructure } from './iacParsers';
+import { isRuleFinding } from './ruleEngine';
+import { redactFiles } from './redaction';
+import { DEFAULT_EXCLUDE, DEFAULT_INCLUDE, MAX_FILE_BYTES, MAX_IMAGE_BYTES, MAX_PDF_BYTES, MAX_TOTAL_BYTES, MAX_ZIP_BYTES, collectFromDataTransfer, formatSize, collectFromFileList, readCandidates } from './fileCollection';
+import { applyDiagram, renameThreatComponents } from './diagramModel';
+import { formatDate, projectStore } from './projectStore';
+import { THREAT_STATUSES, changeStatus, isOverdue, isResolved, loadCommentAuthor, newComment, riskSummary, saveCommentAuthor } from './threatLifecycle';
+import { PROVIDERS, getProvider, loadProviderSettings, saveProviderSettings } from './llmProviders';
+import { REFERENCE_TYPES, describeReference, groupByReference, referencesOf } from './threatReferences';
+import { CONTROL_FRAMEWORKS } from './complianceControls';
+import { FILTERS, GROUP_OPTIONS, clearFilters, filterOptions, filterThreats, groupThreatsBy, isFiltered, parseView, sortThreats, toggleSort, viewSearch } from './threatFilters';
+import { DEFAULT_METHODOLOGIES, METHODOLOGIES, analysisMethodologies, getMethodology, groupByMethodology, methodologyOf } from './methodologies';
+import { CVSS_METRICS, DEFAULT_CVSS_VECTOR, DREAD_FACTORS, RISK_METHODS, byScore, parseCvssVector, formatCvssVector, scoreThreat, updateRisk } from './riskScoring';
 
 
 // --- STYLES COMPONENT ---
@@ -259,6 +129,25 @@ const Styles = () => (
       text-align: center;
       transition: background-color 0.2s ease-in-out;
     }
+    .dropzone-active {
+      border-color: var(--color-primary);
+      background-color: #2A79A510;
+    }
+    .dropzone-busy {
+      opacity: 0.6;
+      cursor: progress;
+    }
+    .dropzone-busy label {
+      pointer-events: none;
+    }
+    .upload-filters {
+      margin-top: 1rem;
+      font-size: 0.9rem;
+    }
+    .upload-filters summary {
+      cursor: pointer;
+      color: var(--color-text-muted);
+    }
     .dropzone:hover {
       background-color: rgba(0,0,0,0.03);
     }
@@ -303,10 +192,61 @@ const Styles = () => (
       background-color: var(--color-primary);
       animation: progress-indeterminate 2s ease-in-out infinite;
     }
+    .progress-bar-determinate {
+      animation: none;
+      transition: width 0.4s ease;
+    }
     @keyframes progress-indeterminate {
       0% { transform: translateX(-100%); } 
       100% { transform: translateX(100%); }
     }
+    .risk-matrix {
+      display: grid;
+      grid-template-columns: auto 1fr;
+      gap: 0.5rem;
+      align-items: center;
+      margin-top: 1rem;
+    }
+    .risk-matrix-grid {
+      display: grid;
+      grid-template-columns: repeat(5, 1fr);
+      gap: 4px;
+    }
+    .risk-matrix-cell {
+      aspect-ratio: 1;
+      border: none;
+      border-radius: 4px;
+      color: #fff;
+      font-weight: 700;
+      cursor: pointer;
+    }
+    .risk-matrix-cell:disabled {
+      cursor: default;
+    }
+    .risk-matrix-axis {
+      font-size: 0.8rem;
+      color: var(--color-text-muted);
+      grid-column: 2;
+      text-align: center;
+    }
+    .risk-matrix-impact {
+      grid-column: 1;
+      grid-row: 1;
+      writing-mode: vertical-rl;
+      transform: rotate(180deg);
+    }
+    .partial-results {
+      max-width: 900px;
+      margin: 2rem auto 0;
+      text-align: left;
+    }
+    .asset-chip {
+      background-color: var(--color-bg);
+      border: 1px solid var(--color-border);
+      border-radius: 999px;
+      padding: 0.2rem 0.75rem;
+      font-size: 0.85rem;
+    }
     
     /* Threat Item & Table */
     .threat-table {
@@ -337,6 +277,132 @@ const Styles = () => (
     .severity-high { background-color: #ffc10720; color: #b8860b; }
     .severity-medium { background-color: #2A79A520; color: #2A79A5; }
     .severity-low { background-color: #28a74520; color: #28a745; }
+    .source-tag {
+      display: inline-block;
+      margin-right: 0.5rem;
+      padding: 0.1rem 0.45rem;
+      border: 1px solid var(--color-medium-blue);
+      border-radius: 4px;
+      color: var(--color-medium-blue);
+      font-size: 0.7rem;
+      font-weight: 600;
+      text-transform: uppercase;
+    }
+    .status-badge {
+      padding: 0.2rem 0.6rem;
+      border-radius: 1rem;
+      font-size: 0.75rem;
+      font-weight: 600;
+      white-space: nowrap;
+      background-color: var(--color-bg);
+      color: var(--color-text-muted);
+      border: 1px solid var(--color-border);
+    }
+    .status-open { background-color: #dc354515; color: #dc3545; border-color: #dc354540; }
+    .status-in-progress { background-color: #2A79A515; color: #2A79A5; border-color: #2A79A540; }
+    .status-mitigated { background-color: #28a74515; color: #28a745; border-color: #28a74540; }
+    .status-accepted { background-color: #ffc10720; color: #b8860b; border-color: #ffc10760; }
+    .threat-resolved td {
+      opacity: 0.7;
+    }
+    .export-menu {
+      position: absolute;
+      right: 0;
+      top: calc(100% + 0.25rem);
+      z-index: 10;
+      min-width: 100%;
+      background-color: var(--color-bg-dark);
+      border: 1px solid var(--color-border);
+      border-radius: 6px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.1);
+      display: flex;
+      flex-direction: column;
+      padding: 0.25rem 0;
+    }
+    .export-menu button {
+      background: none;
+      border: none;
+      text-align: left;
+      padding: 0.5rem 1rem;
+      cursor: pointer;
+      font-size: 0.9rem;
+      color: var(--color-text);
+      white-space: nowrap;
+    }
+    .export-menu button:hover {
+      background-color: var(--color-bg);
+    }
+    .filter-menu {
+      left: 0;
+      right: auto;
+      max-height: 20rem;
+      overflow-y: auto;
+    }
+    .filter-menu label {
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+      padding: 0.4rem 1rem;
+      font-size: 0.9rem;
+      white-space: nowrap;
+      cursor: pointer;
+    }
+    .filter-menu label:hover {
+      background-color: var(--color-bg);
+    }
+    .sort-button, .section-toggle {
+      background: none;
+      border: none;
+      padding: 0;
+      font: inherit;
+      color: inherit;
+      cursor: pointer;
+      display: inline-flex;
+      align-items: center;
+      gap: 0.25rem;
+    }
+    .diff-list {
+      list-style: none;
+      padding: 0;
+      margin: 1rem 0 0;
+      display: flex;
+      flex-direction: column;
+      gap: 0.75rem;
+    }
+    .diff-list li {
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+    }
+    .comment-thread {
+      list-style: none;
+      padding: 0;
+      margin: 0.5rem 0 1rem;
+      display: flex;
+      flex-direction: column;
+      gap: 0.5rem;
+    }
+    .comment {
+      background-color: var(--color-bg);
+      border: 1px solid var(--color-border);
+      border-radius: 6px;
+      padding: 0.6rem 0.9rem;
+      font-size: 0.9rem;
+    }
+    .comment-status {
+      background-color: transparent;
+      border-style: dashed;
+      color: var(--color-text-muted);
+      font-size: 0.8rem;
+    }
+    .comment-justification {
+      border-color: #ffc10780;
+    }
+    .comment-meta {
+      font-size: 0.75rem;
+      color: var(--color-text-muted);
+      margin-bottom: 0.25rem;
+    }
 
     /* Modal */
     .modal-backdrop {
@@ -429,6 +495,12 @@ const Styles = () => (
       gap: 1.5rem;
       margin-top: 2rem;
     }
+    .card-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 1rem;
+    }
     .stat-card-icon {
       background-color: var(--color-bg);
       padding: 0.75rem;
@@ -446,23 +518,119 @@ const Styles = () => (
       border: 1px solid var(--color-border);
       overflow: hidden;
     }
+    .diagram-container svg {
+      display: block;
+      height: 480px;
+    }
+    .diagram-editing svg {
+      height: 600px;
+    }
     .diagram-edge {
       stroke: var(--color-medium-blue);
       stroke-width: 2;
       fill: none;
       marker-end: url(#arrowhead);
     }
+    .diagram-edge-boundary {
+      stroke: var(--color-danger);
+      stroke-dasharray: 6 4;
+      marker-end: url(#arrowhead-boundary);
+    }
     .diagram-edge-label {
       fill: var(--color-text-muted);
       font-size: 11px;
       font-weight: 600;
       text-anchor: middle;
     }
+    .diagram-edge-label-bg {
+      fill: var(--color-bg);
+      opacity: 0.85;
+    }
     .diagram-node-rect {
         fill: var(--color-primary);
         stroke: var(--color-bg-dark);
         stroke-width: 2;
     }
+    .diagram-node-dataStore {
+        fill: var(--color-medium-blue);
+        stroke: none;
+    }
+    .diagram-store-line {
+        stroke: #212529;
+        stroke-width: 2;
+    }
+    .diagram-node-externalEntity {
+        fill: #495057;
+    }
+    .diagram-selected {
+        stroke: var(--color-warning);
+        stroke-width: 3;
+    }
+    .diagram-node-pending .diagram-node-rect {
+        stroke: var(--color-success);
+        stroke-width: 3;
+    }
+    .diagram-boundary {
+        fill: #dc354508;
+        stroke: var(--color-danger);
+        stroke-width: 2;
+        stroke-dasharray: 8 4;
+        pointer-events: stroke;
+    }
+    .diagram-boundary-label {
+        fill: var(--color-danger);
+        font-size: 12px;
+        font-weight: 600;
+    }
+    .diagram-edge-selected {
+        stroke: var(--color-warning);
+        stroke-width: 3;
+    }
+    .diagram-edge-hitbox {
+        stroke: transparent;
+        stroke-width: 12;
+        fill: none;
+        cursor: pointer;
+    }
+    .diagram-editing {
+        min-height: 500px;
+        background-color: var(--color-bg-dark);
+        background-image: radial-gradient(var(--color-border) 1px, transparent 1px);
+        background-size: 20px 20px;
+    }
+    .diagram-editing svg:focus {
+        outline: none;
+    }
+    .diagram-toolbar {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+        margin-top: 1rem;
+    }
+    .diagram-toolbar-group {
+        display: inline-flex;
+        gap: 0.5rem;
+    }
+    .btn-tool {
+        padding: 0.4rem 0.75rem;
+        font-size: 0.85rem;
+        background-color: var(--color-bg);
+        color: var(--color-text);
+        border: 1px solid var(--color-border);
+    }
+    .btn-tool-active {
+        background-color: var(--color-primary);
+        color: white;
+        border-color: var(--color-primary);
+    }
+    .diagram-properties {
+        align-items: end;
+    }
+    .diagram-hint {
+        color: var(--color-text-muted);
+        font-size: 0.85rem;
+        margin: 1rem 0 0;
+    }
     .diagram-node-text {
         fill: white;
         font-size: 12px;
@@ -488,11 +656,31 @@ const Styles = () => (
       font-size: 1rem;
       box-sizing: border-box;
     }
+    .form-input-sm {
+      padding: 0.4rem 0.6rem;
+      font-size: 0.85rem;
+      width: auto;
+    }
+    .settings-grid .form-input-sm {
+      width: 100%;
+    }
     .form-input:focus {
       outline: none;
       border-color: var(--color-primary);
       box-shadow: 0 0 0 3px #2A79A540;
     }
+    .settings-grid {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+      gap: 1rem;
+      margin-top: 1rem;
+    }
+    .field-label {
+      display: block;
+      margin-bottom: 0.25rem;
+      font-size: 0.8rem;
+      color: var(--color-text-muted);
+    }
     .alert-box {
       padding: 1rem;
       border-radius: 6px;
@@ -509,6 +697,9 @@ const Styles = () => (
       color: #856404;
       border-color: #ffeeba;
     }
+    .history-row {
+      background-color: var(--color-bg);
+    }
     .footer {
         text-align: center;
         color: var(--color-text-muted);
@@ -546,6 +737,10 @@ const Styles = () => (
        .threat-table {
         page-break-inside: auto;
       }
+      .diagram-container svg {
+        height: auto;
+        max-height: 90vh;
+      }
       .threat-table tr {
         page-break-inside: avoid;
         page-break-after: auto;
@@ -557,70 +752,146 @@ const Styles = () => (
 
 // --- UI Components ---
 
-const Header = () => {
+const Header = ({ onOpenProjects }) => {
   return (
     <header className="app-header no-print">
       <div className="title-group">
         <Zap size={32} color="var(--color-primary)" />
         <h1>AI-Driven Threat Modeling Platform</h1>
       </div>
-      <div style={{color: 'var(--color-text-muted)'}}>Continuous Security for Modern SDLC</div>
+      <div style={{display: 'flex', alignItems: 'center', gap: '1.5rem'}}>
+        <div style={{color: 'var(--color-text-muted)'}}>Continuous Security for Modern SDLC</div>
+        <button onClick={onOpenProjects} className="btn btn-secondary" style={{padding: '0.5rem 1rem'}}>
+          <FolderOpen size={18} /> Saved Projects
+        </button>
+      </div>
     </header>
   );
 };
 
-const FileUploader = ({ onFilesAdded }) => {
-  const [files, setFiles] = useState([]);
+// How an artifact reaches the model, when that is not plain UTF-8 text.
+const fileDetail = (file) => {
+    if (file.kind === 'image') return 'image, sent to the model as-is';
+    if (file.kind === 'pdf') return `PDF text, ${file.pages} page${file.pages === 1 ? '' : 's'}`;
+    return file.encoding && file.encoding !== 'utf-8' ? file.encoding : '';
+};
+
+// Controlled by the form: `files` survive a failed or cancelled analysis. `onFilesChange`
+// accepts an updater function like a state setter, since reads finish asynchronously.
+const FileUploader = ({ files, onFilesChange }) => {
+  const [filters, setFilters] = useState({ include: DEFAULT_INCLUDE, exclude: DEFAULT_EXCLUDE });
+  const [isDragging, setIsDragging] = useState(false);
+  const [isCollecting, setIsCollecting] = useState(false);
+  const [warnings, setWarnings] = useState([]);
+
+  // Every source (picker, folder picker, drop, zip) ends up here as a list of collected candidates.
+  // One upload at a time: the size limits count against `files`, which only
+  // includes an upload once it has finished.
+  const addCollected = async (collecting) => {
+    setIsCollecting(true);
+    setWarnings([]);
+    try {
+        const { candidates, skipped } = await collecting;
+        const { files: added, warnings: readWarnings } = await readCandidates(candidates, files);
+        const addedNames = new Set(added.map(f => f.name));
+        onFilesChange(prev => [...prev.filter(f => !addedNames.has(f.name)), ...added]);
+        setWarnings([
+            ...(skipped > 0 ? [`${skipped} file${skipped === 1 ? ' was' : 's were'} skipped by the include/exclude filters.`] : []),
+            ...readWarnings,
+        ]);
+    } catch (e) {
+        console.error("Could not add files:", e);
+        setWarnings([e.message]);
+    } finally {
+        setIsCollecting(false);
+    }
+  };
 
   const handleFileChange = (e) => {
-    const newFiles = Array.from(e.target.files).map(file => ({
-      name: file.name,
-      size: file.size,
-      type: file.type,
-    }));
-    
-    newFiles.forEach((fileInfo, index) => {
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            fileInfo.content = event.target.result;
-            if (index === newFiles.length - 1) {
-                const allFiles = [...files, ...newFiles];
-                setFiles(allFiles);
-                onFilesAdded(allFiles);
-            }
-        };
-        reader.readAsText(e.target.files[index]);
-    });
+    const picked = e.target.files;
+    addCollected(collectFromFileList(picked, filters)).finally(() => { e.target.value = ''; });
   };
-  
-  const removeFile = (fileName) => {
-      const updatedFiles = files.filter(f => f.name !== fileName);
-      setFiles(updatedFiles);
-      onFilesAdded(updatedFiles);
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (isCollecting) return;
+    addCollected(collectFromDataTransfer(e.dataTransfer, filters));
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = isCollecting ? 'none' : 'copy';
+    setIsDragging(!isCollecting);
+  };
+
+  // Artifacts are keyed by their full relative path.
+  const removeFile = (path) => {
+      onFilesChange(prev => prev.filter(f => f.name !== path));
   }
 
   return (
     <div className="card">
-      <div className="dropzone">
+      <div
+        className={`dropzone${isDragging ? ' dropzone-active' : ''}${isCollecting ? ' dropzone-busy' : ''}`}
+        aria-busy={isCollecting}
+        onDragOver={handleDragOver}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+      >
         <Upload size={48} color="var(--color-text-muted)" style={{marginBottom: '1rem'}}/>
-        <label htmlFor="file-upload" style={{cursor: 'pointer'}}>
-          <span className="btn">Upload Project Artifacts</span>
-        </label>
-        <input id="file-upload" type="file" multiple style={{display: 'none'}} onChange={handleFileChange} />
-        <p style={{color: 'var(--color-text-muted)', marginTop: '1rem', marginBottom: 0}}>Drag & drop or click to upload</p>
-        <p style={{color: 'var(--color-border)', fontSize: '0.8rem'}}>Diagrams, IaC files, User Stories, Source Code...</p>
+        <div style={{display: 'flex', justifyContent: 'center', gap: '0.75rem', flexWrap: 'wrap'}}>
+          <label htmlFor="file-upload" style={{cursor: 'pointer'}}>
+            <span className="btn">Upload Project Artifacts</span>
+          </label>
+          <label htmlFor="folder-upload" style={{cursor: 'pointer'}}>
+            <span className="btn btn-secondary"><FolderOpen size={18}/> Upload Folder</span>
+          </label>
+        </div>
+        <input id="file-upload" type="file" multiple disabled={isCollecting} style={{display: 'none'}} onChange={handleFileChange} />
+        <input id="folder-upload" type="file" webkitdirectory="" disabled={isCollecting} style={{display: 'none'}} onChange={handleFileChange} />
+        <p style={{color: 'var(--color-text-muted)', marginTop: '1rem', marginBottom: 0}}>
+          {isCollecting ? 'Reading files…' : 'Drag & drop files, folders or a .zip of your repository, or click to upload'}
+        </p>
+        <p style={{color: 'var(--color-border)', fontSize: '0.8rem'}}>Diagrams (PNG, JPEG, PDF), IaC files, User Stories, Source Code...</p>
       </div>
+      <details className="upload-filters">
+        <summary>Include / exclude filters</summary>
+        <div className="settings-grid" style={{marginTop: '0.75rem'}}>
+          <div>
+            <label htmlFor="include-globs" className="field-label">Include (empty = everything)</label>
+            <input id="include-globs" type="text" value={filters.include} onChange={(e) => setFilters({ ...filters, include: e.target.value })} placeholder="src/**, *.tf, docs/*.md" className="form-input" />
+          </div>
+          <div>
+            <label htmlFor="exclude-globs" className="field-label">Exclude</label>
+            <textarea id="exclude-globs" rows={3} value={filters.exclude} onChange={(e) => setFilters({ ...filters, exclude: e.target.value })} className="form-input" />
+          </div>
+        </div>
+        <p style={{color: 'var(--color-text-muted)', fontSize: '0.8rem', marginBottom: 0}}>
+          Comma-separated globs (<code>*</code>, <code>**</code>, <code>?</code>, <code>{'{a,b}'}</code>). A pattern without a slash matches any file or folder name; one with a slash matches the path. Filters apply to files added afterwards.
+          Files over {MAX_FILE_BYTES / 1024 / 1024} MB (PDFs over {MAX_PDF_BYTES / 1024 / 1024} MB, images over {MAX_IMAGE_BYTES / 1024 / 1024} MB), other binary files and uploads beyond {MAX_TOTAL_BYTES / 1024 / 1024} MB in total are skipped. Zips may be up to {MAX_ZIP_BYTES / 1024 / 1024} MB.
+        </p>
+      </details>
+      {warnings.length > 0 && (
+        <div className="alert-box alert-warning" style={{marginTop: '1rem', marginBottom: 0}}>
+          <ul style={{margin: 0, paddingLeft: '1.25rem'}}>
+            {warnings.map(warning => <li key={warning}>{warning}</li>)}
+          </ul>
+        </div>
+      )}
       {files.length > 0 && (
         <ul className="file-list">
           <h4>Uploaded Files:</h4>
-          {files.map((file, index) => (
-            <li key={index} className="file-item">
+          {files.map(file => (
+            <li key={file.name} className="file-item">
               <div style={{display: 'flex', alignItems: 'center', gap: '0.75rem'}}>
                 <FileText color="var(--color-text-muted)" />
                 <span>{file.name}</span>
               </div>
               <div style={{display: 'flex', alignItems: 'center', gap: '1rem'}}>
-                <span style={{fontSize: '0.8rem', color: 'var(--color-text-muted)'}}>{(file.size / 1024).toFixed(2)} KB</span>
+                <span style={{fontSize: '0.8rem', color: 'var(--color-text-muted)'}}>
+                  {(file.size / 1024).toFixed(2)} KB{fileDetail(file) && ` · ${fileDetail(file)}`}
+                </span>
                  <button onClick={() => removeFile(file.name)} style={{background: 'none', border: 'none', cursor: 'pointer', padding: 0, color: 'var(--color-text-muted)'}}>
                       <X size={16} />
                  </button>
@@ -633,63 +904,474 @@ const FileUploader = ({ onFilesAdded }) => {
   );
 };
 
-const AnalysisInProgress = ({ projectName, onCancel }) => (
-    <div style={{textAlign: 'center', padding: '3rem 0'}}>
-        <div className="spinner"><Cpu size={64}/></div>
-        <h2 style={{marginTop: '1.5rem'}}>Analyzing {projectName}...</h2>
-        <p style={{color: 'var(--color-text-muted)'}}>The AI engine is identifying assets, data flows, and potential threats.</p>
-        <div className="progress-bar"><div className="progress-bar-inner" /></div>
-        <button onClick={onCancel} className="btn btn-danger" style={{marginTop: '2rem'}}>
-            Cancel Analysis
-        </button>
+const ProviderSettings = ({ settings, onChange }) => {
+  const provider = getProvider(settings.provider);
+
+  const update = (field) => (e) => onChange({ ...settings, [field]: e.target.value });
+  // Model and endpoint are provider-specific, so switching providers resets them to the defaults.
+  const changeProvider = (e) => onChange({ ...settings, provider: e.target.value, model: '', baseUrl: '', contextTokens: '' });
+
+  return (
+    <div className="card">
+      <h5>AI Provider</h5>
+      <div className="settings-grid">
+        <div>
+          <label htmlFor="llm-provider" className="field-label">Provider</label>
+          <select id="llm-provider" value={settings.provider} onChange={changeProvider} className="form-input">
+            {PROVIDERS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+          </select>
+        </div>
+        {provider.id !== 'mock' && (
+          <div>
+            <label htmlFor="llm-model" className="field-label">Model</label>
+            <input id="llm-model" type="text" value={settings.model} onChange={update('model')} placeholder={provider.defaults.model} className="form-input" />
+          </div>
+        )}
+        {provider.id !== 'mock' && !provider.proxied && (
+          <div>
+            <label htmlFor="llm-base-url" className="field-label">Endpoint</label>
+            <input id="llm-base-url" type="text" value={settings.baseUrl} onChange={update('baseUrl')} placeholder={provider.defaults.baseUrl} className="form-input" />
+          </div>
+        )}
+        {provider.id !== 'mock' && (
+          <div>
+            <label htmlFor="llm-context" className="field-label">Context window (tokens)</label>
+            <input id="llm-context" type="number" min="1000" step="1000" value={settings.contextTokens} onChange={update('contextTokens')} placeholder={String(provider.defaults.contextTokens)} className="form-input" />
+          </div>
+        )}
+      </div>
+      {provider.id === 'mock' && (
+        <p style={{color: 'var(--color-text-muted)', fontSize: '0.9rem', marginBottom: 0}}>Returns a canned threat model without any network calls. Useful for demos and testing.</p>
+      )}
+      {provider.proxied && (
+        <p style={{color: 'var(--color-text-muted)', fontSize: '0.9rem', marginBottom: 0}}>Requests go through the local analysis server, which holds the API key and endpoint.</p>
+      )}
+    </div>
+  );
+};
+
+// At least one methodology stays selected; they are analyzed in a single request.
+const MethodologyPicker = ({ selected, onChange }) => {
+  const toggle = (id) => onChange(selected.includes(id)
+    ? selected.filter(s => s !== id)
+    : METHODOLOGIES.map(m => m.id).filter(m => m === id || selected.includes(m)));
+
+  return (
+    <div className="card">
+      <h5>Methodologies</h5>
+      <div className="settings-grid">
+        {METHODOLOGIES.map(m => (
+          <label key={m.id} style={{display: 'flex', alignItems: 'flex-start', gap: '0.5rem', cursor: 'pointer'}}>
+            <input
+              type="checkbox"
+              checked={selected.includes(m.id)}
+              disabled={selected.length === 1 && selected.includes(m.id)}
+              onChange={() => toggle(m.id)}
+              style={{marginTop: '0.25rem'}}
+            />
+            <span>
+              <span style={{fontWeight: 600}}>{m.label}</span>
+              <span style={{display: 'block', color: 'var(--color-text-muted)', fontSize: '0.85rem'}}>{m.summary}</span>
+            </span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const progressMessage = (progress, now) => {
+    switch (progress?.stage) {
+        case 'uploading':
+            return `Uploading ${formatSize(progress.bytes)} of artifacts...`;
+        case 'retrying': {
+            // `now` ticks every half second, so it can trail the moment the retry was announced.
+            const seconds = Math.max(0, Math.min(progress.delay, progress.retryAt - now) / 1000);
+            return `The model is unavailable (${progress.reason}). Attempt ${progress.attempt}/${progress.maxAttempts} ${seconds > 0 ? `in ${Math.ceil(seconds)}s` : 'starting'}...`;
+        }
+        case 'parsing':
+            return "Parsing the model's response...";
+        case 'repairing':
+            return `The answer had ${progress.problems} problem${progress.problems === 1 ? '' : 's'}; asking the model to correct it...`;
+        case 'merging':
+            return `Merging the results of ${progress.totalChunks} parts...`;
+        default:
+            return 'The AI engine is identifying assets, data flows, and potential threats.';
+    }
+};
+
+// Assets and threats of the answer that is still streaming in.
+const PartialResults = ({ partial }) => (
+    <div className="card partial-results">
+        <p style={{color: 'var(--color-text-muted)', marginTop: 0}}>
+            Found so far: {partial.assets.length} assets, {partial.dataFlows.length} data flows, {partial.threats.length} threats
+        </p>
+        <div style={{display: 'flex', flexWrap: 'wrap', gap: '0.5rem'}}>
+            {partial.assets.map((asset, i) => <span key={i} className="asset-chip">{asset}</span>)}
+        </div>
+        {partial.threats.length > 0 && (
+            <table className="threat-table" style={{marginTop: '1rem'}}>
+                <tbody>
+                    {partial.threats.map((threat, i) => (
+                        <tr key={i}>
+                            <td><span className={`severity-badge severity-${String(threat.severity).toLowerCase()}`}>{threat.severity}</span></td>
+                            <td>{threat.category}</td>
+                            <td style={{color: 'var(--color-text-muted)'}}>{threat.threat}</td>
+                            <td>{threat.component}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        )}
     </div>
 );
 
+// Large projects are analyzed in parts; the bar then fills as parts complete.
+const AnalysisInProgress = ({ projectName, progress, onCancel }) => {
+    const [now, setNow] = useState(Date.now);
+    const retrying = progress?.stage === 'retrying';
+
+    // Ticks the backoff countdown.
+    useEffect(() => {
+        if (!retrying) return;
+        const timer = setInterval(() => setNow(Date.now()), 500);
+        return () => clearInterval(timer);
+    }, [retrying]);
+
+    return (
+        <div style={{textAlign: 'center', padding: '3rem 0'}}>
+            <div className="spinner"><Cpu size={64}/></div>
+            <h2 style={{marginTop: '1.5rem'}}>Analyzing {projectName}...</h2>
+            {progress?.totalChunks > 1 && progress.stage !== 'merging' && (
+                <p style={{marginBottom: 0}}>Part {progress.chunk} of {progress.totalChunks}: {progress.label}</p>
+            )}
+            <p style={{color: retrying ? 'var(--color-warning)' : 'var(--color-text-muted)'}}>{progressMessage(progress, now)}</p>
+            <div className="progress-bar">
+                {progress?.totalChunks > 1 ? (
+                    <div className="progress-bar-inner progress-bar-determinate" style={{width: `${progress.stage === 'merging' ? 100 : ((progress.chunk - 1) / progress.totalChunks) * 100}%`}} />
+                ) : (
+                    <div className="progress-bar-inner" />
+                )}
+            </div>
+            <button onClick={onCancel} className="btn btn-danger" style={{marginTop: '2rem'}}>
+                Cancel Analysis
+            </button>
+            {progress?.partial && <PartialResults partial={progress.partial} />}
+        </div>
+    );
+};
+
+const statusClass = (status) => `status-badge status-${status.toLowerCase().replace(/\s+/g, '-')}`;
+
 const ThreatItem = ({ threat, onSelect }) => {
-    const severityClass = `severity-${threat.severity.toLowerCase()}`;
+    // Models saved before answers were validated can lack a severity.
+    const severity = threat.severity || 'Unrated';
+    const severityClass = `severity-${severity.toLowerCase()}`;
+    const overdue = isOverdue(threat);
     return (
-        <tr>
-            <td><span className={`severity-badge ${severityClass}`}>{threat.severity}</span></td>
+        <tr className={isResolved(threat) ? 'threat-resolved' : undefined}>
+            <td><span className={`severity-badge ${severityClass}`}>{severity}</span></td>
+            <td style={{fontWeight: 600}}>{scoreThreat(threat).score.toFixed(1)}</td>
             <td>{threat.category}</td>
-            <td style={{color: 'var(--color-text-muted)'}}>{threat.threat}</td>
+            <td style={{color: 'var(--color-text-muted)'}}>
+                {isRuleFinding(threat) && <span className="source-tag" title={`Found by the static rule "${threat.ruleId}"`}>Rule</span>}
+                {threat.threat}
+            </td>
             <td>{threat.component}</td>
+            <td style={{whiteSpace: 'nowrap'}}>
+                {referencesOf(threat, 'cwe').map(text => describeReference('cwe', text)).map(ref => (
+                    <span key={ref.id} title={ref.known ? ref.name : 'Not in the bundled CWE catalog'} style={{display: 'block', color: ref.known ? undefined : 'var(--color-warning)'}}>
+                        {ref.id}{!ref.known && ' ?'}
+                    </span>
+                ))}
+                {referencesOf(threat, 'cwe').length === 0 && <span style={{color: 'var(--color-text-muted)'}}>—</span>}
+            </td>
+            <td><span className={statusClass(threat.status)}>{threat.status}</span></td>
+            <td>{threat.owner || <span style={{color: 'var(--color-text-muted)'}}>Unassigned</span>}</td>
+            <td style={{whiteSpace: 'nowrap', color: overdue ? 'var(--color-danger)' : undefined, fontWeight: overdue ? 600 : undefined}}>
+                {threat.dueDate || '—'}{overdue && ' (overdue)'}
+            </td>
             <td style={{textAlign: 'right'}} className="no-print">
                 <button onClick={() => onSelect(threat)} className="btn" style={{padding: '0.5rem 1rem', fontSize: '0.9rem'}}>
-                    View Mitigation
+                    Details
                 </button>
             </td>
         </tr>
     );
 }
 
-const MitigationModal = ({ threat, onClose }) => {
+const ThreatTracking = ({ threat, onUpdate }) => {
+    const [author, setAuthor] = useState(loadCommentAuthor);
+    const [comment, setComment] = useState('');
+    const [pendingAcceptance, setPendingAcceptance] = useState(false);
+    const [justification, setJustification] = useState('');
+
+    const rememberAuthor = (value) => {
+        setAuthor(value);
+        saveCommentAuthor(value);
+    };
+
+    const handleStatusChange = (status) => {
+        // Accepting a risk waits for a written justification.
+        if (status === 'Accepted') {
+            setPendingAcceptance(true);
+            return;
+        }
+        setPendingAcceptance(false);
+        onUpdate(changeStatus(threat, status, { author }));
+    };
+
+    const confirmAcceptance = () => {
+        onUpdate(changeStatus(threat, 'Accepted', { author, justification }));
+        setPendingAcceptance(false);
+        setJustification('');
+    };
+
+    const addComment = () => {
+        if (!comment.trim()) return;
+        onUpdate({ ...threat, comments: [...threat.comments, newComment({ author, text: comment.trim() })] });
+        setComment('');
+    };
+
+    return (
+        <div>
+            <h6 style={{display:'flex', alignItems:'center', gap:'0.5rem'}}><ClipboardCheck color="var(--color-primary)"/> Tracking</h6>
+            <div className="settings-grid">
+                <div>
+                    <label htmlFor="threat-status" className="field-label">Status</label>
+                    <select id="threat-status" value={pendingAcceptance ? 'Accepted' : threat.status} onChange={(e) => handleStatusChange(e.target.value)} className="form-input">
+                        {THREAT_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="threat-owner" className="field-label">Owner</label>
+                    <input id="threat-owner" type="text" value={threat.owner} onChange={(e) => onUpdate({ ...threat, owner: e.target.value })} placeholder="Unassigned" className="form-input" />
+                </div>
+                <div>
+                    <label htmlFor="threat-due" className="field-label">Due Date</label>
+                    <input id="threat-due" type="date" value={threat.dueDate} onChange={(e) => onUpdate({ ...threat, dueDate: e.target.value })} className="form-input" />
+                </div>
+            </div>
+
+            {pendingAcceptance && (
+                <div className="alert-box alert-warning" style={{marginTop: '1rem', marginBottom: 0}}>
+                    <label htmlFor="acceptance-justification" style={{display: 'block', fontWeight: 600, marginBottom: '0.5rem'}}>Why is this risk being accepted?</label>
+                    <textarea id="acceptance-justification" value={justification} onChange={(e) => setJustification(e.target.value)} rows={3} className="form-input" placeholder="Business justification, compensating controls, review date…" />
+                    <div style={{display: 'flex', gap: '0.5rem', justifyContent: 'flex-end', marginTop: '0.75rem'}}>
+                        <button onClick={() => setPendingAcceptance(false)} className="btn btn-secondary" style={{padding: '0.4rem 0.9rem'}}>Cancel</button>
+                        <button onClick={confirmAcceptance} disabled={!justification.trim()} className="btn" style={{padding: '0.4rem 0.9rem'}}>Accept Risk</button>
+                    </div>
+                </div>
+            )}
+
+            <h6 style={{display:'flex', alignItems:'center', gap:'0.5rem', marginTop: '1.5rem'}}><MessageSquare color="var(--color-medium-blue)"/> Comments ({threat.comments.length})</h6>
+            <ul className="comment-thread">
+                {threat.comments.map(c => (
+                    <li key={c.id} className={`comment comment-${c.kind}`}>
+                        <div className="comment-meta">
+                            <strong>{c.author}</strong> · {formatDate(c.createdAt)}
+                            {c.kind === 'justification' && <span className={statusClass('Accepted')} style={{marginLeft: '0.5rem'}}>Risk acceptance</span>}
+                        </div>
+                        <div>{c.text}</div>
+                    </li>
+                ))}
+            </ul>
+            <div className="settings-grid" style={{gridTemplateColumns: '200px 1fr auto', alignItems: 'end'}}>
+                <div>
+                    <label htmlFor="comment-author" className="field-label">Your name</label>
+                    <input id="comment-author" type="text" value={author} onChange={(e) => rememberAuthor(e.target.value)} className="form-input" />
+                </div>
+                <div>
+                    <label htmlFor="comment-text" className="field-label">Comment</label>
+                    <input
+                        id="comment-text"
+                        type="text"
+                        value={comment}
+                        onChange={(e) => setComment(e.target.value)}
+                        onKeyDown={(e) => { if (e.key === 'Enter') addComment(); }}
+                        className="form-input"
+                    />
+                </div>
+                <button onClick={addComment} disabled={!comment.trim()} className="btn">Add</button>
+            </div>
+        </div>
+    );
+};
+
+// Likelihood × impact, from rare and minor (bottom left) to certain and severe (top right).
+const MATRIX_LEVELS = [1, 2, 3, 4, 5];
+
+const matrixColor = (likelihood, impact) => {
+    const risk = likelihood * impact;
+    if (risk >= 15) return 'var(--color-danger)';
+    if (risk >= 8) return 'var(--color-warning)';
+    if (risk >= 4) return 'var(--color-medium-blue)';
+    return 'var(--color-success)';
+};
+
+// Open threats only; resolved ones no longer carry risk.
+const RiskMatrix = ({ threats, onSelect }) => {
+    const cells = useMemo(() => {
+        const grouped = {};
+        threats.filter(t => !isResolved(t)).forEach(threat => {
+            const { likelihood, impact } = scoreThreat(threat);
+            (grouped[`${likelihood}-${impact}`] ||= []).push(threat);
+        });
+        return grouped;
+    }, [threats]);
+
+    return (
+        <div className="risk-matrix">
+            <span className="risk-matrix-axis risk-matrix-impact">Impact</span>
+            <div className="risk-matrix-grid">
+                {[...MATRIX_LEVELS].reverse().flatMap(impact => MATRIX_LEVELS.map(likelihood => {
+                    const inCell = [...(cells[`${likelihood}-${impact}`] || [])].sort(byScore);
+                    return (
+                        <button
+                            key={`${likelihood}-${impact}`}
+                            className="risk-matrix-cell"
+                            style={{backgroundColor: matrixColor(likelihood, impact), opacity: inCell.length ? 1 : 0.25}}
+                            disabled={inCell.length === 0}
+                            onClick={() => onSelect(inCell[0])}
+                            title={inCell.length ? inCell.map(t => `${scoreThreat(t).score.toFixed(1)} ${t.threat}`).join('\n') : `Likelihood ${likelihood}, impact ${impact}`}
+                            aria-label={`Likelihood ${likelihood}, impact ${impact}: ${inCell.length} threats`}
+                        >
+                            {inCell.length || ''}
+                        </button>
+                    );
+                }))}
+            </div>
+            <span className="risk-matrix-axis">Likelihood</span>
+        </div>
+    );
+};
+
+// Edits the factors behind the score; the severity follows the recalculated score.
+const RiskEditor = ({ threat, onUpdate }) => {
+    const scored = scoreThreat(threat);
+    const cvss = parseCvssVector(threat.cvss) || parseCvssVector(DEFAULT_CVSS_VECTOR);
+
+    return (
+        <div>
+            <h6 style={{display:'flex', alignItems:'center', gap:'0.5rem'}}><BarChart2 color="var(--color-primary)"/> Risk Score</h6>
+            <p style={{color: 'var(--color-text-muted)', fontSize: '0.9rem'}}>
+                Score <strong style={{color: 'var(--color-text)'}}>{scored.score.toFixed(1)}</strong> ({scored.severity}), likelihood {scored.likelihood}/5, impact {scored.impact}/5.
+            </p>
+            <div className="settings-grid">
+                <div>
+                    <label htmlFor="risk-method" className="field-label">Method</label>
+                    <select
+                        id="risk-method"
+                        value={scored.method}
+                        onChange={(e) => onUpdate(updateRisk(threat, { riskMethod: e.target.value, ...(e.target.value === 'cvss' && { cvss: formatCvssVector(cvss) }) }))}
+                        className="form-input"
+                    >
+                        {Object.entries(RISK_METHODS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                </div>
+                {scored.method === 'dread' ? DREAD_FACTORS.map(factor => (
+                    <div key={factor.id}>
+                        <label htmlFor={`dread-${factor.id}`} className="field-label" title={factor.hint}>{factor.label} (0-10)</label>
+                        <input
+                            id={`dread-${factor.id}`}
+                            type="number"
+                            min={0}
+                            max={10}
+                            value={threat.dread?.[factor.id] ?? ''}
+                            onChange={(e) => onUpdate(updateRisk(threat, { dread: { ...threat.dread, [factor.id]: e.target.value } }))}
+                            className="form-input"
+                        />
+                    </div>
+                )) : CVSS_METRICS.map(metric => (
+                    <div key={metric.id}>
+                        <label htmlFor={`cvss-${metric.id}`} className="field-label">{metric.label}</label>
+                        <select
+                            id={`cvss-${metric.id}`}
+                            value={cvss[metric.id]}
+                            onChange={(e) => onUpdate(updateRisk(threat, { cvss: formatCvssVector({ ...cvss, [metric.id]: e.target.value }) }))}
+                            className="form-input"
+                        >
+                            {Object.entries(metric.values).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                        </select>
+                    </div>
+                ))}
+            </div>
+            {scored.method === 'cvss' && <p style={{fontSize: '0.8rem', color: 'var(--color-text-muted)'}}><code>{threat.cvss}</code></p>}
+        </div>
+    );
+};
+
+// Catalogued ids are shown with their name, and linked where the catalog has
+// a page (MITRE's do); the rest are flagged, since models invent ids.
+const ThreatReferences = ({ threat, types, title, icon, empty }) => {
+    const cited = types
+        .map(type => ({ type, references: referencesOf(threat, type.id).map(text => describeReference(type.id, text)) }))
+        .filter(({ references }) => references.length > 0);
+
+    return (
+        <div>
+            <h6 style={{display:'flex', alignItems:'center', gap:'0.5rem'}}>{icon} {title}</h6>
+            {cited.length === 0 && <p style={{color: 'var(--color-text-muted)', fontSize: '0.9rem'}}>{empty}</p>}
+            {cited.map(({ type, references }) => (
+                <div key={type.id} style={{display: 'flex', gap: '1rem', marginBottom: '0.5rem', fontSize: '0.9rem'}}>
+                    <span style={{minWidth: '6.5rem', color: 'var(--color-text-muted)'}}>{type.label}</span>
+                    <ul style={{listStyle: 'none', padding: 0, margin: 0, display: 'flex', flexDirection: 'column', gap: '0.25rem'}}>
+                        {references.map(ref => (
+                            <li key={ref.id}>
+                                {ref.url
+                                    ? <a href={ref.url} target="_blank" rel="noopener noreferrer" style={{color: 'var(--color-primary)', fontWeight: 600}}>{ref.id}</a>
+                                    : <span style={{fontWeight: 600}}>{ref.id}</span>}
+                                {ref.known ? ` ${ref.name}` : (
+                                    <span style={{color: 'var(--color-warning)'}}>
+                                        {' '}<AlertTriangle size={14} style={{verticalAlign: 'text-bottom'}}/> {ref.wellFormed ? `Not in the bundled ${type.label} catalog; verify it before relying on it.` : `Not a valid ${type.label} id.`}
+                                    </span>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const MitigationModal = ({ threat, onClose, onUpdate }) => {
     if (!threat) return null;
     
     return (
         <div className="modal-backdrop">
             <div className="modal-content">
                 <div className="modal-header">
-                    <h5><AlertTriangle color="var(--color-warning)"/> Mitigation Details</h5>
+                    <h5><AlertTriangle color="var(--color-warning)"/> Threat Details</h5>
                     <button onClick={onClose} style={{background:'none', border:'none', color: 'var(--color-text-muted)', cursor:'pointer'}}><X/></button>
                 </div>
                 <div className="modal-body">
                     <div>
                         <h6>Identified Threat</h6>
                         <p style={{color: 'var(--color-text-muted)'}}>{threat.threat}</p>
+                        {isRuleFinding(threat) && (
+                            <p style={{fontSize: '0.85rem', color: 'var(--color-text-muted)'}}>
+                                <span className="source-tag">Rule</span> Found by the static rule <code>{threat.ruleId}</code> at <code>{threat.location.file}:{threat.location.line}</code>; it is reported the same way on every run.
+                            </p>
+                        )}
                     </div>
                     <div className="info-grid">
-                        <div className="card info-card"><span style={{fontSize:'0.8rem', color:'var(--color-text-muted)'}}>Severity</span><p style={{fontWeight:'bold', margin:0}}>{threat.severity}</p></div>
-                        <div className="card info-card"><span style={{fontSize:'0.8rem', color:'var(--color-text-muted)'}}>STRIDE Category</span><p style={{fontWeight:'bold', margin:0}}>{threat.category}</p></div>
+                        <div className="card info-card"><span style={{fontSize:'0.8rem', color:'var(--color-text-muted)'}}>Severity</span><p style={{fontWeight:'bold', margin:0}}>{threat.severity} ({scoreThreat(threat).score.toFixed(1)})</p></div>
+                        <div className="card info-card"><span style={{fontSize:'0.8rem', color:'var(--color-text-muted)'}}>{getMethodology(methodologyOf(threat)).column}</span><p style={{fontWeight:'bold', margin:0}}>{threat.category}</p></div>
                         <div className="card info-card"><span style={{fontSize:'0.8rem', color:'var(--color-text-muted)'}}>Affected Component</span><p style={{fontWeight:'bold', margin:0}}>{threat.component}</p></div>
                     </div>
+                    <ThreatReferences threat={threat} types={REFERENCE_TYPES} title="References" icon={<ExternalLink color="var(--color-primary)"/>} empty="No CWE, CAPEC or ATT&CK references were given for this threat." />
                     <div>
                         <h6 style={{display:'flex', alignItems:'center', gap:'0.5rem'}}><Lightbulb color="var(--color-success)"/> Security Recommendation</h6>
                         <p style={{color: 'var(--color-text-muted)', backgroundColor: 'var(--color-bg)', padding: '1rem', borderRadius: '6px', border: `1px solid var(--color-border)`}}>{threat.mitigation}</p>
                     </div>
+                    <ThreatReferences threat={threat} types={CONTROL_FRAMEWORKS} title="Compliance Controls" icon={<ClipboardCheck color="var(--color-success)"/>} empty="The mitigation is not mapped to ASVS, NIST 800-53 or ISO 27001 controls." />
                     <div>
                         <h6 style={{display:'flex', alignItems:'center', gap:'0.5rem'}}><Code color="var(--color-primary)"/> Example Code Snippet</h6>
                         <pre className="code-block"><code>{threat.codeSnippet}</code></pre>
                     </div>
+                    <RiskEditor threat={threat} onUpdate={onUpdate} />
+                    <ThreatTracking threat={threat} onUpdate={onUpdate} />
                 </div>
                 <div className="modal-footer">
                     <button onClick={onClose} className="btn">Close</button>
@@ -699,111 +1381,400 @@ const MitigationModal = ({ threat, onClose }) => {
     );
 };
 
-const DataFlowDiagram = ({ nodes = [], edges = [] }) => {
-    const positions = useMemo(() => {
-        const pos = {};
-        const numNodes = nodes.length;
-        if (numNodes === 0) return {};
-        
-        const center = { x: 250, y: 175 };
-        const radius = 120;
-
-        nodes.forEach((node, i) => {
-            const angle = (i / numNodes) * 2 * Math.PI - Math.PI / 2;
-            pos[node.id] = {
-                x: center.x + radius * Math.cos(angle),
-                y: center.y + radius * Math.sin(angle),
-            };
+const ProjectHistory = ({ onOpen, onBack }) => {
+    const [projects, setProjects] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+    const [expanded, setExpanded] = useState(null);
+    const [renaming, setRenaming] = useState(null);
+    const [compareIds, setCompareIds] = useState([]);
+    const [comparison, setComparison] = useState(null);
+
+    const refresh = () => projectStore.listProjects()
+        .then(setProjects)
+        .catch(e => {
+            console.error("Could not load saved projects:", e);
+            setLoadError("Saved projects could not be loaded. Your browser may be blocking local storage.");
+            setProjects([]);
         });
-        return pos;
-    }, [nodes]);
 
-    if (nodes.length === 0) {
-        return (
-            <div className="diagram-container" style={{ display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
-                <p style={{ color: 'var(--color-text-muted)', fontSize: '0.9rem' }}>No architectural assets identified to draw a diagram.</p>
-            </div>
-        );
+    useEffect(() => {
+        refresh();
+    }, []);
+
+    const commitRename = async () => {
+        const name = renaming.name.trim();
+        try {
+            if (name) await projectStore.renameProject(renaming.id, name);
+        } catch (e) {
+            console.error("Could not rename the project:", e);
+            setLoadError(`The project could not be renamed to "${name}".`);
+        }
+        setRenaming(null);
+        refresh();
+    };
+
+    const handleDuplicate = async (project) => {
+        try {
+            await projectStore.duplicateProject(project.id);
+        } catch (e) {
+            console.error("Could not duplicate the project:", e);
+            setLoadError(`"${project.name}" could not be duplicated.`);
+        }
+        refresh();
+    };
+
+    const handleDelete = async (project) => {
+        if (!window.confirm(`Delete "${project.name}" and all ${project.history.length} saved analyses? This cannot be undone.`)) return;
+        try {
+            await projectStore.deleteProject(project.id);
+        } catch (e) {
+            console.error("Could not delete the project:", e);
+            setLoadError(`"${project.name}" could not be deleted.`);
+        }
+        refresh();
+    };
+
+    const toggleExpanded = (projectId) => {
+        setExpanded(expanded === projectId ? null : projectId);
+        setCompareIds([]);
+    };
+
+    // Keeps the two most recently ticked analyses.
+    const toggleCompare = (analysisId) => setCompareIds(ids => (
+        ids.includes(analysisId) ? ids.filter(id => id !== analysisId) : [...ids, analysisId].slice(-2)
+    ));
+
+    const handleCompare = async (project) => {
+        try {
+            const records = await Promise.all(compareIds.map(id => projectStore.loadAnalysis(id)));
+            const [older, newer] = records.sort((a, b) => a.analyzedAt.localeCompare(b.analyzedAt));
+            setComparison({ projectName: project.name, older, newer });
+        } catch (e) {
+            console.error("Could not load analyses to compare:", e);
+            setLoadError("The selected analyses could not be loaded for comparison.");
+        }
+    };
+
+    if (comparison) {
+        return <AnalysisComparison {...comparison} onBack={() => setComparison(null)} />;
     }
 
-    const nodeWidth = 150;
-    const nodeHeight = 40;
+    const iconButton = { background: 'none', border: 'none', cursor: 'pointer', padding: '0.25rem', color: 'var(--color-text-muted)' };
 
     return (
-        <div className="diagram-container">
-            <svg width="100%" height="100%" viewBox="0 0 500 350">
-                <defs>
-                    <marker id="arrowhead" markerWidth="10" markerHeight="7" refX="8" refY="3.5" orient="auto">
-                        <polygon points="0 0, 10 3.5, 0 7" fill="var(--color-medium-blue)" />
-                    </marker>
-                </defs>
-
-                {/* Edges */}
-                {edges.map((edge, i) => {
-                    const fromPos = positions[edge.from];
-                    const toPos = positions[edge.to];
-                    if (!fromPos || !toPos) return null;
-                    
-                    const midX = (fromPos.x + toPos.x) / 2;
-                    const midY = (fromPos.y + toPos.y) / 2;
+        <div className="form-container" style={{maxWidth: '1000px'}}>
+            <div className="dashboard-header">
+                <div>
+                    <h2>Saved Projects</h2>
+                    <p style={{color: 'var(--color-text-muted)'}}>Threat models are saved in this browser after every analysis.</p>
+                </div>
+                <button onClick={onBack} className="btn btn-secondary">Back</button>
+            </div>
 
-                    return (
-                        <g key={`edge-${i}`}>
-                            <path
-                                d={`M ${fromPos.x} ${fromPos.y} L ${toPos.x} ${toPos.y}`}
-                                className="diagram-edge"
-                            />
-                            <text x={midX} y={midY - 5} className="diagram-edge-label">
-                                {edge.label}
-                            </text>
-                        </g>
-                    );
-                })}
-                
-                {/* Nodes */}
-                {nodes.map(node => {
-                    const pos = positions[node.id];
-                    if (!pos) return null;
-                    return (
-                       <g key={node.id} transform={`translate(${pos.x - nodeWidth/2}, ${pos.y - nodeHeight/2})`}>
-                           <rect 
-                             width={nodeWidth}
-                             height={nodeHeight}
-                             rx="6"
-                             className="diagram-node-rect"
-                           />
-                           <text x={nodeWidth/2} y={nodeHeight/2} className="diagram-node-text">
-                               {node.label}
-                           </text>
-                       </g>
-                    );
-                })}
-            </svg>
+            {loadError && <div className="alert-box alert-danger">{loadError}</div>}
+
+            {projects === null ? (
+                <p style={{color: 'var(--color-text-muted)'}}>Loading saved projects…</p>
+            ) : projects.length === 0 ? (
+                <div className="card" style={{textAlign: 'center', color: 'var(--color-text-muted)'}}>No saved projects yet. Run an analysis to create one.</div>
+            ) : (
+                <div className="card" style={{padding: 0}}>
+                    <table className="threat-table">
+                        <thead>
+                            <tr>
+                                <th>Project</th>
+                                <th>Last Analyzed</th>
+                                <th>Analyses</th>
+                                <th>Threats</th>
+                                <th style={{textAlign: 'right'}}>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {projects.map(project => {
+                                const latest = project.history[0];
+                                const isExpanded = expanded === project.id;
+                                return (
+                                    <React.Fragment key={project.id}>
+                                        <tr>
+                                            <td>
+                                                <div style={{display: 'flex', alignItems: 'center', gap: '0.5rem'}}>
+                                                    <button onClick={() => toggleExpanded(project.id)} style={iconButton} aria-label="Show history">
+                                                        {isExpanded ? <ChevronDown size={16}/> : <ChevronRight size={16}/>}
+                                                    </button>
+                                                    {renaming?.id === project.id ? (
+                                                        <input
+                                                            autoFocus
+                                                            className="form-input form-input-sm"
+                                                            value={renaming.name}
+                                                            onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                                                            onBlur={commitRename}
+                                                            onKeyDown={(e) => {
+                                                                if (e.key === 'Enter') commitRename();
+                                                                if (e.key === 'Escape') setRenaming(null);
+                                                            }}
+                                                        />
+                                                    ) : (
+                                                        <span style={{fontWeight: 600}}>{project.name}</span>
+                                                    )}
+                                                </div>
+                                            </td>
+                                            <td style={{color: 'var(--color-text-muted)'}}>{latest ? formatDate(latest.analyzedAt) : '—'}</td>
+                                            <td>{project.history.length}</td>
+                                            <td>{latest?.summary.threatCount ?? '—'}</td>
+                                            <td style={{textAlign: 'right', whiteSpace: 'nowrap'}}>
+                                                <button onClick={() => onOpen(project, latest.id)} disabled={!latest} className="btn" style={{padding: '0.4rem 0.9rem', fontSize: '0.85rem', marginRight: '0.5rem'}}>Open</button>
+                                                <button onClick={() => setRenaming({ id: project.id, name: project.name })} style={iconButton} title="Rename" aria-label="Rename"><Edit2 size={16}/></button>
+                                                <button onClick={() => handleDuplicate(project)} style={iconButton} title="Duplicate" aria-label="Duplicate"><Copy size={16}/></button>
+                                                <button onClick={() => handleDelete(project)} style={{...iconButton, color: 'var(--color-danger)'}} title="Delete" aria-label="Delete"><Trash2 size={16}/></button>
+                                            </td>
+                                        </tr>
+                                        {isExpanded && project.history.map(entry => (
+                                            <tr key={entry.id} className="history-row">
+                                                <td style={{paddingLeft: '3rem'}}>
+                                                    <label style={{display: 'flex', alignItems: 'center', gap: '0.5rem'}}>
+                                                        {project.history.length > 1 && (
+                                                            <input type="checkbox" checked={compareIds.includes(entry.id)} onChange={() => toggleCompare(entry.id)} aria-label="Select for comparison" />
+                                                        )}
+                                                        {formatDate(entry.analyzedAt)}
+                                                    </label>
+                                                    <div style={{fontSize: '0.8rem', color: 'var(--color-text-muted)'}}>
+                                                        {entry.sources.length > 0 ? entry.sources.map(src => (
+                                                            <span key={src.hash + src.name} title={`SHA-256 ${src.hash}`} style={{marginRight: '0.75rem'}}>{src.name}</span>
+                                                        )) : 'Edited diagram only'}
+                                                    </div>
+                                                </td>
+                                                <td style={{color: 'var(--color-text-muted)', fontSize: '0.85rem'}}>{entry.provider || '—'}</td>
+                                                <td style={{color: 'var(--color-text-muted)', fontSize: '0.85rem'}}>{entry.summary.assetCount} assets, {entry.summary.dataFlowCount} flows</td>
+                                                <td>{entry.summary.threatCount}</td>
+                                                <td style={{textAlign: 'right', whiteSpace: 'nowrap'}}>
+                                                    {entry.redactions.length > 0 && (
+                                                        <button
+                                                            onClick={() => downloadRedactionLog(entry.redactions, { projectName: project.name, provider: entry.provider })}
+                                                            style={iconButton}
+                                                            title={`Download the log of ${entry.redactions.length} redaction${entry.redactions.length === 1 ? '' : 's'}`}
+                                                            aria-label="Download redaction log"
+                                                        >
+                                                            <EyeOff size={16}/>
+                                                        </button>
+                                                    )}
+                                                    <button onClick={() => onOpen(project, entry.id)} className="btn btn-secondary" style={{padding: '0.4rem 0.9rem', fontSize: '0.85rem'}}>Open</button>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                        {isExpanded && project.history.length > 1 && (
+                                            <tr className="history-row">
+                                                <td colSpan={5} style={{paddingLeft: '3rem'}}>
+                                                    <div style={{display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '1rem'}}>
+                                                        <span style={{fontSize: '0.85rem', color: 'var(--color-text-muted)'}}>Tick two analyses to see what changed between them.</span>
+                                                        <button onClick={() => handleCompare(project)} disabled={compareIds.length !== 2} className="btn btn-secondary" style={{padding: '0.4rem 0.9rem', fontSize: '0.85rem'}}>
+                                                            <GitCompare size={16}/> Compare
+                                                        </button>
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </React.Fragment>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
         </div>
     );
 };
 
+// Values selected through a shared link that no threat has any more stay listed, so they can be unticked.
+const FilterMenu = ({ label, options, selected, describe, onChange }) => {
+    const [open, setOpen] = useState(false);
+    const listed = [...options, ...selected.filter(value => !options.some(o => o.value === value)).map(value => ({ value, count: 0 }))];
+    const toggle = (value) => onChange(selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value]);
+    return (
+        <div style={{position: 'relative'}}>
+            <button onClick={() => setOpen(!open)} className="btn btn-secondary" aria-haspopup="true" aria-expanded={open} disabled={listed.length === 0}>
+                {label}{selected.length > 0 && ` (${selected.length})`} <ChevronDown size={16}/>
+            </button>
+            {open && (
+                <div className="export-menu filter-menu">
+                    {listed.map(({ value, count }) => (
+                        <label key={value}>
+                            <input type="checkbox" checked={selected.includes(value)} onChange={() => toggle(value)} />
+                            {describe(value)} <span style={{color: 'var(--color-text-muted)'}}>({count})</span>
+                        </label>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+const SortHeader = ({ column, label, view, onSort }) => {
+    const active = view.sort === column;
+    const Arrow = view.dir === 'asc' ? ChevronUp : ChevronDown;
+    return (
+        <th aria-sort={active ? (view.dir === 'asc' ? 'ascending' : 'descending') : undefined}>
+            <button onClick={() => onSort(column)} className="sort-button" style={{color: active ? 'var(--color-text)' : undefined}}>
+                {label} {active && <Arrow size={14}/>}
+            </button>
+        </th>
+    );
+};
 
-const ResultsDashboard = ({ projectName, analysis, onReset }) => {
-    const [selectedThreat, setSelectedThreat] = useState(null);
+const describeFilterValue = (filter, value) => {
+    if (filter !== 'cwe') return value;
+    if (value === 'none') return 'No CWE reference';
+    const reference = describeReference('cwe', value);
+    return `${reference.id}${reference.name ? ` ${reference.name}` : ' (unverified)'}`;
+};
+
+const ExportMenu = ({ onExport }) => {
+    const [open, setOpen] = useState(false);
+    return (
+        <div style={{position: 'relative'}}>
+            <button onClick={() => setOpen(!open)} className="btn btn-secondary" aria-haspopup="menu" aria-expanded={open}>
+                <FileText size={20}/> Export <ChevronDown size={16}/>
+            </button>
+            {open && (
+                <div className="export-menu" role="menu">
+                    {EXPORT_FORMATS.map(format => (
+                        <button key={format.id} role="menuitem" onClick={() => { setOpen(false); onExport(format.id); }}>
+                            {format.label}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// The category with the most threats; ties go to the one with the riskier threat, as threats arrive ranked.
+const topCategory = (threats) => {
+    const counts = new Map();
+    threats.forEach(t => counts.set(t.category, (counts.get(t.category) || 0) + 1));
+    return [...counts].reduce((top, entry) => (entry[1] > top[1] ? entry : top))[0];
+};
+
+const ResultsDashboard = ({ projectName, analysis, analysisId, sources, onReset, onAnalysisChange, onReanalyze, error }) => {
+    const [selectedThreatId, setSelectedThreatId] = useState(null);
+    const [isEditingDiagram, setIsEditingDiagram] = useState(false);
+    const [diagramChanged, setDiagramChanged] = useState(false);
+    const [exportError, setExportError] = useState(null);
+    const [tableView, setTableView] = useState(() => parseView(window.location.search));
     const { assets, dataFlows, threats, diagramData } = analysis;
 
+    // The table view lives in the address bar, next to the saved analysis it
+    // belongs to, and leaves with the dashboard.
+    useEffect(() => {
+        window.history.replaceState(null, '', `${window.location.pathname}${viewSearch(tableView, { analysis: analysisId })}`);
+    }, [tableView, analysisId]);
+    useEffect(() => () => window.history.replaceState(null, '', window.location.pathname), []);
+
+    const handleDiagramChange = (diagram, { autoLayout = false } = {}) => {
+        const updated = applyDiagram(analysis, diagram);
+        onAnalysisChange({ ...updated, threats: renameThreatComponents(threats, diagramData, diagram) });
+        if (!autoLayout) setDiagramChanged(true);
+    };
+
+    const selectedThreat = threats.find(t => t.id === selectedThreatId);
+    const handleThreatUpdate = (updated) => {
+        onAnalysisChange({ ...analysis, threats: threats.map(t => (t.id === updated.id ? updated : t)) });
+    };
+
     const handleSavePdf = () => {
         window.print();
     };
 
-    const severityCounts = useMemo(() => {
-        return threats.reduce((acc, threat) => {
-            acc[threat.severity] = (acc[threat.severity] || 0) + 1;
-            return acc;
-        }, {});
-    }, [threats]);
+    const handleExport = (formatId) => {
+        try {
+            downloadExport(formatId, analysis, { projectName, sources });
+            setExportError(null);
+        } catch (e) {
+            console.error("Export failed:", e);
+            setExportError(`The ${formatId.toUpperCase()} export could not be created. Please check your console.`);
+        }
+    };
+
+    // Highest risk score first; sorting a copy keeps the analysis itself untouched.
+    const rankedThreats = useMemo(() => [...threats].sort(byScore), [threats]);
+    const groups = useMemo(() => groupByMethodology(rankedThreats, analysisMethodologies(analysis)), [rankedThreats, analysis]);
+    const options = useMemo(() => filterOptions(threats), [threats]);
+    const filtered = isFiltered(tableView);
+    const shownThreats = useMemo(() => sortThreats(filterThreats(threats, tableView), tableView), [threats, tableView]);
+
+    const sections = useMemo(() => {
+        switch (tableView.group) {
+            case 'cwe':
+                return groupByReference(shownThreats, 'cwe').map(({ reference, threats: groupThreats }) => ({
+                    key: reference?.id || 'none',
+                    title: reference ? `${reference.id}: ${reference.name || 'not in the bundled catalog'}` : 'No CWE reference',
+                    column: 'Category',
+                    threats: groupThreats,
+                }));
+            case 'category':
+            case 'component':
+                return groupThreatsBy(shownThreats, tableView.group).map(({ value, threats: groupThreats }) => ({
+                    key: value,
+                    title: value,
+                    column: 'Category',
+                    threats: groupThreats,
+                }));
+            case 'none':
+                return [{
+                    key: 'all',
+                    title: 'Prioritized Threats',
+                    column: 'Category',
+                    threats: shownThreats,
+                    empty: filtered ? 'No threats match the search and filters.' : 'No threats were identified.',
+                }];
+            default:
+                return groupByMethodology(shownThreats, analysisMethodologies(analysis))
+                    // With a search or filter on, methodologies without a matching threat are left out.
+                    .filter(({ threats: groupThreats }) => !filtered || groupThreats.length > 0)
+                    .map(({ methodology, threats: groupThreats }) => ({
+                        key: methodology.id,
+                        title: `Prioritized Threats (${methodology.label})`,
+                        summary: `${methodology.summary}${groupThreats.length > 0 ? ` Most common: ${topCategory(groupThreats)}.` : ''}`,
+                        column: methodology.column,
+                        threats: groupThreats,
+                        empty: `No ${methodology.label} threats were identified.`,
+                    }));
+        }
+    }, [tableView.group, shownThreats, filtered, analysis]);
+
+    const updateView = (changes) => setTableView(view => ({ ...view, ...changes }));
+    const handleSort = (column) => setTableView(view => toggleSort(view, column));
+    const toggleSection = (key) => updateView({
+        collapsed: tableView.collapsed.includes(key) ? tableView.collapsed.filter(k => k !== key) : [...tableView.collapsed, key],
+    });
+
+    const risk = useMemo(() => riskSummary(threats), [threats]);
+    const totalRisk = risk.open.risk + risk.resolved.risk;
 
     const stats = [
-        { name: 'Identified Threats', value: threats.length, icon: AlertTriangle, color: 'var(--color-warning)' },
-        { name: 'High-Risk Threats', value: (severityCounts['High'] || 0) + (severityCounts['Critical'] || 0), icon: Zap, color: 'var(--color-danger)' },
+        {
+            name: 'Identified Threats',
+            value: threats.length,
+            detail: groups.length > 1 ? groups.map(g => `${g.threats.length} ${g.methodology.label}`).join(' · ') : undefined,
+            icon: AlertTriangle,
+            color: 'var(--color-warning)',
+        },
+        { name: 'High-Risk Threats', value: threats.filter(t => scoreThreat(t).score >= 7).length, detail: 'Risk score 7 or higher', icon: Zap, color: 'var(--color-danger)' },
         { name: 'Identified Assets', value: assets.size, icon: Server, color: 'var(--color-primary)' },
         { name: 'Data Flows', value: dataFlows.length, icon: ArrowRight, color: 'var(--color-success)' },
+        {
+            name: 'Open Risk',
+            value: risk.open.risk,
+            detail: `${risk.open.count} open threat${risk.open.count === 1 ? '' : 's'}${risk.overdue ? `, ${risk.overdue} overdue` : ''}`,
+            icon: AlertTriangle,
+            color: 'var(--color-danger)',
+        },
+        {
+            name: 'Resolved Risk',
+            value: totalRisk ? `${Math.round((risk.resolved.risk / totalRisk) * 100)}%` : '—',
+            detail: `${risk.resolved.risk} of ${totalRisk} risk points, ${risk.resolved.count} threat${risk.resolved.count === 1 ? '' : 's'}`,
+            icon: ShieldCheck,
+            color: 'var(--color-success)',
+        },
     ];
     
     return (
@@ -815,10 +1786,22 @@ const ResultsDashboard = ({ projectName, analysis, onReset }) => {
                 </div>
                  <div className="dashboard-actions no-print">
                      <button onClick={onReset} className="btn btn-secondary">Start New Analysis</button>
+                     <ExportMenu onExport={handleExport} />
                      <button onClick={handleSavePdf} className="btn"><Download size={20}/> Save as PDF</button>
                  </div>
             </div>
 
+            {error && <div className="alert-box alert-danger no-print">{error}</div>}
+            {exportError && <div className="alert-box alert-danger no-print">{exportError}</div>}
+            {analysis.warnings?.length > 0 && (
+                <div className="alert-box alert-warning no-print">
+                    The model's answer had problems that could not be corrected:
+                    <ul style={{margin: '0.5rem 0 0', paddingLeft: '1.25rem', fontSize: '0.9rem'}}>
+                        {analysis.warnings.map((warning, i) => <li key={i}>{warning}</li>)}
+                    </ul>
+                </div>
+            )}
+
             <div className="stats-grid">
                 {stats.map(stat => (
                     <div key={stat.name} className="card" style={{display:'flex', alignItems:'center', gap:'1rem'}}>
@@ -828,6 +1811,7 @@ const ResultsDashboard = ({ projectName, analysis, onReset }) => {
                         <div>
                             <p style={{fontSize:'1.75rem', fontWeight:'bold', margin:0}}>{stat.value}</p>
                             <p style={{color: 'var(--color-text-muted)', margin:0, fontSize: '0.9rem'}}>{stat.name}</p>
+                            {stat.detail && <p style={{color: 'var(--color-text-muted)', margin:0, fontSize: '0.75rem'}}>{stat.detail}</p>}
                         </div>
                     </div>
                 ))}
@@ -835,8 +1819,53 @@ const ResultsDashboard = ({ projectName, analysis, onReset }) => {
             
             <div className="main-grid">
                <div className="card">
-                    <h5>Architecture & Data Flow Diagram</h5>
-                    <DataFlowDiagram nodes={diagramData.nodes} edges={diagramData.edges} />
+                    <div className="card-header">
+                        <h5>Architecture & Data Flow Diagram</h5>
+                        <div className="dashboard-actions no-print">
+                            {diagramChanged && (
+                                <button onClick={() => onReanalyze(diagramData)} className="btn" style={{padding: '0.5rem 1rem', fontSize: '0.9rem'}}>
+                                    <Cpu size={16}/> Re-run Threat Analysis
+                                </button>
+                            )}
+                            <button onClick={() => setIsEditingDiagram(!isEditingDiagram)} className="btn btn-secondary" style={{padding: '0.5rem 1rem', fontSize: '0.9rem'}}>
+                                {isEditingDiagram ? 'Done Editing' : 'Edit Diagram'}
+                            </button>
+                        </div>
+                    </div>
+                    <DataFlowDiagram diagram={diagramData} editable={isEditingDiagram} onChange={handleDiagramChange} />
+               </div>
+               <div className="card">
+                   <h5>Data Flows</h5>
+                   {dataFlows.length === 0 ? (
+                       <p style={{color: 'var(--color-text-muted)', fontSize: '0.9rem'}}>No data flows were identified in the artifacts.</p>
+                   ) : (
+                       <div style={{overflowX:'auto'}}>
+                         <table className="threat-table">
+                             <thead>
+                                 <tr>
+                                     <th>Source</th>
+                                     <th>Destination</th>
+                                     <th>Protocol</th>
+                                     <th>Data Classification</th>
+                                     <th>Trust Boundary</th>
+                                 </tr>
+                             </thead>
+                             <tbody>
+                                 {dataFlows.map((flow, i) => (
+                                     <tr key={`${flow.source}-${flow.destination}-${i}`}>
+                                         <td>{flow.source}</td>
+                                         <td>{flow.destination}</td>
+                                         <td>{flow.protocol}</td>
+                                         <td>{flow.dataClassification}</td>
+                                         <td style={{color: flow.crossesTrustBoundary ? 'var(--color-danger)' : 'var(--color-text-muted)', fontWeight: flow.crossesTrustBoundary ? 600 : 400}}>
+                                             {flow.crossesTrustBoundary ? 'Crosses' : 'Internal'}
+                                         </td>
+                                     </tr>
+                                 ))}
+                             </tbody>
+                         </table>
+                       </div>
+                   )}
                </div>
                <div className="card">
                    <h5>Key Assets Identified</h5>
@@ -849,34 +1878,93 @@ const ResultsDashboard = ({ projectName, analysis, onReset }) => {
                         ))}
                    </ul>
                </div>
+               <div className="card">
+                   <h5>Risk Matrix</h5>
+                   <RiskMatrix threats={threats} onSelect={(t) => setSelectedThreatId(t.id)} />
+               </div>
             </div>
 
-             <div className="card" style={{marginTop:'2rem', padding: '0'}}>
-                <h5 style={{padding:'1.5rem 1.5rem 0'}}>Prioritized Threats (STRIDE Framework)</h5>
-                <div style={{overflowX:'auto'}}>
-                  <table className="threat-table">
-                      <thead>
-                          <tr>
-                              <th>Severity</th>
-                              <th>Category</th>
-                              <th>Threat Description</th>
-                              <th>Component</th>
-                              <th className="no-print">Action</th>
-                          </tr>
-                      </thead>
-                      <tbody>
-                          {threats.sort((a,b) => {
-                              const order = { 'Critical': 4, 'High': 3, 'Medium': 2, 'Low': 1 };
-                              return order[b.severity] - order[a.severity];
-                          }).map(threat => (
-                              <ThreatItem key={threat.id} threat={threat} onSelect={setSelectedThreat}/>
-                          ))}
-                      </tbody>
-                  </table>
+            <div className="card no-print" style={{marginTop:'2rem', display: 'flex', gap: '1rem', alignItems: 'flex-end', flexWrap: 'wrap'}}>
+                <div style={{flex: '1 1 16rem'}}>
+                    <label htmlFor="threat-search" className="field-label">Search threats</label>
+                    <input id="threat-search" type="search" value={tableView.q} onChange={(e) => updateView({ q: e.target.value })} className="form-input" placeholder="Threat, component, mitigation, owner, CWE…" />
+                </div>
+                {FILTERS.map(filter => (
+                    <FilterMenu
+                        key={filter.id}
+                        label={filter.label}
+                        options={options[filter.id]}
+                        selected={tableView[filter.id]}
+                        describe={(value) => describeFilterValue(filter.id, value)}
+                        onChange={(values) => updateView({ [filter.id]: values })}
+                    />
+                ))}
+                <div>
+                    <label htmlFor="threat-group-by" className="field-label">Group by</label>
+                    <select id="threat-group-by" value={tableView.group} onChange={(e) => updateView({ group: e.target.value, collapsed: [] })} className="form-input">
+                        {Object.entries(GROUP_OPTIONS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                    </select>
                 </div>
+                {filtered && (
+                    <p style={{margin: 0, color: 'var(--color-text-muted)', fontSize: '0.9rem', flexBasis: '100%'}}>
+                        Showing {shownThreats.length} of {threats.length} threats. <button onClick={() => setTableView(clearFilters)} style={{background: 'none', border: 'none', padding: 0, cursor: 'pointer', color: 'var(--color-primary)'}}>Clear search and filters</button>
+                    </p>
+                )}
             </div>
 
-            {selectedThreat && <MitigationModal threat={selectedThreat} onClose={() => setSelectedThreat(null)} />}
+            {sections.length === 0 && (
+                <div className="card" style={{marginTop:'2rem'}}>
+                    <p style={{margin: 0, color: 'var(--color-text-muted)'}}>No threats match the search and filters.</p>
+                </div>
+            )}
+
+            {sections.map(section => {
+                const collapsed = tableView.collapsed.includes(section.key);
+                return (
+                    <div key={section.key} className="card" style={{marginTop:'2rem', padding: collapsed ? '0 0 1.5rem' : '0'}}>
+                        <h5 style={{padding:'1.5rem 1.5rem 0'}}>
+                            <button onClick={() => toggleSection(section.key)} className="section-toggle" aria-expanded={!collapsed}>
+                                {collapsed ? <ChevronRight size={20}/> : <ChevronDown size={20}/>} {section.title}
+                                <span style={{color: 'var(--color-text-muted)', fontWeight: 400, fontSize: '0.9rem'}}>· {section.threats.length} {section.threats.length === 1 ? 'threat' : 'threats'}</span>
+                            </button>
+                        </h5>
+                        {section.summary && (
+                            <p style={{padding:'0 1.5rem', margin: '0.25rem 0 0', color: 'var(--color-text-muted)', fontSize: '0.9rem'}}>{section.summary}</p>
+                        )}
+                        {collapsed ? null : section.threats.length === 0 ? (
+                            <p style={{padding:'1rem 1.5rem 1.5rem', margin: 0, color: 'var(--color-text-muted)'}}>{section.empty}</p>
+                        ) : (
+                            <div style={{overflowX:'auto'}}>
+                                <table className="threat-table">
+                                    <thead>
+                                        <tr>
+                                            <SortHeader column="severity" label="Severity" view={tableView} onSort={handleSort} />
+                                            <SortHeader column="score" label="Score" view={tableView} onSort={handleSort} />
+                                            <SortHeader column="category" label={section.column} view={tableView} onSort={handleSort} />
+                                            <SortHeader column="threat" label="Threat Description" view={tableView} onSort={handleSort} />
+                                            <SortHeader column="component" label="Component" view={tableView} onSort={handleSort} />
+                                            <th>CWE</th>
+                                            <SortHeader column="status" label="Status" view={tableView} onSort={handleSort} />
+                                            <SortHeader column="owner" label="Owner" view={tableView} onSort={handleSort} />
+                                            <SortHeader column="dueDate" label="Due" view={tableView} onSort={handleSort} />
+                                            <th className="no-print">Action</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {section.threats.map(threat => (
+                                            <ThreatItem key={threat.id} threat={threat} onSelect={(t) => setSelectedThreatId(t.id)}/>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+
+            <ControlCoverage threats={rankedThreats} onSelect={(t) => setSelectedThreatId(t.id)} />
+
+            {selectedThreat && <MitigationModal threat={selectedThreat} onUpdate={handleThreatUpdate} onClose={() => setSelectedThreatId(null)} />}
         </div>
     );
 };
@@ -890,7 +1978,41 @@ function App() {
   const [analysisResult, setAnalysisResult] = useState(null);
   const [error, setError] = useState(null);
   const [formError, setFormError] = useState('');
+  const [providerSettings, setProviderSettings] = useState(loadProviderSettings);
+  const [saved, setSaved] = useState({ projectId: null, analysisId: null });
+  const [importError, setImportError] = useState(null);
+  const [progress, setProgress] = useState(null);
+  // What the next run sends, as reviewed, and the `{ diagram, infrastructure }` it was built from.
+  const [redaction, setRedaction] = useState(null);
+  const [pendingRun, setPendingRun] = useState(null);
+  const [isPreparing, setIsPreparing] = useState(false);
+  const [methodologies, setMethodologies] = useState(DEFAULT_METHODOLOGIES);
   const abortControllerRef = useRef(null);
+  const providerName = `${providerSettings.provider}${providerSettings.model ? ` / ${providerSettings.model}` : ''}`;
+
+  useEffect(() => {
+    saveProviderSettings(providerSettings);
+  }, [providerSettings]);
+
+  // Keep edits to the open model (diagram changes and the like) in its saved copy.
+  const savedAnalysisRef = useRef(null);
+  useEffect(() => {
+    if (!analysisResult || !saved.analysisId || savedAnalysisRef.current === analysisResult) return;
+    const timer = setTimeout(() => {
+      savedAnalysisRef.current = analysisResult;
+      projectStore.updateAnalysis(saved.analysisId, analysisResult)
+        .catch(e => console.error("Could not save changes to the threat model:", e));
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [analysisResult, saved.analysisId]);
+
+  // Nothing is sent until it has been reviewed: the files and the context that
+  // goes along with them are redacted together, and the run sends exactly that.
+  const openReview = ({ diagram, infrastructure }) => {
+    setRedaction(redactFiles(files, describeContext({ diagram, infrastructure })));
+    setPendingRun({ diagram, infrastructure });
+    setView('review');
+  };
 
   const handleStartAnalysis = async () => {
     if (!projectName || files.length === 0) {
@@ -898,23 +2020,71 @@ function App() {
       return;
     }
     setFormError('');
+    setIsPreparing(true);
+    try {
+      const infrastructure = await extractInfrastructure(files);
+      infrastructure.errors.forEach(message => console.warn("Could not parse infrastructure file:", message));
+      openReview({ infrastructure });
+    } catch (e) {
+      console.error("Could not prepare the analysis:", e);
+      setFormError('The files could not be prepared for analysis. Please check your console and try again.');
+    } finally {
+      setIsPreparing(false);
+    }
+  };
+
+  // Re-analyzes the threats against an edited diagram, keeping its assets and flows.
+  // An edited diagram already says which assets and flows exist, so nothing is parsed.
+  const handleReanalyze = (diagram) => openReview({ diagram });
+
+  const runAnalysis = async ({ diagram, infrastructure } = {}) => {
     setError(null);
+    setProgress(null);
     setView('analyzing');
     
     abortControllerRef.current = new AbortController();
     
     try {
-        const result = await aiEngine.analyzeArtifacts(files, { signal: abortControllerRef.current.signal });
+        const result = await aiEngine.analyzeArtifacts(files, {
+            signal: abortControllerRef.current.signal,
+            settings: providerSettings,
+            diagram,
+            infrastructure,
+            redaction,
+            // A re-run keeps the open model's triage and the methodologies it was analyzed with.
+            previous: diagram ? analysisResult : undefined,
+            methodologies: diagram ? analysisMethodologies(analysisResult) : methodologies,
+            onProgress: setProgress,
+        });
         setAnalysisResult(result);
         setView('results');
+
+        try {
+            // Re-runs join the open project's history; fresh analyses start a new project.
+            const ids = await projectStore.saveAnalysis({
+                projectId: saved.projectId,
+                projectName,
+                files,
+                analysis: result,
+                provider: providerName,
+                redactions: redaction.log,
+            });
+            savedAnalysisRef.current = result;
+            setSaved(ids);
+        } catch (saveError) {
+            console.error("Could not save the threat model locally:", saveError);
+        }
     } catch (e) {
         if (e.name === 'AbortError') {
           console.log('Analysis was canceled by the user.');
           // handleReset is called from the cancel handler to give immediate feedback
         } else {
           console.error("Analysis failed:", e);
-          setError("Failed to analyze artifacts. The AI model may be unavailable or the input is invalid. Please check your console and try again.");
-          setView('form');
+          setError(e instanceof ChunkAnalysisError
+              ? `${e.message} Please check your console and try again.`
+              : "Failed to analyze artifacts. The AI model may be unavailable or the input is invalid. Please check your console and try again.");
+          // A failed re-analysis keeps the model that is already on screen.
+          setView(diagram ? 'results' : 'form');
         }
     }
   };
@@ -923,24 +2093,129 @@ function App() {
       if (abortControllerRef.current) {
           abortControllerRef.current.abort();
       }
-      handleReset(); // Reset the state immediately for better UX
+      // Reset the state immediately for better UX; a cancelled re-analysis returns to the current model.
+      if (analysisResult) {
+          setView('results');
+      } else {
+          handleReset();
+      }
+  };
+
+  // Only uses setters and refs, so it keeps its identity for the effect below.
+  const handleOpenProject = useCallback(async (project, analysisId) => {
+      try {
+          const record = await projectStore.loadAnalysis(analysisId);
+          savedAnalysisRef.current = record.analysis;
+          setSaved({ projectId: project.id, analysisId });
+          setProjectName(project.name);
+          setFiles([]);
+          setAnalysisResult(record.analysis);
+          setError(null);
+          setView('results');
+      } catch (e) {
+          console.error("Could not open the saved threat model:", e);
+          setError("The saved threat model could not be opened.");
+          setView('form');
+      }
+  }, []);
+
+  // A shared link names the saved analysis its table view belongs to; open it if this browser has it.
+  useEffect(() => {
+      const analysisId = new URLSearchParams(window.location.search).get('analysis');
+      if (!analysisId) return;
+      projectStore.listProjects()
+          .then(projects => {
+              const project = projects.find(p => p.history.some(entry => entry.id === analysisId));
+              if (project) handleOpenProject(project, analysisId);
+              else setError("The linked threat model is not saved in this browser.");
+          })
+          .catch(e => console.error("Could not open the linked threat model:", e));
+  }, [handleOpenProject]);
+
+  // Opens an exported JSON model, a .tm7 file or Threat Dragon JSON without calling the LLM and saves it as a new project.
+  const handleImport = async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+      try {
+          const content = await file.text();
+          const imported = importModelFile(file.name, content);
+          const name = imported.projectName || file.name.replace(/\.(json|tm7)$/i, '');
+          setImportError(null);
+          setError(null);
+          setProjectName(name);
+          setFiles([]);
+          setAnalysisResult(imported.analysis);
+          setView('results');
+
+          try {
+              const ids = await projectStore.saveAnalysis({
+                  projectId: null,
+                  projectName: name,
+                  files: [{ name: file.name, size: file.size, content }],
+                  analysis: imported.analysis,
+                  provider: `import (${imported.format === 'json' ? 'JSON' : EXTERNAL_FORMATS[imported.format]})`,
+              });
+              savedAnalysisRef.current = imported.analysis;
+              setSaved(ids);
+          } catch (saveError) {
+              console.error("Could not save the imported threat model locally:", saveError);
+          }
+      } catch (importFailure) {
+          if (importFailure instanceof ImportError) {
+              setImportError({ message: `${file.name}: ${importFailure.message}`, details: importFailure.details });
+          } else {
+              console.error("Import failed:", importFailure);
+              setImportError({ message: `${file.name} could not be read.`, details: [] });
+          }
+      }
   };
 
   const handleReset = () => {
       setProjectName('');
       setFiles([]);
+      setSaved({ projectId: null, analysisId: null });
       setAnalysisResult(null);
       setError(null);
       setFormError('');
+      setImportError(null);
+      setRedaction(null);
+      setPendingRun(null);
+      setMethodologies(DEFAULT_METHODOLOGIES);
       setView('form');
   }
   
   const renderContent = () => {
     switch(view) {
+        case 'review':
+            return (
+                <RedactionReview
+                    projectName={projectName}
+                    provider={getProvider(providerSettings.provider).label}
+                    redaction={redaction}
+                    reanalysis={Boolean(pendingRun.diagram)}
+                    onConfirm={() => runAnalysis(pendingRun)}
+                    onBack={() => setView(pendingRun.diagram ? 'results' : 'form')}
+                    onDownloadLog={() => downloadRedactionLog(redaction.log, { projectName, provider: providerName })}
+                />
+            );
         case 'analyzing':
-            return <AnalysisInProgress projectName={projectName} onCancel={handleCancelAnalysis} />;
+            return <AnalysisInProgress projectName={projectName} progress={progress} onCancel={handleCancelAnalysis} />;
         case 'results':
-            return <ResultsDashboard projectName={projectName} analysis={analysisResult} onReset={handleReset}/>;
+            return (
+                <ResultsDashboard
+                    projectName={projectName}
+                    analysis={analysisResult}
+                    analysisId={saved.analysisId}
+                    sources={files}
+                    onReset={handleReset}
+                    onAnalysisChange={setAnalysisResult}
+                    onReanalyze={handleReanalyze}
+                    error={error}
+                />
+            );
+        case 'projects':
+            return <ProjectHistory onOpen={handleOpenProject} onBack={() => setView(analysisResult ? 'results' : 'form')} />;
         case 'form':
         default:
             return (
@@ -952,7 +2227,17 @@ function App() {
 
                     {error && <div className="alert-box alert-danger">{error}</div>}
                     {formError && <div className="alert-box alert-warning">{formError}</div>}
-                    
+                    {importError && (
+                        <div className="alert-box alert-danger">
+                            {importError.message}
+                            {importError.details.length > 0 && (
+                                <ul style={{margin: '0.5rem 0 0', paddingLeft: '1.25rem', fontSize: '0.9rem'}}>
+                                    {importError.details.map(detail => <li key={detail}><code>{detail}</code></li>)}
+                                </ul>
+                            )}
+                        </div>
+                    )}
+
                     <div style={{display:'flex', flexDirection:'column', gap:'1.5rem'}}>
                       <div>
                           <label htmlFor="project-name" style={{marginBottom:'0.5rem', display:'block', fontWeight: 600}}>Project Name</label>
@@ -966,13 +2251,22 @@ function App() {
                           />
                       </div>
                       
-                      <FileUploader onFilesAdded={setFiles} />
+                      <ProviderSettings settings={providerSettings} onChange={setProviderSettings} />
+
+                      <MethodologyPicker selected={methodologies} onChange={setMethodologies} />
+
+                      <FileUploader files={files} onFilesChange={setFiles} />
                     </div>
                     
-                    <div style={{display:'flex', justifyContent:'flex-end', marginTop:'2rem', paddingTop:'2rem', borderTop: `1px solid var(--color-border)`}}>
-                        <button onClick={handleStartAnalysis} disabled={!projectName || files.length === 0} className="btn">
+                    <div style={{display:'flex', justifyContent:'space-between', alignItems:'center', gap:'1rem', marginTop:'2rem', paddingTop:'2rem', borderTop: `1px solid var(--color-border)`}}>
+                        <label htmlFor="model-import" className="btn btn-secondary" title="Open a JSON export, a Microsoft Threat Modeling Tool (.tm7) file or an OWASP Threat Dragon model">
+                            <Upload size={20} />
+                            <span>Import Model</span>
+                        </label>
+                        <input id="model-import" type="file" accept=".json,.tm7,application/json" style={{display: 'none'}} onChange={handleImport} />
+                        <button onClick={handleStartAnalysis} disabled={!projectName || files.length === 0 || isPreparing} className="btn">
                             <Cpu size={20} />
-                            <span>Start AI Analysis</span>
+                            <span>{isPreparing ? 'Preparing…' : 'Start AI Analysis'}</span>
                         </button>
                     </div>
                 </div>
@@ -983,7 +2277,7 @@ function App() {
   return (
     <>
       <Styles />
-      <Header />
+      <Header onOpenProjects={() => setView('projects')} />
       <main>
           {renderContent()}
       </main>
@@ -0,0 +1,106 @@
+import React, { useMemo, useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { CONTROL_FRAMEWORKS, controlCoverage } from './complianceControls';
+
+// --- CONTROL COVERAGE ---
+// Which controls of a framework the model's mitigations address, family by
+// family, so that a threat model can be handed to an auditor as evidence.
+// Controls no mitigation maps to are hidden until asked for; they are the
+// gaps rather than the evidence.
+
+const BADGE_CLASS = {
+    'Implemented': 'status-badge status-mitigated',
+    'Partially implemented': 'status-badge status-in-progress',
+    'Planned': 'status-badge status-accepted',
+};
+
+const ThreatLinks = ({ threats, onSelect }) => (
+    <ul style={{listStyle: 'none', padding: 0, margin: 0, display: 'flex', flexDirection: 'column', gap: '0.25rem'}}>
+        {threats.map(threat => (
+            <li key={threat.id}>
+                <button onClick={() => onSelect(threat)} title={`${threat.status}: ${threat.threat}`} style={{background: 'none', border: 'none', padding: 0, cursor: 'pointer', color: 'var(--color-primary)', textAlign: 'left'}}>
+                    {threat.threat.length > 80 ? `${threat.threat.slice(0, 77)}…` : threat.threat}
+                </button>
+            </li>
+        ))}
+    </ul>
+);
+
+const ControlCoverage = ({ threats, onSelect }) => {
+    const [frameworkId, setFrameworkId] = useState(CONTROL_FRAMEWORKS[0].id);
+    const [showGaps, setShowGaps] = useState(false);
+    const coverages = useMemo(() => CONTROL_FRAMEWORKS.map(f => controlCoverage(threats, f.id)), [threats]);
+    const coverage = coverages.find(c => c.framework.id === frameworkId);
+    const { framework, families, addressed, implemented, total, unlisted } = coverage;
+
+    return (
+        <div className="card" style={{marginTop: '2rem'}}>
+            <div className="card-header">
+                <h5 style={{margin: 0}}>Control Coverage</h5>
+                <div className="no-print" style={{display: 'flex', gap: '1rem', alignItems: 'center', flexWrap: 'wrap'}}>
+                    <select aria-label="Control framework" value={frameworkId} onChange={(e) => setFrameworkId(e.target.value)} className="form-input">
+                        {coverages.map(c => (
+                            <option key={c.framework.id} value={c.framework.id}>{c.framework.title} ({c.addressed}/{c.total})</option>
+                        ))}
+                    </select>
+                    <label style={{display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.9rem'}}>
+                        <input type="checkbox" checked={showGaps} onChange={(e) => setShowGaps(e.target.checked)} /> Show controls not addressed
+                    </label>
+                </div>
+            </div>
+            <p style={{color: 'var(--color-text-muted)', fontSize: '0.9rem'}}>
+                The mitigations address <strong style={{color: 'var(--color-text)'}}>{addressed} of {total}</strong> {framework.title} controls; {implemented} of them are implemented, with every threat mapped to them marked Mitigated.
+            </p>
+            {addressed === 0 && unlisted.length === 0 && !showGaps && (
+                <p style={{color: 'var(--color-text-muted)', margin: 0}}>No mitigation is mapped to {framework.label} yet.</p>
+            )}
+            {families.map(family => {
+                const familyAddressed = family.controls.filter(c => c.threats.length > 0);
+                const shown = showGaps ? family.controls : familyAddressed;
+                if (shown.length === 0) return null;
+                return (
+                    <div key={family.id} style={{marginTop: '1.5rem'}}>
+                        <h6 style={{display: 'flex', justifyContent: 'space-between', gap: '1rem', margin: '0 0 0.5rem'}}>
+                            <span>{family.id} {family.name}</span>
+                            <span style={{color: 'var(--color-text-muted)', fontWeight: 400}}>{familyAddressed.length}/{family.controls.length}</span>
+                        </h6>
+                        <div style={{overflowX: 'auto'}}>
+                            <table className="threat-table">
+                                <thead>
+                                    <tr>
+                                        <th>Control</th>
+                                        <th>Name</th>
+                                        <th>Status</th>
+                                        <th>Addressed by</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {shown.map(control => (
+                                        <tr key={control.id}>
+                                            <td style={{fontWeight: 600, whiteSpace: 'nowrap'}}>{control.id}</td>
+                                            <td>{control.name}</td>
+                                            <td>
+                                                {BADGE_CLASS[control.status]
+                                                    ? <span className={BADGE_CLASS[control.status]}>{control.status}</span>
+                                                    : <span style={{color: 'var(--color-text-muted)'}}>{control.status}</span>}
+                                            </td>
+                                            <td><ThreatLinks threats={control.threats} onSelect={onSelect} /></td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                );
+            })}
+            {unlisted.length > 0 && (
+                <div className="alert-box alert-warning" style={{marginTop: '1.5rem', marginBottom: 0}}>
+                    <strong><AlertTriangle size={16} style={{verticalAlign: 'text-bottom'}}/> Not in the bundled {framework.label} catalog.</strong>
+                    {' '}Verify these before using them as evidence: {unlisted.map(c => `${c.id} (${c.threats.length} ${c.threats.length === 1 ? 'threat' : 'threats'})`).join(', ')}.
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ControlCoverage;
@@ -0,0 +1,477 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { MousePointer, Plus, ArrowRight, Square, Trash2, ZoomIn, ZoomOut, Maximize, Shuffle } from 'lucide-react';
+import { DATA_CLASSIFICATIONS } from './aiEngine';
+import { CANVAS, NODE_HEIGHT, NODE_TYPES, NODE_WIDTH, isBoundary, nextId, withPositions } from './diagramModel';
+import { LAYOUTS, diagramBounds, layoutDiagram, placeEdgeLabels, suggestLayout } from './diagramLayout';
+
+// --- DATA FLOW DIAGRAM ---
+// Read-only by default. With `editable`, nodes can be dragged, added, renamed,
+// retyped and deleted, flows drawn between them and trust boundaries boxed in.
+// Every edit is reported through `onChange` with the complete new diagram;
+// automatic layouts pass `{ autoLayout: true }` as a second argument since
+// they move elements without changing the model. Pan by dragging the
+// background and zoom with the wheel or the view controls.
+
+const MIN_BOUNDARY_SIZE = 20;
+const MAX_LABEL_CHARS = 22;
+const ZOOM_STEP = 1.25;
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+const zoomView = (view, factor, center = { x: view.x + view.width / 2, y: view.y + view.height / 2 }) => ({
+    x: center.x - (center.x - view.x) / factor,
+    y: center.y - (center.y - view.y) / factor,
+    width: view.width / factor,
+    height: view.height / factor,
+});
+
+// Shortens the segment from `a` to `b` so it stops at the border of the node box around `b`.
+const clipToNode = (a, b) => {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    if (dx === 0 && dy === 0) return b;
+    const scale = Math.min(
+        dx === 0 ? Infinity : (NODE_WIDTH / 2 + 4) / Math.abs(dx),
+        dy === 0 ? Infinity : (NODE_HEIGHT / 2 + 4) / Math.abs(dy),
+    );
+    return scale >= 1 ? b : { x: b.x + dx * scale, y: b.y + dy * scale };
+};
+
+const ViewControls = ({ layout, setLayout, onLayout, isLayingOut, onZoom, onFit }) => (
+    <div className="diagram-toolbar no-print">
+        <span className="diagram-toolbar-group">
+            <select value={layout} onChange={(e) => setLayout(e.target.value)} className="form-input form-input-sm" aria-label="Layout algorithm">
+                {LAYOUTS.map(l => <option key={l.id} value={l.id}>{l.label}</option>)}
+            </select>
+            <button type="button" onClick={onLayout} disabled={isLayingOut} className="btn btn-tool"><Shuffle size={16} /> {isLayingOut ? 'Laying out…' : 'Auto-layout'}</button>
+        </span>
+        <span className="diagram-toolbar-group" style={{marginLeft: 'auto'}}>
+            <button type="button" onClick={() => onZoom(ZOOM_STEP)} className="btn btn-tool" title="Zoom in" aria-label="Zoom in"><ZoomIn size={16} /></button>
+            <button type="button" onClick={() => onZoom(1 / ZOOM_STEP)} className="btn btn-tool" title="Zoom out" aria-label="Zoom out"><ZoomOut size={16} /></button>
+            <button type="button" onClick={onFit} className="btn btn-tool" title="Fit to view" aria-label="Fit to view"><Maximize size={16} /></button>
+        </span>
+    </div>
+);
+
+const NodeShape = ({ node, selected }) => {
+    const className = `diagram-node-rect diagram-node-${node.type} ${selected ? 'diagram-selected' : ''}`;
+    switch (node.type) {
+        case 'dataStore':
+            return (
+                <>
+                    <rect width={NODE_WIDTH} height={NODE_HEIGHT} className={className} />
+                    <line x1="0" y1="1" x2={NODE_WIDTH} y2="1" className="diagram-store-line" />
+                    <line x1="0" y1={NODE_HEIGHT - 1} x2={NODE_WIDTH} y2={NODE_HEIGHT - 1} className="diagram-store-line" />
+                </>
+            );
+        case 'externalEntity':
+            return <rect width={NODE_WIDTH} height={NODE_HEIGHT} className={className} />;
+        case 'process':
+        default:
+            return <rect width={NODE_WIDTH} height={NODE_HEIGHT} rx={NODE_HEIGHT / 2} className={className} />;
+    }
+};
+
+const DiagramToolbar = ({ tool, setTool, onAddNode, onDelete, canDelete, pendingFrom }) => {
+    const [newType, setNewType] = useState('process');
+    const toolButton = (id, Icon, label) => (
+        <button type="button" onClick={() => setTool(id)} className={`btn btn-tool ${tool === id ? 'btn-tool-active' : ''}`} title={label}>
+            <Icon size={16} /> {label}
+        </button>
+    );
+
+    return (
+        <div className="diagram-toolbar no-print">
+            {toolButton('select', MousePointer, 'Select')}
+            {toolButton('connect', ArrowRight, pendingFrom ? 'Pick target…' : 'Add Flow')}
+            {toolButton('boundary', Square, 'Draw Boundary')}
+            <span className="diagram-toolbar-group">
+                <select value={newType} onChange={(e) => setNewType(e.target.value)} className="form-input form-input-sm" aria-label="Element type">
+                    {NODE_TYPES.filter(t => t.id !== 'trustBoundary').map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+                </select>
+                <button type="button" onClick={() => onAddNode(newType)} className="btn btn-tool"><Plus size={16} /> Add Element</button>
+            </span>
+            <button type="button" onClick={onDelete} disabled={!canDelete} className="btn btn-tool btn-danger"><Trash2 size={16} /> Delete</button>
+        </div>
+    );
+};
+
+const PropertiesPanel = ({ diagram, selection, onUpdateNode, onUpdateEdge }) => {
+    if (!selection) {
+        return <p className="diagram-hint">Select an element or flow to edit it. Drag elements to move them.</p>;
+    }
+
+    if (selection.kind === 'node') {
+        const node = diagram.nodes.find(n => n.id === selection.id);
+        if (!node) return null;
+        return (
+            <div className="settings-grid diagram-properties">
+                <div>
+                    <label htmlFor="node-label" className="field-label">Name</label>
+                    <input id="node-label" type="text" value={node.label} onChange={(e) => onUpdateNode(node.id, { label: e.target.value })} className="form-input form-input-sm" />
+                </div>
+                {!isBoundary(node) && (
+                    <div>
+                        <label htmlFor="node-type" className="field-label">Type</label>
+                        <select id="node-type" value={node.type} onChange={(e) => onUpdateNode(node.id, { type: e.target.value })} className="form-input form-input-sm">
+                            {NODE_TYPES.filter(t => t.id !== 'trustBoundary').map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+                        </select>
+                    </div>
+                )}
+            </div>
+        );
+    }
+
+    const edge = diagram.edges.find(e => e.id === selection.id);
+    if (!edge) return null;
+    const boundariesDrawn = diagram.nodes.some(isBoundary);
+    return (
+        <div className="settings-grid diagram-properties">
+            <div>
+                <label htmlFor="edge-label" className="field-label">Label / Protocol</label>
+                <input id="edge-label" type="text" value={edge.label || ''} onChange={(e) => onUpdateEdge(edge.id, { label: e.target.value })} className="form-input form-input-sm" />
+            </div>
+            <div>
+                <label htmlFor="edge-classification" className="field-label">Data Classification</label>
+                <select id="edge-classification" value={edge.dataClassification || ''} onChange={(e) => onUpdateEdge(edge.id, { dataClassification: e.target.value })} className="form-input form-input-sm">
+                    {DATA_CLASSIFICATIONS.map(c => <option key={c} value={c}>{c}</option>)}
+                </select>
+            </div>
+            <label className="field-label" style={{display: 'flex', alignItems: 'center', gap: '0.5rem', alignSelf: 'end'}} title={boundariesDrawn ? 'Computed from the trust boundary boxes' : undefined}>
+                <input type="checkbox" checked={Boolean(edge.crossesTrustBoundary)} disabled={boundariesDrawn} onChange={(e) => onUpdateEdge(edge.id, { crossesTrustBoundary: e.target.checked })} />
+                Crosses trust boundary
+            </label>
+        </div>
+    );
+};
+
+const DataFlowDiagram = ({ diagram, editable = false, onChange }) => {
+    const svgRef = useRef(null);
+    const [tool, setTool] = useState('select');
+    const [selection, setSelection] = useState(null);
+    const [pendingFrom, setPendingFrom] = useState(null);
+    const [drag, setDrag] = useState(null);
+    const [pan, setPan] = useState(null);
+    const [draftBoundary, setDraftBoundary] = useState(null);
+    const [layout, setLayout] = useState(() => diagram.layout || suggestLayout(diagram));
+    const [isLayingOut, setIsLayingOut] = useState(false);
+    const [view, setView] = useState(null);
+
+    const positioned = useMemo(() => withPositions(diagram), [diagram]);
+    const { nodes, edges } = positioned;
+    const byId = useMemo(() => Object.fromEntries(nodes.map(n => [n.id, n])), [nodes]);
+
+    // Stored routes come from the last automatic layout; moving an element
+    // drops the routes of its flows, which are then drawn straight.
+    const routes = useMemo(() => edges.filter(e => byId[e.from] && byId[e.to]).map(edge => {
+        const from = byId[edge.from];
+        const to = byId[edge.to];
+        const points = edge.points?.length >= 2 ? edge.points : [clipToNode(to, from), clipToNode(from, to)];
+        return { id: edge.id, label: edge.label, points };
+    }), [edges, byId]);
+    const labelPositions = useMemo(() => placeEdgeLabels(nodes, routes), [nodes, routes]);
+    const bounds = useMemo(() => diagramBounds(nodes, routes), [nodes, routes]);
+    const currentView = view || bounds;
+
+    const runLayout = async (algorithm) => {
+        setIsLayingOut(true);
+        try {
+            const laidOut = await layoutDiagram(diagram, algorithm);
+            onChange(laidOut, { autoLayout: true });
+            setView(null);
+        } catch (e) {
+            console.error("Diagram layout failed:", e);
+        } finally {
+            setIsLayingOut(false);
+        }
+    };
+
+    // Freshly analyzed models have no positions yet: lay them out once.
+    const needsLayout = diagram.nodes.some(n => !isBoundary(n) && (n.x === undefined || n.y === undefined));
+    const layoutRequested = useRef(false);
+    useEffect(() => {
+        if (!needsLayout || layoutRequested.current) return;
+        layoutRequested.current = true;
+        runLayout(layout);
+    });
+
+    // Printing always shows the whole diagram.
+    useEffect(() => {
+        const fit = () => setView(null);
+        window.addEventListener('beforeprint', fit);
+        return () => window.removeEventListener('beforeprint', fit);
+    }, []);
+
+    // React registers wheel listeners as passive, so zooming needs a native one.
+    useEffect(() => {
+        const svg = svgRef.current;
+        if (!svg) return;
+        const handleWheel = (e) => {
+            e.preventDefault();
+            const point = svg.createSVGPoint();
+            point.x = e.clientX;
+            point.y = e.clientY;
+            const center = point.matrixTransform(svg.getScreenCTM().inverse());
+            setView(v => zoomView(v || bounds, e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, center));
+        };
+        svg.addEventListener('wheel', handleWheel, { passive: false });
+        return () => svg.removeEventListener('wheel', handleWheel);
+    }, [bounds]);
+
+    if (nodes.length === 0 && !editable) {
+        return (
+            <div className="diagram-container" style={{ display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                <p style={{ color: 'var(--color-text-muted)', fontSize: '0.9rem' }}>No architectural assets identified to draw a diagram.</p>
+            </div>
+        );
+    }
+
+    const commit = (changes) => onChange({ ...positioned, ...changes });
+
+    const toSvgPoint = (e) => {
+        const svg = svgRef.current;
+        const point = svg.createSVGPoint();
+        point.x = e.clientX;
+        point.y = e.clientY;
+        return point.matrixTransform(svg.getScreenCTM().inverse());
+    };
+
+    const changeTool = (next) => {
+        setTool(next);
+        setPendingFrom(null);
+    };
+
+    const addNode = (type) => {
+        const id = nextId(nodes);
+        const label = `New ${NODE_TYPES.find(t => t.id === type).label}`;
+        const center = { x: currentView.x + currentView.width / 2, y: currentView.y + currentView.height / 2 };
+        commit({ nodes: [...nodes, { id, label, type, ...center }] });
+        setSelection({ kind: 'node', id });
+        changeTool('select');
+    };
+
+    const updateNode = (id, changes) => commit({ nodes: nodes.map(n => n.id === id ? { ...n, ...changes } : n) });
+    const updateEdge = (id, changes) => commit({ edges: edges.map(e => e.id === id ? { ...e, ...changes } : e) });
+
+    const moveNode = (node, x, y) => commit({
+        nodes: nodes.map(n => n.id === node.id ? { ...n, x, y } : n),
+        edges: isBoundary(node) ? edges : edges.map(e => (e.from === node.id || e.to === node.id ? { ...e, points: undefined } : e)),
+    });
+
+    const deleteSelection = () => {
+        if (!selection) return;
+        if (selection.kind === 'node') {
+            commit({
+                nodes: nodes.filter(n => n.id !== selection.id),
+                edges: edges.filter(e => e.from !== selection.id && e.to !== selection.id),
+            });
+        } else {
+            commit({ edges: edges.filter(e => e.id !== selection.id) });
+        }
+        setSelection(null);
+    };
+
+    const handleNodePointerDown = (e, node) => {
+        // Boundaries may be drawn starting on top of existing elements.
+        if (!editable || tool === 'boundary') return;
+        e.stopPropagation();
+        if (tool === 'connect' && !isBoundary(node)) {
+            if (!pendingFrom) {
+                setPendingFrom(node.id);
+            } else if (pendingFrom !== node.id) {
+                const id = nextId(edges, 'e');
+                commit({ edges: [...edges, { id, from: pendingFrom, to: node.id, label: 'HTTPS', dataClassification: 'Internal', crossesTrustBoundary: false }] });
+                setSelection({ kind: 'edge', id });
+                setPendingFrom(null);
+            }
+            return;
+        }
+        const point = toSvgPoint(e);
+        setSelection({ kind: 'node', id: node.id });
+        setDrag({ id: node.id, dx: point.x - node.x, dy: point.y - node.y });
+        e.currentTarget.setPointerCapture?.(e.pointerId);
+    };
+
+    const handleCanvasPointerDown = (e) => {
+        if (editable && tool === 'boundary') {
+            const point = toSvgPoint(e);
+            setDraftBoundary({ x0: point.x, y0: point.y, x1: point.x, y1: point.y });
+            return;
+        }
+        if (editable) {
+            setSelection(null);
+            setPendingFrom(null);
+        }
+        const ctm = svgRef.current.getScreenCTM();
+        setPan({ clientX: e.clientX, clientY: e.clientY, view: currentView, scale: ctm.a });
+        e.currentTarget.setPointerCapture?.(e.pointerId);
+    };
+
+    const handlePointerMove = (e) => {
+        if (drag) {
+            const point = toSvgPoint(e);
+            const node = byId[drag.id];
+            if (node) moveNode(node, point.x - drag.dx, point.y - drag.dy);
+        } else if (draftBoundary) {
+            const point = toSvgPoint(e);
+            setDraftBoundary({ ...draftBoundary, x1: point.x, y1: point.y });
+        } else if (pan) {
+            setView({
+                ...pan.view,
+                x: pan.view.x - (e.clientX - pan.clientX) / pan.scale,
+                y: pan.view.y - (e.clientY - pan.clientY) / pan.scale,
+            });
+        }
+    };
+
+    const handlePointerUp = () => {
+        if (draftBoundary) {
+            const box = {
+                x: Math.min(draftBoundary.x0, draftBoundary.x1),
+                y: Math.min(draftBoundary.y0, draftBoundary.y1),
+                width: Math.abs(draftBoundary.x1 - draftBoundary.x0),
+                height: Math.abs(draftBoundary.y1 - draftBoundary.y0),
+            };
+            if (box.width >= MIN_BOUNDARY_SIZE && box.height >= MIN_BOUNDARY_SIZE) {
+                const id = nextId(nodes);
+                const count = nodes.filter(isBoundary).length + 1;
+                commit({ nodes: [...nodes, { id, label: `Trust Boundary ${count}`, type: 'trustBoundary', ...box }] });
+                setSelection({ kind: 'node', id });
+            }
+            setDraftBoundary(null);
+            changeTool('select');
+        }
+        setDrag(null);
+        setPan(null);
+    };
+
+    const handleKeyDown = (e) => {
+        if (!editable || !selection) return;
+        if ((e.key === 'Delete' || e.key === 'Backspace') && e.target === svgRef.current) {
+            e.preventDefault();
+            deleteSelection();
+        }
+    };
+
+    const isSelected = (kind, id) => selection?.kind === kind && selection.id === id;
+    const edgeById = Object.fromEntries(edges.map(e => [e.id, e]));
+    const cursor = tool === 'boundary' && editable ? 'crosshair' : pan ? 'grabbing' : 'grab';
+
+    return (
+        <div>
+            <ViewControls
+                layout={layout}
+                setLayout={setLayout}
+                onLayout={() => runLayout(layout)}
+                isLayingOut={isLayingOut}
+                onZoom={(factor) => setView(zoomView(currentView, factor))}
+                onFit={() => setView(null)}
+            />
+            {editable && (
+                <DiagramToolbar
+                    tool={tool}
+                    setTool={changeTool}
+                    onAddNode={addNode}
+                    onDelete={deleteSelection}
+                    canDelete={Boolean(selection)}
+                    pendingFrom={pendingFrom}
+                />
+            )}
+            <div className={`diagram-container ${editable ? 'diagram-editing' : ''}`}>
+                <svg
+                    ref={svgRef}
+                    width="100%"
+                    viewBox={`${currentView.x} ${currentView.y} ${currentView.width} ${currentView.height}`}
+                    tabIndex={editable ? 0 : undefined}
+                    onPointerDown={handleCanvasPointerDown}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                    onKeyDown={handleKeyDown}
+                    style={{ cursor, touchAction: 'none' }}
+                >
+                    <defs>
+                        <marker id="arrowhead" markerWidth="10" markerHeight="7" refX="8" refY="3.5" orient="auto">
+                            <polygon points="0 0, 10 3.5, 0 7" fill="var(--color-medium-blue)" />
+                        </marker>
+                        <marker id="arrowhead-boundary" markerWidth="10" markerHeight="7" refX="8" refY="3.5" orient="auto">
+                            <polygon points="0 0, 10 3.5, 0 7" fill="var(--color-danger)" />
+                        </marker>
+                    </defs>
+
+                    {/* Trust boundaries sit underneath everything else */}
+                    {nodes.filter(isBoundary).map(node => (
+                        <g key={node.id} onPointerDown={(e) => handleNodePointerDown(e, node)} style={{ cursor: editable ? 'move' : 'inherit' }}>
+                            <rect x={node.x} y={node.y} width={node.width} height={node.height} rx="8" className={`diagram-boundary ${isSelected('node', node.id) ? 'diagram-selected' : ''}`} />
+                            <text x={node.x + 8} y={node.y + 16} className="diagram-boundary-label">{node.label}</text>
+                        </g>
+                    ))}
+
+                    {/* Edges */}
+                    {routes.map(route => {
+                        const edge = edgeById[route.id];
+                        const d = route.points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x} ${p.y}`).join(' ');
+                        return (
+                            <g key={route.id} onPointerDown={(e) => {
+                                if (!editable) return;
+                                e.stopPropagation();
+                                setSelection({ kind: 'edge', id: edge.id });
+                            }}>
+                                {editable && <path d={d} className="diagram-edge-hitbox" />}
+                                <path
+                                    d={d}
+                                    className={`diagram-edge ${edge.crossesTrustBoundary ? 'diagram-edge-boundary' : ''} ${isSelected('edge', edge.id) ? 'diagram-edge-selected' : ''}`}
+                                >
+                                    <title>{`${edge.label} · ${edge.dataClassification}${edge.crossesTrustBoundary ? ' · crosses trust boundary' : ''}`}</title>
+                                </path>
+                            </g>
+                        );
+                    })}
+
+                    {/* Nodes */}
+                    {nodes.filter(n => !isBoundary(n)).map(node => (
+                        <g
+                            key={node.id}
+                            transform={`translate(${node.x - NODE_WIDTH / 2}, ${node.y - NODE_HEIGHT / 2})`}
+                            onPointerDown={(e) => handleNodePointerDown(e, node)}
+                            style={{ cursor: editable ? (tool === 'connect' ? 'crosshair' : 'move') : 'inherit' }}
+                            className={pendingFrom === node.id ? 'diagram-node-pending' : undefined}
+                        >
+                            <title>{node.label}</title>
+                            <NodeShape node={node} selected={isSelected('node', node.id)} />
+                            <text x={NODE_WIDTH / 2} y={NODE_HEIGHT / 2} className="diagram-node-text">
+                                {truncate(node.label, MAX_LABEL_CHARS)}
+                            </text>
+                        </g>
+                    ))}
+
+                    {/* Edge labels go last so no element can hide them */}
+                    {routes.map(route => {
+                        const position = labelPositions[route.id];
+                        if (!position) return null;
+                        return (
+                            <g key={`label-${route.id}`} pointerEvents="none">
+                                <rect x={position.x - position.width / 2} y={position.y - 11} width={position.width} height={14} rx="3" className="diagram-edge-label-bg" />
+                                <text x={position.x} y={position.y} className="diagram-edge-label">{route.label}</text>
+                            </g>
+                        );
+                    })}
+
+                    {draftBoundary && (
+                        <rect
+                            x={Math.min(draftBoundary.x0, draftBoundary.x1)}
+                            y={Math.min(draftBoundary.y0, draftBoundary.y1)}
+                            width={Math.abs(draftBoundary.x1 - draftBoundary.x0)}
+                            height={Math.abs(draftBoundary.y1 - draftBoundary.y0)}
+                            className="diagram-boundary"
+                        />
+                    )}
+                </svg>
+            </div>
+            {editable && (
+                <PropertiesPanel diagram={positioned} selection={selection} onUpdateNode={updateNode} onUpdateEdge={updateEdge} />
+            )}
+        </div>
+    );
+};
+
+export default DataFlowDiagram;
@@ -0,0 +1,120 @@
+import React, { useMemo, useState } from 'react';
+import { Download, EyeOff, ShieldCheck } from 'lucide-react';
+import { REDACTION_TYPES, summarizeRedactions } from './redaction';
+
+// --- REDACTION REVIEW ---
+// The last step before anything leaves the browser: what was redacted, where,
+// and the exact text each file will be sent as. `redaction` comes from
+// redactFiles and is what the analysis sends, including the context that goes
+// along with the files (the parsed infrastructure, or on a `reanalysis` the
+// edited diagram); `provider` names where it is going.
+
+const MAX_PREVIEW_CHARS = 20000;
+
+const RedactionReview = ({ projectName, provider, redaction, reanalysis = false, onConfirm, onBack, onDownloadLog }) => {
+    // The context is previewed like a file, under the name its redactions are logged with.
+    const textFiles = [...redaction.files.filter(f => f.kind !== 'image'), ...redaction.context];
+    const images = redaction.files.filter(f => f.kind === 'image');
+    const [previewName, setPreviewName] = useState(() => (
+        (redaction.log[0] && textFiles.find(f => f.name === redaction.log[0].where)?.name) || textFiles[0]?.name || ''
+    ));
+    const counts = useMemo(() => summarizeRedactions(redaction.log), [redaction.log]);
+    const preview = textFiles.find(f => f.name === previewName);
+    const redactedFiles = new Set(redaction.log.map(entry => entry.where)).size;
+
+    return (
+        <div>
+            <div className="dashboard-header">
+                <div>
+                    <h2>{reanalysis ? 'Review Before Re-analyzing' : 'Review Before Sending'}: {projectName}</h2>
+                    <p style={{color: 'var(--color-text-muted)'}}>
+                        {redaction.log.length === 0
+                            ? `Nothing sensitive was found. The files below are sent to ${provider} as shown.`
+                            : `${redaction.log.length} value${redaction.log.length === 1 ? ' was' : 's were'} redacted in ${redactedFiles} file${redactedFiles === 1 ? '' : 's'} before sending to ${provider}.`}
+                        {redaction.context.map(c => ` The ${c.name} is sent along with the files and can be previewed below.`)}
+                    </p>
+                </div>
+                <div className="dashboard-actions">
+                    <button onClick={onBack} className="btn btn-secondary">Back</button>
+                    <button onClick={onDownloadLog} disabled={redaction.log.length === 0} className="btn btn-secondary">
+                        <Download size={18}/> Redaction Log
+                    </button>
+                    <button onClick={onConfirm} className="btn">
+                        <ShieldCheck size={18}/> Send for Analysis
+                    </button>
+                </div>
+            </div>
+
+            {images.length > 0 && (
+                <div className="alert-box alert-warning">
+                    Images cannot be redacted and are sent as uploaded: {images.map(f => f.name).join(', ')}.
+                </div>
+            )}
+
+            {Object.keys(counts).length > 0 && (
+                <div className="stats-grid">
+                    {Object.entries(counts).map(([type, count]) => (
+                        <div key={type} className="card">
+                            <p style={{fontSize: '1.75rem', fontWeight: 'bold', margin: 0, color: 'var(--color-warning)'}}>{count}</p>
+                            <p style={{color: 'var(--color-text-muted)', margin: 0, fontSize: '0.9rem'}}>{REDACTION_TYPES[type]}{count === 1 ? '' : 's'}</p>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="main-grid">
+                {redaction.log.length > 0 && (
+                    <div className="card">
+                        <h5 style={{display: 'flex', alignItems: 'center', gap: '0.5rem'}}><EyeOff size={18}/> Redactions</h5>
+                        <table className="threat-table">
+                            <thead>
+                                <tr>
+                                    <th>Placeholder</th>
+                                    <th>Type</th>
+                                    <th>Location</th>
+                                    <th>Length</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {redaction.log.map((entry, i) => (
+                                    // The same value can appear twice on one line, so the position breaks ties.
+                                    <tr key={`${entry.where}:${entry.line}:${entry.placeholder}:${i}`}>
+                                        <td><code>{entry.placeholder}</code></td>
+                                        <td>{entry.label}</td>
+                                        <td>
+                                            <button onClick={() => setPreviewName(entry.where)} style={{background: 'none', border: 'none', padding: 0, cursor: 'pointer', color: 'var(--color-primary)'}}>
+                                                {entry.where}:{entry.line}
+                                            </button>
+                                        </td>
+                                        <td style={{color: 'var(--color-text-muted)'}}>{entry.length} chars</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                {textFiles.length > 0 && (
+                    <div className="card">
+                        <div className="card-header">
+                            <h5 style={{margin: 0}}>What will be sent</h5>
+                            <select value={previewName} onChange={(e) => setPreviewName(e.target.value)} className="form-input" style={{maxWidth: '20rem'}} aria-label="File or context to preview">
+                                {textFiles.map(f => <option key={f.name} value={f.name}>{f.name}</option>)}
+                            </select>
+                        </div>
+                        {preview && (
+                            <pre className="code-block" style={{maxHeight: '28rem', overflow: 'auto'}}>
+                                <code>
+                                    {preview.content.slice(0, MAX_PREVIEW_CHARS)}
+                                    {preview.content.length > MAX_PREVIEW_CHARS && `\n… ${preview.content.length - MAX_PREVIEW_CHARS} more characters`}
+                                </code>
+                            </pre>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default RedactionReview;
@@ -0,0 +1,356 @@
+import { getProvider, resolveProviderSettings } from './llmProviders';
+import { applyDiagram, describeDiagram, inferNodeType } from './diagramModel';
+import { carryOverLifecycle, withLifecycleDefaults } from './threatLifecycle';
+import { DREAD_FACTORS, withRisk } from './riskScoring';
+import { REFERENCE_TYPES, withReferences } from './threatReferences';
+import { CONTROL_FRAMEWORKS } from './complianceControls';
+import { DEFAULT_METHODOLOGIES, METHODOLOGIES, METHODOLOGY_IDS, analysisMethodologies, categoriesFor } from './methodologies';
+import { matchThreats, threatKey } from './analysisDiff';
+import { EXTERNAL_FORMATS, describeExternalModel, isImportedThreat, parseExternalModel } from './externalModels';
+import { ChunkAnalysisError, chunkArtifacts, chunkBudget, estimateTokens, mergeChunkResults } from './chunkedAnalysis';
+import { describeInfrastructure, hasInfrastructure } from './iacParsers';
+import { isRuleFinding, runRules } from './ruleEngine';
+import { parsePartialJson } from './partialJson';
+import { buildRepairPrompt, checkResponse, salvageResponse } from './responseValidation';
+
+// --- AI/ML ANALYSIS ENGINE ---
+// Builds the prompt and response schema, hands them to the configured LLM
+// provider and turns the model's JSON into the dashboard's analysis object.
+
+// Uploaded .tm7 and Threat Dragon files are existing models; they reach the
+// model as structured context instead of raw XML/JSON.
+const readExistingModel = (file) => {
+    try {
+        return parseExternalModel(file.name, file.content || '');
+    } catch {
+        return null;
+    }
+};
+
+const toArtifact = (file) => {
+    if (file.kind === 'image') {
+        return { name: file.name, heading: 'IMAGE', content: '(attached below as an image)', image: { mimeType: file.mimeType, data: file.data } };
+    }
+    if (file.kind === 'pdf') return { name: file.name, heading: `PDF TEXT (${file.pages} pages)`, content: file.content || '' };
+    const existing = readExistingModel(file);
+    return existing
+        ? { name: file.name, heading: `EXISTING THREAT MODEL (${EXTERNAL_FORMATS[existing.format]})`, content: JSON.stringify(describeExternalModel(existing), null, 2), existing }
+        : { name: file.name, heading: 'FILE', content: file.content || '' };
+};
+
+// What the prompt carries besides the files, as the exact text that is sent:
+// the edited diagram on a re-run, otherwise the infrastructure iacParsers
+// extracted, if any. `[{ id, name, content }]`, so that the redaction review
+// can show it and redactFiles can redact it along with the files.
+export const describeContext = ({ diagram, infrastructure }) => {
+    if (diagram) return [{ id: 'diagram', name: 'edited diagram', content: JSON.stringify(describeDiagram(diagram), null, 2) }];
+    if (hasInfrastructure(infrastructure)) {
+        return [{ id: 'infrastructure', name: 'parsed infrastructure', content: JSON.stringify(describeInfrastructure(infrastructure), null, 2) }];
+    }
+    return [];
+};
+
+// `part` ({ index, total }) tells the model it only sees one chunk of a larger project.
+// `context` comes from describeContext. `methodologies` are ids from methodologies.js.
+const buildPrompt = (artifacts, context, part, methodologies) => {
+    const combinedContent = artifacts.map(a => `--- ${a.heading}: ${a.name} ---\n${a.content}`).join('\n\n');
+    const diagram = context.find(c => c.id === 'diagram')?.content;
+    const infrastructure = context.find(c => c.id === 'infrastructure')?.content;
+    const scope = part && part.total > 1 ? `
+    This is part ${part.index} of ${part.total} of a larger project; the other parts are analyzed separately and merged afterwards. Report the assets, data flows and threats evidenced by the artifacts below, naming assets the way the whole system would.
+    ` : '';
+
+    // An edited diagram overrides whatever the model would infer from the files.
+    const architecture = diagram ? `
+    **Current Architecture Model (maintained by the team; treat it as authoritative):**
+    ${diagram}
+
+    Use exactly the elements of this model as the assets and exactly its data flows as the data flows. Base the threats on this model, using the artifacts for supporting detail.
+    ` : '';
+
+    const parsed = !diagram && infrastructure ? `
+    **Extracted Infrastructure (parsed from the IaC files, manifests and API specs, not inferred):**
+    ${infrastructure}
+
+    These components and connections exist. Use the \`asset\` names above verbatim as assets and include these data flows; add further assets and flows only where the artifacts evidence them. Endpoints with auth "none" are unauthenticated.
+    ` : '';
+
+    const frameworks = METHODOLOGIES.filter(m => methodologies.includes(m.id)).map(m => `
+        - **${m.label}:** ${m.instruction} Categories: ${m.categories.map(c => `'${c.name}' (${c.hint})`).join('; ')}.`).join('');
+
+    return `
+    Analyze the following software project artifacts and generate a threat model.
+    ${scope}${architecture}${parsed}
+    **Project Artifacts:**
+    ${combinedContent || '(none)'}
+
+    **Instructions:**
+    1.  Identify the key assets in the system (e.g., 'User Database', 'API Gateway', 'Authentication Service'). Provide at least 3 assets.
+    2.  Identify the data flows between assets that are evidenced by the artifacts. For each flow give its source and destination (each must be one of the identified assets), the protocol (e.g., 'HTTPS', 'gRPC', 'SQL/TLS', 'AMQP'), the classification of the data carried ('Public', 'Internal', 'Confidential', 'Restricted') and whether it crosses a trust boundary (e.g., internet to DMZ, service to third party, app tier to data tier). Do not invent flows that the artifacts do not support.
+    3.  Based on the assets and their data flows, identify potential threats.
+    4.  Analyze the system with ${methodologies.length > 1 ? 'each of the following methodologies' : 'the following methodology'} and set each threat's category to one of the categories of the methodology it was found with:${frameworks}
+    5.  Assign a severity level ('Critical', 'High', 'Medium', 'Low') to each threat, and score its DREAD factors from 0 to 10: damage, reproducibility, exploitability, affected users and discoverability. The severity is recalculated from the average of the factors (9+ Critical, 7+ High, 4+ Medium), so score them carefully.
+    6.  Pinpoint the affected component (must be one of the identified assets) for each threat.
+    7.  Suggest a detailed mitigation strategy, and map it to the controls it implements: OWASP ASVS 4.0.3 requirements (\`asvs\`, e.g. 'V2.1.1'), NIST SP 800-53 Rev. 5 controls (\`nist\`, e.g. 'AC-6' or 'AC-2(1)') and ISO/IEC 27001:2022 Annex A controls (\`iso27001\`, e.g. 'A.8.24'). Map only controls the mitigation actually implements.
+    8.  Provide a relevant, concise code snippet in an appropriate language demonstrating the mitigation principle.
+    9.  Reference each threat's weaknesses (\`cwe\`, e.g. 'CWE-89'), attack patterns (\`capec\`, e.g. 'CAPEC-66') and MITRE ATT&CK Enterprise techniques (\`attack\`, e.g. 'T1190' or 'T1078.004'). Cite only identifiers you are certain exist and fit the threat; an empty list is better than a guess.
+    10. Artifacts marked EXISTING THREAT MODEL were drawn by the team in another tool. Extend them: keep their elements as assets and their data flows, and add only threats that are not already listed there.
+    11. Artifacts marked IMAGE are attached as images, in the order listed; they are usually architecture or data flow diagrams. Read their boxes as assets and their arrows and labels as data flows, and reconcile them with the other artifacts.
+
+    You must return ONLY a single valid JSON object matching the provided schema. Do not include any other text, explanations, or markdown formatting like \`\`\`json.
+    `;
+};
+
+export const DATA_CLASSIFICATIONS = ["Public", "Internal", "Confidential", "Restricted"];
+
+// The threat categories are those of the chosen methodologies.
+export const threatModelSchema = (methodologies = DEFAULT_METHODOLOGIES) => ({
+  type: "OBJECT",
+  properties: {
+    assets: {
+      type: "ARRAY",
+      description: "A list of key assets identified in the system.",
+      items: { type: "STRING" }
+    },
+    dataFlows: {
+      type: "ARRAY",
+      description: "Data flows between the identified assets.",
+      items: {
+        type: "OBJECT",
+        properties: {
+          source: { type: "STRING", description: "The asset the data flows from." },
+          destination: { type: "STRING", description: "The asset the data flows to." },
+          protocol: { type: "STRING", description: "Transport or application protocol, e.g. HTTPS or gRPC." },
+          dataClassification: {
+              type: "STRING",
+              description: "Sensitivity of the data carried by the flow.",
+              enum: DATA_CLASSIFICATIONS
+          },
+          crossesTrustBoundary: { type: "BOOLEAN", description: "Whether the flow crosses a trust boundary." }
+        },
+        required: ["source", "destination", "protocol", "dataClassification", "crossesTrustBoundary"]
+      }
+    },
+    threats: {
+      type: "ARRAY",
+      description: `A list of identified threats based on ${METHODOLOGIES.filter(m => methodologies.includes(m.id)).map(m => m.label).join(', ')}.`,
+      items: {
+        type: "OBJECT",
+        properties: {
+          category: {
+              type: "STRING",
+              description: "The threat's category within its methodology.",
+              enum: categoriesFor(methodologies)
+          },
+          threat: { type: "STRING", description: "A concise description of the threat." },
+          severity: {
+              type: "STRING",
+              description: "The assessed severity of the threat.",
+              enum: ["Critical", "High", "Medium", "Low"]
+          },
+          component: { type: "STRING", description: "The asset or component affected by this threat." },
+          dread: {
+              type: "OBJECT",
+              description: "DREAD risk factors, each from 0 (none) to 10 (worst).",
+              properties: Object.fromEntries(DREAD_FACTORS.map(f => [f.id, { type: "INTEGER", minimum: 0, maximum: 10, description: f.hint }])),
+              required: DREAD_FACTORS.map(f => f.id)
+          },
+          ...Object.fromEntries(REFERENCE_TYPES.map(t => [t.id, {
+              type: "ARRAY",
+              description: `${t.label} identifiers, e.g. ${t.example}.`,
+              items: { type: "STRING" }
+          }])),
+          mitigation: { type: "STRING", description: "Recommended actions to mitigate the threat." },
+          ...Object.fromEntries(CONTROL_FRAMEWORKS.map(f => [f.id, {
+              type: "ARRAY",
+              description: `${f.title} controls the mitigation implements, e.g. ${f.example}.`,
+              items: { type: "STRING" }
+          }])),
+          codeSnippet: { type: "STRING", description: "An example code snippet for the mitigation." }
+        },
+        required: ["category", "threat", "severity", "component", "mitigation", "codeSnippet"]
+      }
+    }
+  },
+  required: ["assets", "dataFlows", "threats"]
+});
+
+// Accepts the categories of every methodology, for imported models.
+export const THREAT_MODEL_SCHEMA = threatModelSchema(METHODOLOGY_IDS);
+
+// The part of a streamed answer that can already be shown: assets, and the
+// flows and threats whose required fields have all arrived.
+const PREVIEW_INTERVAL_MS = 250;
+
+const hasRequired = (key) => (item) => (
+    THREAT_MODEL_SCHEMA.properties[key].items.required.every(field => item?.[field] !== undefined)
+);
+
+export const previewModel = (text) => {
+    const value = parsePartialJson(text) || {};
+    return {
+        assets: (Array.isArray(value.assets) ? value.assets : []).filter(a => typeof a === 'string'),
+        dataFlows: (Array.isArray(value.dataFlows) ? value.dataFlows : []).filter(hasRequired('dataFlows')),
+        threats: (Array.isArray(value.threats) ? value.threats : []).filter(hasRequired('threats')),
+    };
+};
+
+// Also used by imports, which hand over an already validated model.
+export const buildAnalysis = (llmResponse) => {
+    let analysis = {
+      assets: new Set(llmResponse.assets || []),
+      threats: (llmResponse.threats || []).map((t, i) => withRisk(withReferences(withLifecycleDefaults({ ...t, id: Date.now() + i, key: threatKey(t) })))),
+      dataFlows: (llmResponse.dataFlows || []).filter(f => f.source && f.destination),
+      diagramData: { nodes: [], edges: [] }
+    };
+
+    // Flows occasionally name an endpoint the model left out of `assets`; it still gets a node.
+    const labels = [...analysis.assets];
+    analysis.dataFlows.forEach(f => [f.source, f.destination].forEach(label => {
+        if (!labels.includes(label)) labels.push(label);
+    }));
+    analysis.diagramData.nodes = labels.map((label, i) => ({ id: (i + 1).toString(), label, type: inferNodeType(label) }));
+
+    const nodeId = (label) => (labels.indexOf(label) + 1).toString();
+    analysis.diagramData.edges = analysis.dataFlows.map((f, i) => ({
+        id: `e${i + 1}`,
+        from: nodeId(f.source),
+        to: nodeId(f.destination),
+        label: f.protocol,
+        dataClassification: f.dataClassification,
+        crossesTrustBoundary: Boolean(f.crossesTrustBoundary),
+    }));
+
+    analysis.methodologies = analysisMethodologies({ methodologies: llmResponse.methodologies, threats: analysis.threats });
+    return analysis;
+};
+
+export const aiEngine = {
+  // `settings` selects the LLM provider (see llmProviders.js); a signal allows cancellation.
+  // Passing an edited `diagram` re-runs the threat analysis against it, keeping its assets and flows.
+  // Threats from uploaded existing models are kept, with their status, alongside the new ones.
+  // Artifacts larger than the model's context are analyzed in chunks. `onProgress` receives the
+  // provider's stages ('uploading', 'analyzing', 'retrying'; see llmProviders.js) and 'parsing'
+  // with { chunk, totalChunks, label } added, and { stage: 'merging' } at the end. While the
+  // answer streams in, `partial` holds what has been parsed so far (see previewModel).
+  // An answer that breaks the schema is sent back once for correction ({ stage: 'repairing',
+  // problems }); what cannot be repaired is dropped or flagged in the analysis's `warnings`.
+  // Assets and flows in `infrastructure` (from iacParsers) are always part of the result, and
+  // findings of the static rules (ruleEngine.js) replace the model's threats that match them.
+  // With a `redaction` (redactFiles with describeContext) the model sees exactly its files
+  // and context, as reviewed; the rules still run locally on the original files. `methodologies` (see methodologies.js)
+  // choose the frameworks, and so the threat categories, the model works with. A `previous`
+  // analysis that is being re-run hands its threats' status, owner, due date and comments
+  // on to the new threats that match them; its imported threats, and its rule findings
+  // when there are no files, are kept even when nothing matches them.
+  analyzeArtifacts: async (files, { signal, settings, diagram, infrastructure, redaction, previous, methodologies = DEFAULT_METHODOLOGIES, onProgress = () => {} }) => {
+    const resolved = resolveProviderSettings(settings);
+    const schema = threatModelSchema(methodologies);
+    const provider = getProvider(resolved.provider);
+    const artifacts = (redaction ? redaction.files : files).map(toArtifact);
+    const context = redaction ? redaction.context : describeContext({ diagram, infrastructure });
+
+    const promptTokens = estimateTokens(buildPrompt([], context, { index: 1, total: 2 }, methodologies));
+    const chunks = chunkArtifacts(artifacts, chunkBudget(resolved.contextTokens, promptTokens));
+    if (chunks.length === 0) chunks.push({ artifacts: [], label: 'architecture model' });
+
+    const results = [];
+    const warnings = [];
+    for (const [i, chunk] of chunks.entries()) {
+        const part = { index: i + 1, total: chunks.length };
+        // Earlier parts are finished; the current one is previewed as it streams.
+        let partial = results.length === 0 ? null : mergeChunkResults(results);
+        const report = (update) => onProgress({ ...update, chunk: part.index, totalChunks: part.total, label: chunk.label, partial });
+        // While the model corrects its answer the stage stays 'repairing', apart from retries.
+        let repairing = null;
+        let previewedAt = 0;
+        const generate = (prompt, images) => provider.generate({
+            prompt,
+            schema,
+            settings: resolved,
+            files: chunk.artifacts,
+            images,
+            signal,
+            onProgress: (update) => report(update.stage === 'retrying' ? { ...update, retryAt: Date.now() + update.delay } : repairing || update),
+            onText: (text) => {
+                if (Date.now() - previewedAt < PREVIEW_INTERVAL_MS) return;
+                previewedAt = Date.now();
+                const preview = previewModel(text);
+                partial = results.length === 0 ? preview : mergeChunkResults([...results, preview]);
+                report(repairing || { stage: 'analyzing' });
+            },
+        });
+        const warn = (message) => warnings.push(chunks.length > 1 ? `Part ${part.index} (${chunk.label}): ${message}` : message);
+
+        report({ stage: 'analyzing' });
+        try {
+            const text = await generate(
+                buildPrompt(chunk.artifacts, context, part, methodologies),
+                chunk.artifacts.filter(a => a.image).map(a => a.image),
+            );
+            report({ stage: 'parsing' });
+            let checked = checkResponse(text, schema);
+
+            if (checked.errors.length > 0) {
+                console.warn("The model's answer does not match the schema:", checked.errors);
+                repairing = { stage: 'repairing', problems: checked.errors.length };
+                report(repairing);
+                try {
+                    const repaired = checkResponse(await generate(buildRepairPrompt(text, checked.errors), []), schema);
+                    // A correction that made things worse is ignored.
+                    if (repaired.value !== null && (checked.value === null || repaired.errors.length <= checked.errors.length)) checked = repaired;
+                } catch (e) {
+                    if (e.name === 'AbortError' || checked.value === null) throw e;
+                    warn(`The model could not be asked to correct its answer (${e.message}).`);
+                }
+                repairing = null;
+                report({ stage: 'parsing' });
+            }
+
+            const { value } = checked;
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error(`The model did not return a threat model, even when asked to correct it. ${checked.errors[0]}`);
+            }
+            const salvaged = salvageResponse(value, schema);
+            salvaged.warnings.forEach(warn);
+            results.push(salvaged.response);
+        } catch (e) {
+            if (e.name === 'AbortError' || chunks.length === 1) throw e;
+            throw new ChunkAnalysisError(`Analysis of part ${part.index} of ${part.total} (${chunk.label}) failed: ${e.message}`, {
+                chunk: part.index,
+                totalChunks: part.total,
+                cause: e,
+            });
+        }
+    }
+
+    if (results.length > 1) onProgress({ stage: 'merging', totalChunks: results.length });
+    // Parsed infrastructure goes first so its asset names win when the model's differ only in case.
+    const seeded = hasInfrastructure(infrastructure)
+        ? [{ assets: infrastructure.assets, dataFlows: infrastructure.dataFlows, threats: [] }, ...results]
+        : results;
+    const response = seeded.length === 1 ? seeded[0] : mergeChunkResults(seeded);
+
+    // Threats the team already recorded come first, then reproducible rule findings, then the model's.
+    const existingThreats = artifacts.filter(a => a.existing).flatMap(a => a.existing.threats);
+    const ruleThreats = await runRules(files, { infrastructure });
+    const known = [...existingThreats, ...matchThreats(existingThreats, ruleThreats).added];
+    const fresh = [...known, ...matchThreats(known, response.threats || []).added];
+    // A re-run keeps what it cannot reproduce: threats recorded in an imported model, and
+    // rule findings when there are no files to run the rules on (a project opened from
+    // Saved Projects or imported has none).
+    const retained = previous
+        ? matchThreats(previous.threats, fresh).removed.filter(t => isImportedThreat(t) || (files.length === 0 && isRuleFinding(t)))
+        : [];
+    if (previous && files.length === 0) {
+        warnings.push('The source files are not available, so only the diagram was re-analyzed and the static rules did not run. Rule findings and imported threats were kept as they were.');
+    }
+    const built = buildAnalysis({ ...response, methodologies, threats: [...fresh, ...retained] });
+    const analysis = {
+        ...built,
+        threats: previous ? carryOverLifecycle(previous.threats, built.threats) : built.threats,
+        warnings,
+    };
+    return diagram ? applyDiagram(analysis, diagram) : analysis;
+  }
+};
@@ -0,0 +1,115 @@
+// --- ANALYSIS DIFF ---
+// Compares two saved analyses of the same project. Threat ids are only unique
+// within one run, so threats are matched on a key built from what the threat
+// is about: its category, the component it targets and the significant
+// words of its description. Re-runs rarely phrase a threat identically, so
+// threats whose keys differ are still paired when category and component
+// agree and most of their wording overlaps.
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'could', 'for', 'from', 'has', 'have',
+    'in', 'into', 'is', 'it', 'its', 'may', 'might', 'of', 'on', 'or', 'that', 'the', 'their',
+    'this', 'to', 'via', 'which', 'with', 'without',
+]);
+
+const SIMILARITY_THRESHOLD = 0.5;
+
+const normalize = (text = '') => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const significantWords = (text) => [...new Set(normalize(text).split(' ').filter(w => w && !STOP_WORDS.has(w)))].sort();
+
+export const threatKey = (threat) => [
+    normalize(threat.category).replace(/ /g, '-'),
+    normalize(threat.component).replace(/ /g, '-'),
+    significantWords(threat.threat).join('-'),
+].join('/');
+
+const keyOf = (threat) => threat.key || threatKey(threat);
+
+const similarity = (a, b) => {
+    const wordsA = new Set(significantWords(a.threat));
+    const wordsB = new Set(significantWords(b.threat));
+    const shared = [...wordsA].filter(w => wordsB.has(w)).length;
+    const total = new Set([...wordsA, ...wordsB]).size;
+    return total === 0 ? 0 : shared / total;
+};
+
+// Pairs each newer threat with at most one older threat.
+export const matchThreats = (olderThreats, newerThreats) => {
+    const pairs = [];
+    const unmatchedOlder = new Set(olderThreats);
+    const unmatchedNewer = [];
+
+    newerThreats.forEach(threat => {
+        const exact = [...unmatchedOlder].find(old => keyOf(old) === keyOf(threat));
+        if (exact) {
+            unmatchedOlder.delete(exact);
+            pairs.push({ older: exact, newer: threat });
+        } else {
+            unmatchedNewer.push(threat);
+        }
+    });
+
+    const added = [];
+    unmatchedNewer.forEach(threat => {
+        let best = null;
+        let bestScore = SIMILARITY_THRESHOLD;
+        unmatchedOlder.forEach(old => {
+            if (old.category !== threat.category || normalize(old.component) !== normalize(threat.component)) return;
+            const score = similarity(old, threat);
+            if (score >= bestScore) {
+                best = old;
+                bestScore = score;
+            }
+        });
+        if (best) {
+            unmatchedOlder.delete(best);
+            pairs.push({ older: best, newer: threat });
+        } else {
+            added.push(threat);
+        }
+    });
+
+    return { pairs, added, removed: [...unmatchedOlder] };
+};
+
+const flowKey = (flow) => `${normalize(flow.source)}→${normalize(flow.destination)}|${normalize(flow.protocol)}`;
+
+export const describeFlow = (flow) => `${flow.source} → ${flow.destination}${flow.protocol ? ` (${flow.protocol})` : ''}`;
+
+const diffFlows = (olderFlows, newerFlows) => {
+    const olderByKey = new Map(olderFlows.map(f => [flowKey(f), f]));
+    const newerByKey = new Map(newerFlows.map(f => [flowKey(f), f]));
+    return {
+        added: newerFlows.filter(f => !olderByKey.has(flowKey(f))),
+        removed: olderFlows.filter(f => !newerByKey.has(flowKey(f))),
+        changed: newerFlows
+            .filter(f => olderByKey.has(flowKey(f)))
+            .map(f => ({ older: olderByKey.get(flowKey(f)), newer: f }))
+            .filter(({ older, newer }) => (
+                older.dataClassification !== newer.dataClassification
+                || Boolean(older.crossesTrustBoundary) !== Boolean(newer.crossesTrustBoundary)
+            )),
+    };
+};
+
+// `older` and `newer` are analyses as held by the dashboard (assets in a Set).
+export const diffAnalyses = (older, newer) => {
+    const { pairs, added, removed } = matchThreats(older.threats, newer.threats);
+    const olderAssets = new Set(older.assets);
+    const newerAssets = new Set(newer.assets);
+
+    return {
+        threats: {
+            added,
+            resolved: removed,
+            severityChanged: pairs.filter(p => p.older.severity !== p.newer.severity),
+            unchanged: pairs.filter(p => p.older.severity === p.newer.severity),
+        },
+        assets: {
+            added: [...newerAssets].filter(a => !olderAssets.has(a)),
+            removed: [...olderAssets].filter(a => !newerAssets.has(a)),
+        },
+        dataFlows: diffFlows(older.dataFlows, newer.dataFlows),
+    };
+};
@@ -0,0 +1,173 @@
+import { matchThreats } from './analysisDiff';
+import { ALL_REFERENCE_TYPES, referencesOf } from './threatReferences';
+
+// --- CHUNKED (MAP-REDUCE) ANALYSIS ---
+// Projects larger than the model's context window are split into chunks that
+// are analyzed one after another. Files stay together with the rest of their
+// directory (module) where the budget allows; a directory that does not fit is
+// split per file, and a single oversized file is split by lines. The partial
+// threat models are then merged: assets, flows and threats reported by more
+// than one chunk appear once.
+
+// A rough, tokenizer-free estimate: about four characters per token for code and prose.
+const CHARS_PER_TOKEN = 4;
+
+export const estimateTokens = (text = '') => Math.ceil(text.length / CHARS_PER_TOKEN);
+
+// Part of the context window is kept free for the model's JSON answer.
+const RESPONSE_SHARE = 0.35;
+const MIN_CHUNK_TOKENS = 1000;
+
+export const chunkBudget = (contextTokens, promptTokens) => (
+    Math.max(MIN_CHUNK_TOKENS, Math.floor(contextTokens * (1 - RESPONSE_SHARE)) - promptTokens)
+);
+
+export class ChunkAnalysisError extends Error {
+    constructor(message, { chunk, totalChunks, cause }) {
+        super(message, { cause });
+        this.name = 'ChunkAnalysisError';
+        this.chunk = chunk;
+        this.totalChunks = totalChunks;
+    }
+}
+
+const moduleOf = (name) => {
+    const slash = name.replace(/\\/g, '/').lastIndexOf('/');
+    return slash === -1 ? '' : name.slice(0, slash);
+};
+
+// Splits one artifact into line-aligned parts that each fit the budget.
+const splitArtifact = (artifact, budget) => {
+    const maxChars = budget * CHARS_PER_TOKEN;
+    const parts = [];
+    let current = '';
+    artifact.content.split('\n').forEach(line => {
+        // A single line longer than the budget (minified code) is cut hard.
+        for (let start = 0; start < Math.max(line.length, 1); start += maxChars) {
+            const piece = line.slice(start, start + maxChars);
+            if (current && current.length + piece.length + 1 > maxChars) {
+                parts.push(current);
+                current = '';
+            }
+            current = current ? `${current}\n${piece}` : piece;
+        }
+    });
+    if (current) parts.push(current);
+    return parts.map((content, i) => ({
+        ...artifact,
+        name: `${artifact.name} (part ${i + 1} of ${parts.length})`,
+        content,
+    }));
+};
+
+// Providers bill an image at a roughly fixed token cost, whatever its file size.
+const IMAGE_TOKENS = 1500;
+
+const artifactTokens = (artifact) => (
+    estimateTokens(artifact.name) + estimateTokens(artifact.content) + (artifact.image ? IMAGE_TOKENS : 0) + 10
+);
+
+const describeChunk = (artifacts) => {
+    const modules = [...new Set(artifacts.map(a => moduleOf(a.name) || '(root)'))];
+    const where = modules.length <= 2 ? modules.join(', ') : `${modules.slice(0, 2).join(', ')} and ${modules.length - 2} more`;
+    return artifacts.length === 1 ? artifacts[0].name : `${where} (${artifacts.length} files)`;
+};
+
+// Packs `{ name, content }` artifacts into chunks of at most `budget` tokens.
+// Returns `[{ artifacts, tokens, label }]`; a project that fits is one chunk.
+export const chunkArtifacts = (artifacts, budget) => {
+    const modules = new Map();
+    [...artifacts]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(a => {
+            const key = moduleOf(a.name);
+            if (!modules.has(key)) modules.set(key, []);
+            modules.get(key).push(a);
+        });
+
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+    const flush = () => {
+        if (current.length) chunks.push({ artifacts: current, tokens: currentTokens, label: describeChunk(current) });
+        current = [];
+        currentTokens = 0;
+    };
+    const add = (items, tokens) => {
+        if (currentTokens + tokens > budget) flush();
+        current.push(...items);
+        currentTokens += tokens;
+    };
+
+    modules.forEach(members => {
+        const moduleTokens = members.reduce((sum, a) => sum + artifactTokens(a), 0);
+        if (moduleTokens <= budget) {
+            add(members, moduleTokens);
+            return;
+        }
+        members.forEach(artifact => {
+            const tokens = artifactTokens(artifact);
+            if (tokens <= budget) {
+                add([artifact], tokens);
+                return;
+            }
+            splitArtifact(artifact, budget - estimateTokens(artifact.name) - 20).forEach(part => add([part], artifactTokens(part)));
+        });
+    });
+    flush();
+    return chunks;
+};
+
+// --- Merge ---
+
+const SEVERITY_ORDER = { 'Critical': 4, 'High': 3, 'Medium': 2, 'Low': 1 };
+const CLASSIFICATION_ORDER = { 'Public': 1, 'Internal': 2, 'Confidential': 3, 'Restricted': 4 };
+
+const normalize = (text = '') => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Merges the raw model responses of all chunks into one response of the same shape.
+export const mergeChunkResults = (results) => {
+    const assetNames = new Map();
+    const canonical = (name) => assetNames.get(normalize(name)) || name;
+    results.forEach(r => (r.assets || []).forEach(asset => {
+        if (!assetNames.has(normalize(asset))) assetNames.set(normalize(asset), asset);
+    }));
+
+    const flows = new Map();
+    results.forEach(r => (r.dataFlows || []).forEach(flow => {
+        const merged = { ...flow, source: canonical(flow.source), destination: canonical(flow.destination) };
+        const key = `${normalize(merged.source)}|${normalize(merged.destination)}|${normalize(merged.protocol)}`;
+        const existing = flows.get(key);
+        if (!existing) {
+            flows.set(key, merged);
+            return;
+        }
+        // The same flow seen from two chunks keeps the stricter reading of both.
+        if ((CLASSIFICATION_ORDER[merged.dataClassification] || 0) > (CLASSIFICATION_ORDER[existing.dataClassification] || 0)) {
+            existing.dataClassification = merged.dataClassification;
+        }
+        existing.crossesTrustBoundary = Boolean(existing.crossesTrustBoundary || merged.crossesTrustBoundary);
+    }));
+
+    let threats = [];
+    results.forEach(r => {
+        const incoming = (r.threats || []).map(t => ({ ...t, component: canonical(t.component) }));
+        const { pairs, added } = matchThreats(threats, incoming);
+        pairs.forEach(({ older, newer }) => {
+            let merged = older;
+            // The DREAD factors travel with the severity they justify.
+            if ((SEVERITY_ORDER[newer.severity] || 0) > (SEVERITY_ORDER[older.severity] || 0)) {
+                merged = { ...merged, severity: newer.severity, dread: newer.dread };
+            }
+            // References cited in either part are kept.
+            ALL_REFERENCE_TYPES.forEach(({ id }) => {
+                if (referencesOf(newer, id).length === 0) return;
+                merged = { ...merged, [id]: [...new Set([...referencesOf(merged, id), ...referencesOf(newer, id)])] };
+            });
+            if (merged !== older) threats = threats.map(t => (t === older ? merged : t));
+        });
+        threats = [...threats, ...added];
+    });
+
+    return { assets: [...assetNames.values()], dataFlows: [...flows.values()], threats };
+};
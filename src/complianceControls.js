@@ -0,0 +1,98 @@
+import { ASVS_CHAPTERS, ASVS_SECTIONS, ISO_CONTROLS, ISO_THEMES, NIST_CONTROLS, NIST_FAMILIES } from './controlCatalogs';
+
+// --- COMPLIANCE CONTROLS ---
+// A threat's mitigation can be mapped to the controls it implements in OWASP
+// ASVS, NIST SP 800-53 and ISO/IEC 27001 Annex A, stored on the threat as
+// lists of ids (`asvs`, `nist`, `iso27001`). The frameworks have the same
+// shape as the reference types in threatReferences.js, which normalizes and
+// checks the ids for both; `base` maps a requirement or enhancement onto the
+// catalog entry it belongs to.
+//
+// Coverage answers the auditor's question: which controls does this threat
+// model give evidence for? A control is planned once a mitigation maps to it,
+// and implemented once every threat whose mitigation maps to it is Mitigated.
+
+export const CONTROL_FRAMEWORKS = [
+    {
+        id: 'asvs',
+        label: 'OWASP ASVS',
+        title: 'OWASP ASVS 4.0.3',
+        example: 'V2.1.1',
+        catalog: ASVS_SECTIONS,
+        families: ASVS_CHAPTERS,
+        parse: (text) => text.match(/^(?:ASVS[\s-]*)?V?0*(\d{1,2})\.0*(\d{1,2})(?:\.0*(\d{1,2}))?$/i)?.slice(1),
+        format: ([chapter, section, requirement]) => `V${chapter}.${section}${requirement ? `.${requirement}` : ''}`,
+        base: (id) => id.split('.').slice(0, 2).join('.'),
+        familyOf: (key) => key.split('.')[0],
+    },
+    {
+        id: 'nist',
+        label: 'NIST 800-53',
+        title: 'NIST SP 800-53 Rev. 5',
+        example: 'AC-6 or AC-2(1)',
+        catalog: NIST_CONTROLS,
+        families: NIST_FAMILIES,
+        parse: (text) => text.match(/^(?:NIST[\s-]*)?([A-Z]{2})[\s-]*0*(\d{1,2})(?:\s*\(\s*0*(\d{1,2})\s*\))?$/i)?.slice(1),
+        format: ([family, number, enhancement]) => `${family.toUpperCase()}-${number}${enhancement ? `(${enhancement})` : ''}`,
+        base: (id) => id.replace(/\(.*$/, ''),
+        familyOf: (key) => key.split('-')[0],
+    },
+    {
+        id: 'iso27001',
+        label: 'ISO 27001',
+        title: 'ISO/IEC 27001:2022 Annex A',
+        example: 'A.8.24',
+        catalog: ISO_CONTROLS,
+        families: ISO_THEMES,
+        // 2013 ids (A.9.2.1) have a third number and are not mistaken for 2022 ones.
+        parse: (text) => text.match(/^(?:A\.?\s*)?([5-8])\.0*(\d{1,2})$/i)?.slice(1),
+        format: ([theme, number]) => `A.${theme}.${number}`,
+        base: (id) => id,
+        familyOf: (key) => key.split('.').slice(0, 2).join('.'),
+    },
+];
+
+export const getFramework = (id) => CONTROL_FRAMEWORKS.find(f => f.id === id) || CONTROL_FRAMEWORKS[0];
+
+const controlsOf = (threat, framework) => (Array.isArray(threat[framework]) ? threat[framework] : []);
+
+export const hasControls = (threat) => CONTROL_FRAMEWORKS.some(f => controlsOf(threat, f.id).length > 0);
+
+const statusOf = (threats) => {
+    const implemented = threats.filter(t => t.status === 'Mitigated').length;
+    if (threats.length === 0) return 'Not addressed';
+    if (implemented === threats.length) return 'Implemented';
+    return implemented > 0 ? 'Partially implemented' : 'Planned';
+};
+
+// `{ framework, families, addressed, implemented, total, unlisted }` for one
+// framework. Every catalog control is listed, in catalog order and grouped by
+// family, as `{ id, name, threats, status }`; `unlisted` holds the mapped ids
+// the catalog does not know, as `{ id, threats }`, so that they are not lost.
+export const controlCoverage = (threats, frameworkId) => {
+    const framework = getFramework(frameworkId);
+    const addressing = new Map();
+    threats.forEach(threat => {
+        new Set(controlsOf(threat, framework.id).map(id => framework.base(id))).forEach(key => {
+            if (!addressing.has(key)) addressing.set(key, []);
+            addressing.get(key).push(threat);
+        });
+    });
+
+    const controls = Object.entries(framework.catalog).map(([id, name]) => {
+        const mapped = addressing.get(id) || [];
+        return { id, name, threats: mapped, status: statusOf(mapped) };
+    });
+    const families = Object.entries(framework.families)
+        .map(([id, name]) => ({ id, name, controls: controls.filter(c => framework.familyOf(c.id) === id) }))
+        .filter(family => family.controls.length > 0);
+
+    return {
+        framework,
+        families,
+        addressed: controls.filter(c => c.threats.length > 0).length,
+        implemented: controls.filter(c => c.status === 'Implemented').length,
+        total: controls.length,
+        unlisted: [...addressing].filter(([id]) => !(id in framework.catalog)).map(([id, mapped]) => ({ id, threats: mapped })),
+    };
+};
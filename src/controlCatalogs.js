@@ -0,0 +1,343 @@
+// --- CONTROL CATALOGS ---
+// Offline copies of the control frameworks that mitigations are mapped to:
+// the sections of the OWASP Application Security Verification Standard 4.0.3,
+// the NIST SP 800-53 Rev. 5 controls that apply to software and the services
+// it runs on (the -1 "Policy and Procedures" controls and the physical,
+// maintenance and program management families are left out), and all 93
+// controls of ISO/IEC 27001:2022 Annex A. They give the coverage view its
+// denominators and let mapped ids be checked without a network connection.
+// ASVS requirements (V2.1.1) and NIST control enhancements (AC-2(1)) are
+// checked against their section or base control, which is all that is listed
+// here.
+
+export const ASVS_CHAPTERS = {
+    'V1': 'Architecture, Design and Threat Modeling',
+    'V2': 'Authentication',
+    'V3': 'Session Management',
+    'V4': 'Access Control',
+    'V5': 'Validation, Sanitization and Encoding',
+    'V6': 'Stored Cryptography',
+    'V7': 'Error Handling and Logging',
+    'V8': 'Data Protection',
+    'V9': 'Communication',
+    'V10': 'Malicious Code',
+    'V11': 'Business Logic',
+    'V12': 'Files and Resources',
+    'V13': 'API and Web Service',
+    'V14': 'Configuration',
+};
+
+export const ASVS_SECTIONS = {
+    'V1.1': 'Secure Software Development Lifecycle',
+    'V1.2': 'Authentication Architecture',
+    'V1.4': 'Access Control Architecture',
+    'V1.5': 'Input and Output Architecture',
+    'V1.6': 'Cryptographic Architecture',
+    'V1.7': 'Errors, Logging and Auditing Architecture',
+    'V1.8': 'Data Protection and Privacy Architecture',
+    'V1.9': 'Communications Architecture',
+    'V1.10': 'Malicious Software Architecture',
+    'V1.11': 'Business Logic Architecture',
+    'V1.12': 'Secure File Upload Architecture',
+    'V1.14': 'Configuration Architecture',
+    'V2.1': 'Password Security',
+    'V2.2': 'General Authenticator Security',
+    'V2.3': 'Authenticator Lifecycle',
+    'V2.4': 'Credential Storage',
+    'V2.5': 'Credential Recovery',
+    'V2.6': 'Look-up Secret Verifier',
+    'V2.7': 'Out of Band Verifier',
+    'V2.8': 'One Time Verifier',
+    'V2.9': 'Cryptographic Verifier',
+    'V2.10': 'Service Authentication',
+    'V3.1': 'Fundamental Session Management Security',
+    'V3.2': 'Session Binding',
+    'V3.3': 'Session Termination',
+    'V3.4': 'Cookie-based Session Management',
+    'V3.5': 'Token-based Session Management',
+    'V3.6': 'Federated Re-authentication',
+    'V3.7': 'Defenses Against Session Management Exploits',
+    'V4.1': 'General Access Control Design',
+    'V4.2': 'Operation Level Access Control',
+    'V4.3': 'Other Access Control Considerations',
+    'V5.1': 'Input Validation',
+    'V5.2': 'Sanitization and Sandboxing',
+    'V5.3': 'Output Encoding and Injection Prevention',
+    'V5.4': 'Memory, String, and Unmanaged Code',
+    'V5.5': 'Deserialization Prevention',
+    'V6.1': 'Data Classification',
+    'V6.2': 'Algorithms',
+    'V6.3': 'Random Values',
+    'V6.4': 'Secret Management',
+    'V7.1': 'Log Content',
+    'V7.2': 'Log Processing',
+    'V7.3': 'Log Protection',
+    'V7.4': 'Error Handling',
+    'V8.1': 'General Data Protection',
+    'V8.2': 'Client-side Data Protection',
+    'V8.3': 'Sensitive Private Data',
+    'V9.1': 'Client Communication Security',
+    'V9.2': 'Server Communication Security',
+    'V10.1': 'Code Integrity',
+    'V10.2': 'Malicious Code Search',
+    'V10.3': 'Application Integrity',
+    'V11.1': 'Business Logic Security',
+    'V12.1': 'File Upload',
+    'V12.2': 'File Integrity',
+    'V12.3': 'File Execution',
+    'V12.4': 'File Storage',
+    'V12.5': 'File Download',
+    'V12.6': 'SSRF Protection',
+    'V13.1': 'Generic Web Service Security',
+    'V13.2': 'RESTful Web Service',
+    'V13.3': 'SOAP Web Service',
+    'V13.4': 'GraphQL',
+    'V14.1': 'Build and Deploy',
+    'V14.2': 'Dependency',
+    'V14.3': 'Unintended Security Disclosure',
+    'V14.4': 'HTTP Security Headers',
+    'V14.5': 'HTTP Request Header Validation',
+};
+
+export const NIST_FAMILIES = {
+    'AC': 'Access Control',
+    'AT': 'Awareness and Training',
+    'AU': 'Audit and Accountability',
+    'CA': 'Assessment, Authorization, and Monitoring',
+    'CM': 'Configuration Management',
+    'CP': 'Contingency Planning',
+    'IA': 'Identification and Authentication',
+    'IR': 'Incident Response',
+    'PL': 'Planning',
+    'PT': 'PII Processing and Transparency',
+    'RA': 'Risk Assessment',
+    'SA': 'System and Services Acquisition',
+    'SC': 'System and Communications Protection',
+    'SI': 'System and Information Integrity',
+    'SR': 'Supply Chain Risk Management',
+};
+
+export const NIST_CONTROLS = {
+    'AC-2': 'Account Management',
+    'AC-3': 'Access Enforcement',
+    'AC-4': 'Information Flow Enforcement',
+    'AC-5': 'Separation of Duties',
+    'AC-6': 'Least Privilege',
+    'AC-7': 'Unsuccessful Logon Attempts',
+    'AC-8': 'System Use Notification',
+    'AC-10': 'Concurrent Session Control',
+    'AC-11': 'Device Lock',
+    'AC-12': 'Session Termination',
+    'AC-14': 'Permitted Actions Without Identification or Authentication',
+    'AC-16': 'Security and Privacy Attributes',
+    'AC-17': 'Remote Access',
+    'AC-18': 'Wireless Access',
+    'AC-19': 'Access Control for Mobile Devices',
+    'AC-20': 'Use of External Systems',
+    'AC-21': 'Information Sharing',
+    'AC-22': 'Publicly Accessible Content',
+    'AC-24': 'Access Control Decisions',
+    'AT-2': 'Literacy Training and Awareness',
+    'AT-3': 'Role-based Training',
+    'AU-2': 'Event Logging',
+    'AU-3': 'Content of Audit Records',
+    'AU-4': 'Audit Log Storage Capacity',
+    'AU-5': 'Response to Audit Logging Process Failures',
+    'AU-6': 'Audit Record Review, Analysis, and Reporting',
+    'AU-7': 'Audit Record Reduction and Report Generation',
+    'AU-8': 'Time Stamps',
+    'AU-9': 'Protection of Audit Information',
+    'AU-10': 'Non-repudiation',
+    'AU-11': 'Audit Record Retention',
+    'AU-12': 'Audit Record Generation',
+    'AU-16': 'Cross-organizational Audit Logging',
+    'CA-2': 'Control Assessments',
+    'CA-3': 'Information Exchange',
+    'CA-7': 'Continuous Monitoring',
+    'CA-8': 'Penetration Testing',
+    'CA-9': 'Internal System Connections',
+    'CM-2': 'Baseline Configuration',
+    'CM-3': 'Configuration Change Control',
+    'CM-4': 'Impact Analyses',
+    'CM-5': 'Access Restrictions for Change',
+    'CM-6': 'Configuration Settings',
+    'CM-7': 'Least Functionality',
+    'CM-8': 'System Component Inventory',
+    'CM-10': 'Software Usage Restrictions',
+    'CM-11': 'User-installed Software',
+    'CM-12': 'Information Location',
+    'CM-14': 'Signed Components',
+    'CP-2': 'Contingency Plan',
+    'CP-6': 'Alternate Storage Site',
+    'CP-7': 'Alternate Processing Site',
+    'CP-9': 'System Backup',
+    'CP-10': 'System Recovery and Reconstitution',
+    'IA-2': 'Identification and Authentication (Organizational Users)',
+    'IA-3': 'Device Identification and Authentication',
+    'IA-4': 'Identifier Management',
+    'IA-5': 'Authenticator Management',
+    'IA-6': 'Authentication Feedback',
+    'IA-7': 'Cryptographic Module Authentication',
+    'IA-8': 'Identification and Authentication (Non-organizational Users)',
+    'IA-9': 'Service Identification and Authentication',
+    'IA-11': 'Re-authentication',
+    'IA-12': 'Identity Proofing',
+    'IR-4': 'Incident Handling',
+    'IR-5': 'Incident Monitoring',
+    'IR-6': 'Incident Reporting',
+    'IR-8': 'Incident Response Plan',
+    'PL-8': 'Security and Privacy Architectures',
+    'PT-2': 'Authority to Process Personally Identifiable Information',
+    'PT-3': 'Personally Identifiable Information Processing Purposes',
+    'PT-4': 'Consent',
+    'PT-5': 'Privacy Notice',
+    'PT-7': 'Specific Categories of Personally Identifiable Information',
+    'RA-3': 'Risk Assessment',
+    'RA-5': 'Vulnerability Monitoring and Scanning',
+    'RA-7': 'Risk Response',
+    'RA-9': 'Criticality Analysis',
+    'SA-3': 'System Development Life Cycle',
+    'SA-4': 'Acquisition Process',
+    'SA-8': 'Security and Privacy Engineering Principles',
+    'SA-9': 'External System Services',
+    'SA-10': 'Developer Configuration Management',
+    'SA-11': 'Developer Testing and Evaluation',
+    'SA-15': 'Development Process, Standards, and Tools',
+    'SA-17': 'Developer Security and Privacy Architecture and Design',
+    'SA-22': 'Unsupported System Components',
+    'SC-2': 'Separation of System and User Functionality',
+    'SC-3': 'Security Function Isolation',
+    'SC-4': 'Information in Shared System Resources',
+    'SC-5': 'Denial-of-service Protection',
+    'SC-7': 'Boundary Protection',
+    'SC-8': 'Transmission Confidentiality and Integrity',
+    'SC-10': 'Network Disconnect',
+    'SC-12': 'Cryptographic Key Establishment and Management',
+    'SC-13': 'Cryptographic Protection',
+    'SC-17': 'Public Key Infrastructure Certificates',
+    'SC-18': 'Mobile Code',
+    'SC-20': 'Secure Name/Address Resolution Service (Authoritative Source)',
+    'SC-23': 'Session Authenticity',
+    'SC-24': 'Fail in Known State',
+    'SC-28': 'Protection of Information at Rest',
+    'SC-39': 'Process Isolation',
+    'SC-45': 'System Time Synchronization',
+    'SI-2': 'Flaw Remediation',
+    'SI-3': 'Malicious Code Protection',
+    'SI-4': 'System Monitoring',
+    'SI-5': 'Security Alerts, Advisories, and Directives',
+    'SI-7': 'Software, Firmware, and Information Integrity',
+    'SI-10': 'Information Input Validation',
+    'SI-11': 'Error Handling',
+    'SI-12': 'Information Management and Retention',
+    'SI-15': 'Information Output Filtering',
+    'SI-16': 'Memory Protection',
+    'SI-19': 'De-identification',
+    'SR-3': 'Supply Chain Controls and Processes',
+    'SR-4': 'Provenance',
+    'SR-5': 'Acquisition Strategies, Tools, and Methods',
+    'SR-11': 'Component Authenticity',
+};
+
+export const ISO_THEMES = {
+    'A.5': 'Organizational controls',
+    'A.6': 'People controls',
+    'A.7': 'Physical controls',
+    'A.8': 'Technological controls',
+};
+
+export const ISO_CONTROLS = {
+    'A.5.1': 'Policies for information security',
+    'A.5.2': 'Information security roles and responsibilities',
+    'A.5.3': 'Segregation of duties',
+    'A.5.4': 'Management responsibilities',
+    'A.5.5': 'Contact with authorities',
+    'A.5.6': 'Contact with special interest groups',
+    'A.5.7': 'Threat intelligence',
+    'A.5.8': 'Information security in project management',
+    'A.5.9': 'Inventory of information and other associated assets',
+    'A.5.10': 'Acceptable use of information and other associated assets',
+    'A.5.11': 'Return of assets',
+    'A.5.12': 'Classification of information',
+    'A.5.13': 'Labelling of information',
+    'A.5.14': 'Information transfer',
+    'A.5.15': 'Access control',
+    'A.5.16': 'Identity management',
+    'A.5.17': 'Authentication information',
+    'A.5.18': 'Access rights',
+    'A.5.19': 'Information security in supplier relationships',
+    'A.5.20': 'Addressing information security within supplier agreements',
+    'A.5.21': 'Managing information security in the ICT supply chain',
+    'A.5.22': 'Monitoring, review and change management of supplier services',
+    'A.5.23': 'Information security for use of cloud services',
+    'A.5.24': 'Information security incident management planning and preparation',
+    'A.5.25': 'Assessment and decision on information security events',
+    'A.5.26': 'Response to information security incidents',
+    'A.5.27': 'Learning from information security incidents',
+    'A.5.28': 'Collection of evidence',
+    'A.5.29': 'Information security during disruption',
+    'A.5.30': 'ICT readiness for business continuity',
+    'A.5.31': 'Legal, statutory, regulatory and contractual requirements',
+    'A.5.32': 'Intellectual property rights',
+    'A.5.33': 'Protection of records',
+    'A.5.34': 'Privacy and protection of PII',
+    'A.5.35': 'Independent review of information security',
+    'A.5.36': 'Compliance with policies, rules and standards for information security',
+    'A.5.37': 'Documented operating procedures',
+    'A.6.1': 'Screening',
+    'A.6.2': 'Terms and conditions of employment',
+    'A.6.3': 'Information security awareness, education and training',
+    'A.6.4': 'Disciplinary process',
+    'A.6.5': 'Responsibilities after termination or change of employment',
+    'A.6.6': 'Confidentiality or non-disclosure agreements',
+    'A.6.7': 'Remote working',
+    'A.6.8': 'Information security event reporting',
+    'A.7.1': 'Physical security perimeters',
+    'A.7.2': 'Physical entry',
+    'A.7.3': 'Securing offices, rooms and facilities',
+    'A.7.4': 'Physical security monitoring',
+    'A.7.5': 'Protecting against physical and environmental threats',
+    'A.7.6': 'Working in secure areas',
+    'A.7.7': 'Clear desk and clear screen',
+    'A.7.8': 'Equipment siting and protection',
+    'A.7.9': 'Security of assets off-premises',
+    'A.7.10': 'Storage media',
+    'A.7.11': 'Supporting utilities',
+    'A.7.12': 'Cabling security',
+    'A.7.13': 'Equipment maintenance',
+    'A.7.14': 'Secure disposal or re-use of equipment',
+    'A.8.1': 'User end point devices',
+    'A.8.2': 'Privileged access rights',
+    'A.8.3': 'Information access restriction',
+    'A.8.4': 'Access to source code',
+    'A.8.5': 'Secure authentication',
+    'A.8.6': 'Capacity management',
+    'A.8.7': 'Protection against malware',
+    'A.8.8': 'Management of technical vulnerabilities',
+    'A.8.9': 'Configuration management',
+    'A.8.10': 'Information deletion',
+    'A.8.11': 'Data masking',
+    'A.8.12': 'Data leakage prevention',
+    'A.8.13': 'Information backup',
+    'A.8.14': 'Redundancy of information processing facilities',
+    'A.8.15': 'Logging',
+    'A.8.16': 'Monitoring activities',
+    'A.8.17': 'Clock synchronization',
+    'A.8.18': 'Use of privileged utility programs',
+    'A.8.19': 'Installation of software on operational systems',
+    'A.8.20': 'Networks security',
+    'A.8.21': 'Security of network services',
+    'A.8.22': 'Segregation of networks',
+    'A.8.23': 'Web filtering',
+    'A.8.24': 'Use of cryptography',
+    'A.8.25': 'Secure development life cycle',
+    'A.8.26': 'Application security requirements',
+    'A.8.27': 'Secure system architecture and engineering principles',
+    'A.8.28': 'Secure coding',
+    'A.8.29': 'Security testing in development and acceptance',
+    'A.8.30': 'Outsourced development',
+    'A.8.31': 'Separation of development, test and production environments',
+    'A.8.32': 'Change management',
+    'A.8.33': 'Test information',
+    'A.8.34': 'Protection of information systems during audit testing',
+};
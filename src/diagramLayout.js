@@ -0,0 +1,246 @@
+import { CANVAS, NODE_HEIGHT, NODE_WIDTH, isBoundary } from './diagramModel';
+
+// --- AUTOMATIC DIAGRAM LAYOUT ---
+// Layered (hierarchical) layout suits request flows; force-directed suits
+// meshes. Both run on ELK, which is loaded on first use so it stays out of the
+// main bundle. Trust boundaries become ELK compound nodes, so every element
+// keeps its boundary membership through a re-layout.
+
+export const LAYOUTS = [
+    { id: 'layered', label: 'Layered' },
+    { id: 'force', label: 'Force-directed' },
+];
+
+const LABEL_HEIGHT = 14;
+const LABEL_CHAR_WIDTH = 6.5;
+const ROUTE_PADDING = 12;
+const BOUNDARY_PADDING = 24;
+
+const ELK_OPTIONS = {
+    layered: {
+        'elk.algorithm': 'layered',
+        'elk.direction': 'RIGHT',
+        'elk.edgeRouting': 'ORTHOGONAL',
+        'elk.spacing.nodeNode': '40',
+        'elk.layered.spacing.nodeNodeBetweenLayers': '90',
+        'elk.spacing.edgeLabel': '4',
+        'elk.layered.nodePlacement.strategy': 'BRANDES_KOEPF',
+    },
+    force: {
+        'elk.algorithm': 'force',
+        'elk.spacing.nodeNode': '90',
+        'elk.force.iterations': '400',
+        'elk.randomSeed': '7',
+    },
+};
+
+export const labelWidth = (text = '') => text.length * LABEL_CHAR_WIDTH + 8;
+
+// Sparse, mostly one-directional graphs read best layered; dense ones as a mesh.
+export const suggestLayout = (diagram) => {
+    const elements = diagram.nodes.filter(n => !isBoundary(n)).length;
+    return elements > 0 && diagram.edges.length / elements > 1.5 ? 'force' : 'layered';
+};
+
+let elkInstance;
+const getElk = async () => {
+    if (!elkInstance) {
+        const { default: ELK } = await import('elkjs/lib/elk.bundled.js');
+        elkInstance = new ELK();
+    }
+    return elkInstance;
+};
+
+const boxOf = (node, padding = 0) => ({
+    left: node.x - NODE_WIDTH / 2 - padding,
+    right: node.x + NODE_WIDTH / 2 + padding,
+    top: node.y - NODE_HEIGHT / 2 - padding,
+    bottom: node.y + NODE_HEIGHT / 2 + padding,
+});
+
+const inBox = (point, box) => point.x >= box.left && point.x <= box.right && point.y >= box.top && point.y <= box.bottom;
+
+const boundaryOf = (boundaries, node) => boundaries.find(b => (
+    node.x >= b.x && node.x <= b.x + b.width && node.y >= b.y && node.y <= b.y + b.height
+));
+
+const toElkGraph = (diagram, algorithm) => {
+    const boundaries = diagram.nodes.filter(isBoundary);
+    const elements = diagram.nodes.filter(n => !isBoundary(n));
+    const elkNode = (n) => ({ id: n.id, width: NODE_WIDTH, height: NODE_HEIGHT });
+
+    // Elements without a position yet cannot belong to a drawn boundary.
+    const members = (b) => elements.filter(n => n.x !== undefined && boundaryOf(boundaries, n) === b);
+    const grouped = new Set(boundaries.flatMap(b => members(b).map(n => n.id)));
+
+    return {
+        id: 'root',
+        layoutOptions: { ...ELK_OPTIONS[algorithm], 'elk.hierarchyHandling': 'INCLUDE_CHILDREN' },
+        children: [
+            ...elements.filter(n => !grouped.has(n.id)).map(elkNode),
+            ...boundaries.map(b => ({
+                id: b.id,
+                layoutOptions: { ...ELK_OPTIONS[algorithm], 'elk.padding': `[top=${BOUNDARY_PADDING + 8},left=${BOUNDARY_PADDING},bottom=${BOUNDARY_PADDING},right=${BOUNDARY_PADDING}]` },
+                children: members(b).map(elkNode),
+            })),
+        ],
+        edges: diagram.edges.map(e => ({
+            id: e.id,
+            sources: [e.from],
+            targets: [e.to],
+            labels: [{ text: e.label || '', width: labelWidth(e.label), height: LABEL_HEIGHT }],
+        })),
+    };
+};
+
+// ELK reports coordinates relative to the parent (nodes) or container (edges).
+const collectOffsets = (elkNode, offset, into) => {
+    const x = offset.x + (elkNode.x || 0);
+    const y = offset.y + (elkNode.y || 0);
+    into[elkNode.id] = { x, y, width: elkNode.width, height: elkNode.height };
+    (elkNode.children || []).forEach(child => collectOffsets(child, { x, y }, into));
+    return into;
+};
+
+const sectionPoints = (section, offset) => [
+    section.startPoint,
+    ...(section.bendPoints || []),
+    section.endPoint,
+].map(p => ({ x: p.x + offset.x, y: p.y + offset.y }));
+
+// Detours a straight edge around any element box it would cut through. Good
+// enough for force layouts, where ELK does not route edges itself.
+export const routeAroundNodes = (start, end, obstacles, depth = 0) => {
+    if (depth > 3) return [start, end];
+    const steps = 20;
+    for (const box of obstacles) {
+        let hit = false;
+        for (let i = 1; i < steps; i++) {
+            const t = i / steps;
+            if (inBox({ x: start.x + (end.x - start.x) * t, y: start.y + (end.y - start.y) * t }, box)) {
+                hit = true;
+                break;
+            }
+        }
+        if (!hit) continue;
+
+        // Go past the corner that keeps the detour shortest.
+        const corners = [
+            { x: box.left, y: box.top }, { x: box.right, y: box.top },
+            { x: box.left, y: box.bottom }, { x: box.right, y: box.bottom },
+        ];
+        const length = (p) => Math.hypot(p.x - start.x, p.y - start.y) + Math.hypot(end.x - p.x, end.y - p.y);
+        const via = corners.reduce((best, c) => (length(c) < length(best) ? c : best));
+        const remaining = obstacles.filter(o => o !== box);
+        return [
+            ...routeAroundNodes(start, via, remaining, depth + 1).slice(0, -1),
+            ...routeAroundNodes(via, end, remaining, depth + 1),
+        ];
+    }
+    return [start, end];
+};
+
+// Runs the chosen algorithm and returns a copy of the diagram with element
+// centres, boundary boxes and edge routes (`points`) filled in.
+export const layoutDiagram = async (diagram, algorithm = suggestLayout(diagram)) => {
+    const elk = await getElk();
+    const result = await elk.layout(toElkGraph(diagram, algorithm));
+    const offsets = collectOffsets(result, { x: 0, y: 0 }, {});
+
+    // Centre the drawing on the default canvas when it is smaller than that.
+    const shift = {
+        x: Math.max(BOUNDARY_PADDING, (CANVAS.width - result.width) / 2),
+        y: Math.max(BOUNDARY_PADDING, (CANVAS.height - result.height) / 2),
+    };
+
+    const nodes = diagram.nodes.map(node => {
+        const box = offsets[node.id];
+        if (!box) return node;
+        return isBoundary(node)
+            ? { ...node, x: box.x + shift.x, y: box.y + shift.y, width: box.width, height: box.height }
+            : { ...node, x: box.x + shift.x + NODE_WIDTH / 2, y: box.y + shift.y + NODE_HEIGHT / 2 };
+    });
+
+    const byId = Object.fromEntries(nodes.map(n => [n.id, n]));
+    const obstacles = nodes.filter(n => !isBoundary(n));
+    const elkEdges = Object.fromEntries((result.edges || []).map(e => [e.id, e]));
+
+    const edges = diagram.edges.map(edge => {
+        const elkEdge = elkEdges[edge.id];
+        const from = byId[edge.from];
+        const to = byId[edge.to];
+        if (!from || !to) return edge;
+
+        if (elkEdge?.sections?.length && algorithm === 'layered') {
+            const container = elkEdge.container && elkEdge.container !== 'root' ? offsets[elkEdge.container] : { x: 0, y: 0 };
+            const offset = { x: container.x + shift.x, y: container.y + shift.y };
+            return { ...edge, points: elkEdge.sections.flatMap(s => sectionPoints(s, offset)) };
+        }
+
+        const others = obstacles.filter(n => n.id !== from.id && n.id !== to.id).map(n => boxOf(n, ROUTE_PADDING));
+        return { ...edge, points: routeAroundNodes(from, to, others) };
+    });
+
+    return { ...diagram, nodes, edges, layout: algorithm };
+};
+
+// --- Edge label placement ---
+// Labels start at the middle of their route's longest segment and are nudged
+// off any element or earlier label they would overlap.
+
+const longestSegmentMidpoint = (points) => {
+    let best = { length: -1, x: 0, y: 0 };
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        if (length > best.length) best = { length, x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    }
+    return best;
+};
+
+const overlaps = (a, b) => a.left < b.right && a.right > b.left && a.top < b.bottom && a.bottom > b.top;
+
+export const placeEdgeLabels = (nodes, routes) => {
+    const occupied = nodes.filter(n => !isBoundary(n)).map(n => boxOf(n, 2));
+    const positions = {};
+    const offsets = [0, -1, 1, -2, 2, -3, 3];
+
+    routes.forEach(({ id, label, points }) => {
+        if (!label) return;
+        const anchor = longestSegmentMidpoint(points);
+        const width = labelWidth(label);
+        let placed;
+        for (const step of offsets) {
+            const y = anchor.y - 5 + step * (LABEL_HEIGHT + 2);
+            const box = { left: anchor.x - width / 2, right: anchor.x + width / 2, top: y - LABEL_HEIGHT + 3, bottom: y + 3 };
+            if (!occupied.some(o => overlaps(o, box))) {
+                placed = { x: anchor.x, y, box };
+                break;
+            }
+        }
+        if (!placed) {
+            const y = anchor.y - 5;
+            placed = { x: anchor.x, y, box: { left: anchor.x - width / 2, right: anchor.x + width / 2, top: y - LABEL_HEIGHT + 3, bottom: y + 3 } };
+        }
+        occupied.push(placed.box);
+        positions[id] = { x: placed.x, y: placed.y, width };
+    });
+    return positions;
+};
+
+// Bounding box of everything drawn, used to fit the view.
+export const diagramBounds = (nodes, routes = []) => {
+    const boxes = [
+        ...nodes.map(n => (isBoundary(n)
+            ? { left: n.x, right: n.x + n.width, top: n.y, bottom: n.y + n.height }
+            : boxOf(n))),
+        ...routes.flatMap(r => r.points.map(p => ({ left: p.x, right: p.x, top: p.y, bottom: p.y }))),
+    ];
+    if (boxes.length === 0) return { x: 0, y: 0, width: CANVAS.width, height: CANVAS.height };
+    const left = Math.min(...boxes.map(b => b.left)) - BOUNDARY_PADDING;
+    const top = Math.min(...boxes.map(b => b.top)) - BOUNDARY_PADDING;
+    const right = Math.max(...boxes.map(b => b.right)) + BOUNDARY_PADDING;
+    const bottom = Math.max(...boxes.map(b => b.bottom)) + BOUNDARY_PADDING;
+    return { x: left, y: top, width: right - left, height: bottom - top };
+};
@@ -0,0 +1,132 @@
+import { threatKey } from './analysisDiff';
+
+// --- DATA FLOW DIAGRAM MODEL ---
+// The diagram is the editable source of truth for assets and data flows once a
+// model exists. Nodes use the standard DFD element types; trust boundaries are
+// boxes (x, y, width, height) rather than connectable elements.
+
+export const NODE_TYPES = [
+    { id: 'process', label: 'Process' },
+    { id: 'dataStore', label: 'Data Store' },
+    { id: 'externalEntity', label: 'External Entity' },
+    { id: 'trustBoundary', label: 'Trust Boundary' },
+];
+
+export const NODE_WIDTH = 150;
+export const NODE_HEIGHT = 40;
+export const CANVAS = { width: 800, height: 500 };
+
+const DATA_STORE_HINT = /data ?base|\bdb\b|store|storage|bucket|cache|queue|redis|postgres|mysql|mongo|dynamo|s3|table|ledger|vault|secrets?/i;
+const EXTERNAL_HINT = /user|client|browser|customer|admin|third[- ]party|external|partner|mobile app|internet|operator/i;
+
+// Assets only come back from the model as names, so the DFD type is a best guess
+// that architects can correct in the editor.
+export const inferNodeType = (label = '') => {
+    if (DATA_STORE_HINT.test(label)) return 'dataStore';
+    if (EXTERNAL_HINT.test(label)) return 'externalEntity';
+    return 'process';
+};
+
+export const isBoundary = (node) => node.type === 'trustBoundary';
+
+export const nextId = (items, prefix = '') => {
+    const max = items.reduce((acc, item) => {
+        const n = parseInt(String(item.id).replace(prefix, ''), 10);
+        return Number.isNaN(n) ? acc : Math.max(acc, n);
+    }, 0);
+    return `${prefix}${max + 1}`;
+};
+
+// Places any node without coordinates on a circle around the canvas centre.
+export const withPositions = (diagram) => {
+    const elements = diagram.nodes.filter(n => !isBoundary(n));
+    const center = { x: CANVAS.width / 2, y: CANVAS.height / 2 };
+    const radius = Math.min(CANVAS.width, CANVAS.height) / 2 - NODE_HEIGHT * 2;
+    return {
+        ...diagram,
+        nodes: diagram.nodes.map(node => {
+            if (isBoundary(node) || (node.x !== undefined && node.y !== undefined)) return node;
+            const i = elements.indexOf(node);
+            const angle = (i / elements.length) * 2 * Math.PI - Math.PI / 2;
+            return { ...node, x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) };
+        }),
+    };
+};
+
+const containingBoundary = (boundaries, node) => boundaries.find(b => (
+    node.x >= b.x && node.x <= b.x + b.width && node.y >= b.y && node.y <= b.y + b.height
+))?.id ?? null;
+
+// Once architects have drawn boundary boxes, a flow crosses a trust boundary
+// exactly when its endpoints sit in different boxes. Until then the flag the
+// model reported is kept.
+const crossesBoundary = (boundaries, edge, from, to) => (
+    boundaries.length > 0
+        ? containingBoundary(boundaries, from) !== containingBoundary(boundaries, to)
+        : Boolean(edge.crossesTrustBoundary)
+);
+
+// Pairs each edge whose endpoints still exist with its resolved nodes.
+const resolveEdges = (diagram) => {
+    const byId = Object.fromEntries(diagram.nodes.map(n => [n.id, n]));
+    const boundaries = diagram.nodes.filter(isBoundary);
+    return diagram.edges
+        .filter(e => byId[e.from] && byId[e.to])
+        .map(e => ({
+            edge: { ...e, crossesTrustBoundary: crossesBoundary(boundaries, e, byId[e.from], byId[e.to]) },
+            from: byId[e.from],
+            to: byId[e.to],
+        }));
+};
+
+export const flowsFromDiagram = (diagram) => resolveEdges(diagram).map(({ edge, from, to }) => ({
+    source: from.label,
+    destination: to.label,
+    protocol: edge.label,
+    dataClassification: edge.dataClassification,
+    crossesTrustBoundary: edge.crossesTrustBoundary,
+}));
+
+export const assetsFromDiagram = (diagram) => new Set(diagram.nodes.filter(n => !isBoundary(n)).map(n => n.label));
+
+// Returns a copy of the analysis whose assets and data flows follow the edited
+// diagram. Edges whose endpoint was deleted are dropped.
+export const applyDiagram = (analysis, diagram) => {
+    const cleaned = { ...diagram, edges: resolveEdges(diagram).map(r => r.edge) };
+    return {
+        ...analysis,
+        assets: assetsFromDiagram(cleaned),
+        dataFlows: flowsFromDiagram(cleaned),
+        diagramData: cleaned,
+    };
+};
+
+// Keeps threats attached to their component when its node is renamed.
+export const renameThreatComponents = (threats, before, after) => {
+    const renames = {};
+    before.nodes.forEach(node => {
+        const renamed = after.nodes.find(n => n.id === node.id);
+        if (renamed && renamed.label !== node.label) renames[node.label] = renamed.label;
+    });
+    if (Object.keys(renames).length === 0) return threats;
+    return threats.map(t => {
+        if (!renames[t.component]) return t;
+        const renamed = { ...t, component: renames[t.component] };
+        return { ...renamed, key: threatKey(renamed) };
+    });
+};
+
+// A compact, model-friendly description of the edited diagram for re-analysis.
+export const describeDiagram = (diagram) => {
+    const boundaries = diagram.nodes.filter(isBoundary);
+    const typeLabel = (type) => NODE_TYPES.find(t => t.id === type)?.label || type;
+    return {
+        elements: diagram.nodes.filter(n => !isBoundary(n)).map(n => ({
+            name: n.label,
+            type: typeLabel(n.type),
+            trustBoundary: boundaries.find(b => b.id === containingBoundary(boundaries, n))?.label || null,
+        })),
+        trustBoundaries: boundaries.map(b => b.label),
+        dataFlows: flowsFromDiagram(diagram),
+    };
+};
@@ -0,0 +1,61 @@
+// --- DOCUMENT EXTRACTION ---
+// PDFs and images cannot be pasted into the prompt as text. A PDF design doc
+// is reduced to its text in the browser (pdf.js, loaded on first use); an
+// image (an architecture diagram, a whiteboard photo) is kept as base64 and
+// sent to the model as an inline image part, so the boxes and arrows it shows
+// inform the asset and data flow extraction.
+
+export const IMAGE_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+};
+
+const extensionOf = (name) => (name.match(/\.([^./]+)$/)?.[1] || '').toLowerCase();
+
+export const isPdf = (name) => extensionOf(name) === 'pdf';
+
+export const imageType = (name) => IMAGE_TYPES[extensionOf(name)] || null;
+
+// Line breaks are rebuilt from the text items' end-of-line flags.
+const pageText = (content) => content.items
+    .map(item => `${item.str}${item.hasEOL ? '\n' : ''}`)
+    .join('')
+    .replace(/[ \t]+\n/g, '\n')
+    .trim();
+
+export const extractPdfText = async (bytes) => {
+    const [pdfjs, { default: workerSrc }] = await Promise.all([
+        import('pdfjs-dist'),
+        import('pdfjs-dist/build/pdf.worker.min.mjs?url'),
+    ]);
+    pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
+
+    // pdf.js takes ownership of the buffer it is given.
+    const document = await pdfjs.getDocument({ data: bytes.slice() }).promise;
+    try {
+        const pages = [];
+        for (let i = 1; i <= document.numPages; i++) {
+            const page = await document.getPage(i);
+            pages.push(`[Page ${i}]\n${pageText(await page.getTextContent())}`);
+        }
+        const text = pages.join('\n\n');
+        // Scanned PDFs have no text layer; there is nothing useful to send.
+        if (!text.replace(/\[Page \d+\]/g, '').trim()) throw new Error('the PDF has no extractable text (is it a scan?)');
+        return { text, pages: document.numPages };
+    } finally {
+        await document.destroy();
+    }
+};
+
+const CHUNK = 0x8000;
+
+export const toBase64 = (bytes) => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += CHUNK) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK));
+    }
+    return btoa(binary);
+};
@@ -0,0 +1,326 @@
+import { serializeAnalysis } from './projectStore';
+import { threatKey } from './analysisDiff';
+import { isResolved } from './threatLifecycle';
+import { isRuleFinding } from './ruleEngine';
+import { DREAD_FACTORS, byScore, scoreThreat } from './riskScoring';
+import { getMethodology, methodologyOf } from './methodologies';
+import { ALL_REFERENCE_TYPES, REFERENCE_TYPES, describeReference, referencesOf } from './threatReferences';
+import { CONTROL_FRAMEWORKS, controlCoverage } from './complianceControls';
+
+// --- EXPORTS ---
+// Every format is built from the dashboard's `analysis` object. JSON is the
+// lossless round-trip format; CSV and Markdown are for people; SARIF 2.1.0
+// lets code-scanning tools show threats next to the code they concern. The
+// control coverage CSV lists every catalog control with the threats whose
+// mitigations implement it, as audit evidence.
+
+export const EXPORT_FORMAT = 'threat-model-platform/analysis';
+export const EXPORT_VERSION = 1;
+
+const TOOL_NAME = 'AI-Driven Threat Modeling Platform';
+
+const byRisk = (threats) => [...threats].sort(byScore);
+
+// `DREAD 7/6/8/5/4` or the CVSS vector the score was calculated from.
+const riskFactors = (threat) => (scoreThreat(threat).method === 'cvss'
+    ? threat.cvss
+    : `DREAD ${DREAD_FACTORS.map(f => threat.dread?.[f.id] ?? '?').join('/')}`);
+
+const methodologyLabel = (threat) => getMethodology(methodologyOf(threat)).label;
+
+// `Linking (LINDDUN)`, so categories read the same whichever methodology they come from.
+const categoryWithMethodology = (threat) => `${threat.category} (${methodologyLabel(threat)})`;
+
+const slugify = (name = '') => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'threat-model';
+
+// --- JSON ---
+
+export const toJson = (analysis, { projectName = '' } = {}) => JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    projectName,
+    exportedAt: new Date().toISOString(),
+    analysis: serializeAnalysis(analysis),
+}, null, 2);
+
+// --- CSV ---
+
+const CSV_COLUMNS = [
+    ['Severity', t => t.severity],
+    ['Risk Score', t => scoreThreat(t).score],
+    ['Risk Factors', riskFactors],
+    ['Methodology', methodologyLabel],
+    ['Category', t => t.category],
+    ['Threat', t => t.threat],
+    ['Component', t => t.component],
+    ...REFERENCE_TYPES.map(type => [type.label, t => referencesOf(t, type.id).join(' ')]),
+    ['Mitigation', t => t.mitigation],
+    ...CONTROL_FRAMEWORKS.map(framework => [framework.label, t => referencesOf(t, framework.id).join(' ')]),
+    ['Status', t => t.status],
+    ['Owner', t => t.owner],
+    ['Due Date', t => t.dueDate],
+    ['Code Snippet', t => t.codeSnippet],
+    ['Source', t => (isRuleFinding(t) ? `rule ${t.ruleId}` : '')],
+    ['Location', t => (t.location ? `${t.location.file}:${t.location.line}` : '')],
+    ['Key', t => t.key || threatKey(t)],
+];
+
+// Spreadsheets evaluate cells starting with these characters as formulas.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The byte order mark makes Excel read the file as UTF-8.
+const csvDocument = (rows) => `\uFEFF${rows.map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+
+export const toCsv = (analysis) => csvDocument([
+    CSV_COLUMNS.map(([header]) => header),
+    ...byRisk(analysis.threats).map(t => CSV_COLUMNS.map(([, get]) => get(t))),
+]);
+
+// --- Markdown ---
+
+const mdCell = (value = '') => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+
+const mdTable = (headers, rows) => [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(mdCell).join(' | ')} |`),
+].join('\n');
+
+// `V2.1.1 (unverified)`, linked where the catalog has a page for the id.
+const mdReferences = (threat, types) => types.flatMap(type => referencesOf(threat, type.id).map(text => {
+    const { id, url, known } = describeReference(type.id, text);
+    return `${url ? `[${id}](${url})` : id}${known ? '' : ' (unverified)'}`;
+}));
+
+const fence = (code) => {
+    const longest = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+    const ticks = '`'.repeat(longest + 1);
+    return `${ticks}\n${code}\n${ticks}`;
+};
+
+export const toMarkdown = (analysis, { projectName = '' } = {}) => {
+    const threats = byRisk(analysis.threats);
+    const lines = [
+        `# Threat Model: ${projectName || 'Untitled project'}`,
+        '',
+        `_Exported ${new Date().toISOString().slice(0, 10)} from the ${TOOL_NAME}._`,
+        '',
+        `${threats.length} threats, ${analysis.assets.size} assets, ${analysis.dataFlows.length} data flows.`,
+        '',
+        '## Assets',
+        '',
+        ...(analysis.assets.size ? Array.from(analysis.assets, a => `- ${a}`) : ['_No assets identified._']),
+        '',
+        '## Data Flows',
+        '',
+        analysis.dataFlows.length
+            ? mdTable(
+                ['Source', 'Destination', 'Protocol', 'Data Classification', 'Trust Boundary'],
+                analysis.dataFlows.map(f => [f.source, f.destination, f.protocol, f.dataClassification, f.crossesTrustBoundary ? 'Crosses' : 'Internal']),
+            )
+            : '_No data flows identified._',
+        '',
+        '## Threats',
+        '',
+        threats.length
+            ? mdTable(
+                ['#', 'Severity', 'Score', 'Category', 'Threat', 'Component', 'Status', 'Owner', 'Due'],
+                threats.map((t, i) => [i + 1, t.severity, scoreThreat(t).score, categoryWithMethodology(t), t.threat, t.component, t.status, t.owner, t.dueDate]),
+            )
+            : '_No threats identified._',
+        '',
+    ];
+
+    threats.forEach((t, i) => {
+        lines.push(`### ${i + 1}. ${t.threat}`, '');
+        lines.push(`**Severity:** ${t.severity} (${scoreThreat(t).score}, ${riskFactors(t)}) · **Category:** ${categoryWithMethodology(t)} · **Component:** ${t.component} · **Status:** ${t.status}`, '');
+        if (isRuleFinding(t)) lines.push(`**Rule:** \`${t.ruleId}\` at \`${t.location.file}:${t.location.line}\``, '');
+        const references = mdReferences(t, REFERENCE_TYPES);
+        if (references.length > 0) lines.push(`**References:** ${references.join(' · ')}`, '');
+        lines.push('**Mitigation**', '', t.mitigation || '_None recorded._', '');
+        CONTROL_FRAMEWORKS.forEach(framework => {
+            const controls = mdReferences(t, [framework]);
+            if (controls.length > 0) lines.push(`- **${framework.label}:** ${controls.join(' · ')}`);
+        });
+        if (CONTROL_FRAMEWORKS.some(framework => referencesOf(t, framework.id).length > 0)) lines.push('');
+        if (t.codeSnippet) lines.push(fence(t.codeSnippet), '');
+    });
+
+    // Only the controls that are addressed; the coverage CSV has the gaps too.
+    const coverages = CONTROL_FRAMEWORKS.map(f => controlCoverage(threats, f.id)).filter(c => c.addressed > 0);
+    if (coverages.length > 0) lines.push('## Control Coverage', '');
+    coverages.forEach(({ framework, families, addressed, implemented, total }) => {
+        lines.push(`### ${framework.title}`, '', `${addressed} of ${total} controls addressed, ${implemented} implemented.`, '');
+        lines.push(mdTable(
+            ['Control', 'Name', 'Status', 'Threats'],
+            families.flatMap(family => family.controls)
+                .filter(c => c.threats.length > 0)
+                .map(c => [c.id, c.name, c.status, c.threats.map(t => `#${threats.indexOf(t) + 1}`).join(', ')]),
+        ), '');
+    });
+
+    return lines.join('\n');
+};
+
+// --- SARIF 2.1.0 ---
+
+const SARIF_LEVEL = { 'Critical': 'error', 'High': 'error', 'Medium': 'warning', 'Low': 'note' };
+
+// GitHub code scanning ranks security results by a 0-10 `security-severity`: the risk score.
+const securitySeverity = (threat) => scoreThreat(threat).score.toFixed(1);
+
+const ruleId = (threat) => `${slugify(methodologyOf(threat))}/${slugify(threat.category)}`;
+
+const baseName = (path) => path.split(/[\\/]/).pop();
+
+// Rule findings know their file and line. Otherwise the threat's component is
+// mapped to an uploaded source file when it names one, pointing at the code
+// snippet's line when it can be found.
+const physicalLocation = (threat, sources) => {
+    if (threat.location) {
+        return { artifactLocation: { uri: threat.location.file.replace(/\\/g, '/') }, region: { startLine: threat.location.line } };
+    }
+    const component = (threat.component || '').toLowerCase();
+    const source = sources.find(s => component && (component === s.name.toLowerCase() || component.includes(baseName(s.name).toLowerCase())))
+        || (threat.codeSnippet && sources.find(s => s.content?.includes(threat.codeSnippet.trim())));
+    if (!source) return null;
+
+    const location = { artifactLocation: { uri: source.name.replace(/\\/g, '/') } };
+    const snippet = threat.codeSnippet?.trim();
+    const offset = snippet && source.content ? source.content.indexOf(snippet) : -1;
+    if (offset >= 0) {
+        const startLine = source.content.slice(0, offset).split('\n').length;
+        location.region = { startLine, endLine: startLine + snippet.split('\n').length - 1, snippet: { text: snippet } };
+    }
+    return location;
+};
+
+// `sources` are the uploaded files ({ name, content }) the analysis was built from, when still available.
+export const toSarif = (analysis, { sources = [] } = {}) => {
+    const categories = [...new Set(analysis.threats.map(t => t.category))];
+    // Rules are per methodology category and carry the score of their worst threat.
+    const worst = (category) => byRisk(analysis.threats.filter(t => t.category === category))[0];
+    const rules = categories.map(category => {
+        const threat = worst(category);
+        const methodology = methodologyOf(threat);
+        return {
+            id: ruleId(threat),
+            name: category.replace(/[^A-Za-z0-9]+/g, ''),
+            shortDescription: { text: `${getMethodology(methodology).label}: ${category}` },
+            properties: { tags: ['security', 'threat-model', methodology.toLowerCase()], 'security-severity': securitySeverity(threat) },
+        };
+    });
+
+    const results = byRisk(analysis.threats).map(t => {
+        const physical = physicalLocation(t, sources);
+        const result = {
+            ruleId: ruleId(t),
+            ruleIndex: categories.indexOf(t.category),
+            level: SARIF_LEVEL[t.severity] || 'warning',
+            message: { text: t.threat },
+            locations: [{
+                ...(physical && { physicalLocation: physical }),
+                logicalLocations: [{ name: t.component, kind: 'module' }],
+            }],
+            partialFingerprints: { 'threatKey/v1': t.key || threatKey(t) },
+            properties: {
+                'security-severity': securitySeverity(t),
+                severity: t.severity,
+                riskFactors: riskFactors(t),
+                component: t.component,
+                mitigation: t.mitigation,
+                status: t.status,
+                ...(t.owner && { owner: t.owner }),
+                ...(t.dueDate && { dueDate: t.dueDate }),
+                ...(isRuleFinding(t) && { source: 'rule', rule: t.ruleId }),
+                ...Object.fromEntries(ALL_REFERENCE_TYPES.filter(type => referencesOf(t, type.id).length > 0).map(type => [type.id, referencesOf(t, type.id)])),
+                // Code scanning tools group results by `external/cwe/cwe-<n>` tags.
+                ...(referencesOf(t, 'cwe').length > 0 && { tags: referencesOf(t, 'cwe').map(id => `external/cwe/${id.toLowerCase()}`) }),
+            },
+        };
+        // Threats triaged away in the dashboard stay in the log, marked as suppressed.
+        if (isResolved(t)) {
+            result.suppressions = [{ kind: 'external', status: 'accepted', justification: `Marked ${t.status} in the threat model.` }];
+        }
+        return result;
+    });
+
+    return JSON.stringify({
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: { driver: { name: TOOL_NAME, rules } },
+            results,
+        }],
+    }, null, 2);
+};
+
+// --- Control coverage ---
+
+const COVERAGE_COLUMNS = ['Framework', 'Family', 'Control', 'Name', 'Status', 'Threats', 'Mitigated', 'Threat Keys'];
+
+export const toControlCoverageCsv = (analysis) => {
+    const rows = [COVERAGE_COLUMNS];
+    CONTROL_FRAMEWORKS.forEach(f => {
+        const { framework, families, unlisted } = controlCoverage(byRisk(analysis.threats), f.id);
+        const row = (family, control, name, status, threats) => [
+            framework.title, family, control, name, status, threats.length,
+            threats.filter(t => t.status === 'Mitigated').length, threats.map(t => t.key || threatKey(t)).join(' '),
+        ];
+        families.forEach(family => family.controls.forEach(c => rows.push(row(`${family.id} ${family.name}`, c.id, c.name, c.status, c.threats))));
+        unlisted.forEach(c => rows.push(row('', c.id, '', 'Not in the bundled catalog', c.threats)));
+    });
+    return csvDocument(rows);
+};
+
+export const EXPORT_FORMATS = [
+    { id: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json', build: toJson },
+    { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv', build: toCsv },
+    { id: 'markdown', label: 'Markdown', extension: 'md', mimeType: 'text/markdown', build: toMarkdown },
+    { id: 'sarif', label: 'SARIF 2.1.0', extension: 'sarif', mimeType: 'application/sarif+json', build: toSarif },
+    { id: 'controls', label: 'Control coverage (CSV)', extension: 'csv', suffix: '-controls', mimeType: 'text/csv', build: toControlCoverageCsv },
+];
+
+// Builds the export in the browser and hands it to the user as a download.
+const downloadText = (fileName, text, mimeType) => {
+    const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const downloadExport = (formatId, analysis, options = {}) => {
+    const format = EXPORT_FORMATS.find(f => f.id === formatId);
+    downloadText(`${slugify(options.projectName)}${format.suffix || ''}.${format.extension}`, format.build(analysis, options), format.mimeType);
+};
+
+// --- Redaction log ---
+// What was withheld from the model, for compliance review. Entries name the
+// type, placeholder, file, line and length of each redaction, never any part
+// of the value.
+
+export const REDACTION_LOG_FORMAT = 'threat-model-platform/redaction-log';
+
+export const toRedactionLog = (log, { projectName = '', provider = '' } = {}) => JSON.stringify({
+    format: REDACTION_LOG_FORMAT,
+    version: 1,
+    projectName,
+    provider,
+    createdAt: new Date().toISOString(),
+    entries: log.map(({ type, label, placeholder, where, line, length }) => ({ type, label, placeholder, file: where, line, length })),
+}, null, 2);
+
+export const downloadRedactionLog = (log, options = {}) => {
+    downloadText(`${slugify(options.projectName)}-redaction-log.json`, toRedactionLog(log, options), 'application/json');
+};
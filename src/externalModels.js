@@ -0,0 +1,324 @@
+import { isBoundary } from './diagramModel';
+import { getMethodology } from './methodologies';
+import { newComment } from './threatLifecycle';
+
+// --- EXTERNAL THREAT MODEL FORMATS ---
+// Parsers for models drawn in other tools: Microsoft Threat Modeling Tool
+// (.tm7, serialized .NET XML) and OWASP Threat Dragon (JSON, v1 and v2).
+// Both become the app's own diagram (positioned nodes, edges, box boundaries)
+// plus threats, with no AI call. Neither format records data classification,
+// so every flow starts out as Internal. Trust boundaries drawn as lines
+// cannot be turned into boxes; flows they cut are marked as crossing instead.
+
+export const EXTERNAL_FORMATS = {
+    tmt: 'Microsoft Threat Modeling Tool',
+    threatDragon: 'OWASP Threat Dragon',
+};
+
+const DEFAULT_CLASSIFICATION = 'Internal';
+
+const STRIDE_CATEGORIES = getMethodology('stride').categories.map(c => c.name);
+
+// Threat Dragon's LINDDUN threat types keep their LINDDUN category; its CIA
+// types have no twin and are filed under the closest STRIDE category.
+const CATEGORY_ALIASES = {
+    confidentiality: 'Information Disclosure',
+    integrity: 'Tampering',
+    availability: 'Denial of Service',
+    linkability: 'Linking',
+    identifiability: 'Identifying',
+    'non-repudiation': 'Non-repudiation',
+    detectability: 'Detecting',
+    disclosure: 'Information Disclosure',
+    'disclosure of information': 'Data Disclosure',
+    unawareness: 'Unawareness & Unintervenability',
+    'non-compliance': 'Non-compliance',
+};
+
+const toCategory = (value = '') => {
+    const normalized = value.trim().toLowerCase();
+    return STRIDE_CATEGORIES.find(c => c.toLowerCase() === normalized)
+        || CATEGORY_ALIASES[normalized]
+        || STRIDE_CATEGORIES.find(c => normalized.startsWith(c.toLowerCase().split(' ')[0]))
+        || 'Tampering';
+};
+
+const toSeverity = (value = '') => ['Critical', 'High', 'Medium', 'Low'].find(s => s.toLowerCase() === value.trim().toLowerCase()) || 'Medium';
+
+const STATUS_MAP = {
+    open: 'Open',
+    notstarted: 'Open',
+    autogenerated: 'Open',
+    needsinvestigation: 'In Progress',
+    mitigated: 'Mitigated',
+    notapplicable: 'False Positive',
+};
+
+const toStatus = (value = '') => STATUS_MAP[value.replace(/\s+/g, '').toLowerCase()] || 'Open';
+
+const NODE_TYPE_BY_TMT = { 'GE.P': 'process', 'GE.EI': 'externalEntity', 'GE.DS': 'dataStore', 'GE.TB.B': 'trustBoundary' };
+const NODE_TYPE_BY_DRAGON = { 'tm.Actor': 'externalEntity', 'tm.Process': 'process', 'tm.Store': 'dataStore', 'tm.BoundaryBox': 'trustBoundary' };
+
+// Several elements may share a name; labels must be unique because flows and
+// threats refer to elements by label.
+const uniqueLabel = (label, taken) => {
+    const base = (label || 'Unnamed').replace(/\s+/g, ' ').trim() || 'Unnamed';
+    let candidate = base;
+    for (let n = 2; taken.has(candidate); n++) candidate = `${base} (${n})`;
+    taken.add(candidate);
+    return candidate;
+};
+
+const segmentsIntersect = (p1, p2, q1, q2) => {
+    const cross = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    const d1 = cross(q1, q2, p1);
+    const d2 = cross(q1, q2, p2);
+    const d3 = cross(p1, p2, q1);
+    const d4 = cross(p1, p2, q2);
+    return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+};
+
+// Collects elements, flows and threats keyed by the source tool's ids and
+// turns them into the app's diagram, rekeying everything to short ids.
+const assemble = ({ projectName, elements, flows, boundaryLines, threats }) => {
+    const taken = new Set();
+    const nodeIds = {};
+    const nodes = elements.map((element, i) => {
+        const id = String(i + 1);
+        nodeIds[element.externalId] = id;
+        const node = { id, label: uniqueLabel(element.label, taken), type: element.type };
+        return element.type === 'trustBoundary'
+            ? { ...node, x: element.left, y: element.top, width: element.width, height: element.height }
+            : { ...node, x: element.left + element.width / 2, y: element.top + element.height / 2 };
+    });
+    const byId = Object.fromEntries(nodes.map(n => [n.id, n]));
+
+    const edgeIds = {};
+    const edges = flows
+        .filter(flow => nodeIds[flow.from] && nodeIds[flow.to] && !isBoundary(byId[nodeIds[flow.from]]) && !isBoundary(byId[nodeIds[flow.to]]))
+        .map((flow, i) => {
+            const id = `e${i + 1}`;
+            edgeIds[flow.externalId] = id;
+            const from = byId[nodeIds[flow.from]];
+            const to = byId[nodeIds[flow.to]];
+            return {
+                id,
+                from: from.id,
+                to: to.id,
+                label: flow.label,
+                dataClassification: DEFAULT_CLASSIFICATION,
+                crossesTrustBoundary: Boolean(flow.crossesTrustBoundary) || boundaryLines.some(line => segmentsIntersect(from, to, line.from, line.to)),
+            };
+        });
+    const edgeById = Object.fromEntries(edges.map(e => [e.id, e]));
+
+    // Threats on a flow are filed against the element the flow enters.
+    const componentOf = (target) => {
+        if (nodeIds[target] && byId[nodeIds[target]]) return byId[nodeIds[target]].label;
+        const edge = edgeById[edgeIds[target]];
+        return edge ? byId[edge.to].label : 'Unknown component';
+    };
+
+    return {
+        projectName,
+        diagram: { nodes, edges },
+        threats: threats.map(t => ({
+            category: toCategory(t.category),
+            threat: t.title || t.description || 'Untitled threat',
+            severity: toSeverity(t.severity),
+            component: componentOf(t.target),
+            mitigation: t.mitigation || '',
+            codeSnippet: '',
+            status: toStatus(t.status),
+            comments: t.note ? [newComment({ author: 'Imported', text: t.note })] : [],
+            source: 'import',
+        })),
+    };
+};
+
+// Threats recorded in another tool rather than found by the model or a rule.
+export const isImportedThreat = (threat) => threat.source === 'import';
+
+// --- Microsoft Threat Modeling Tool (.tm7) ---
+
+const elementChildren = (el, name) => Array.from(el?.childNodes || []).filter(n => n.nodeType === 1 && (!name || n.localName === name));
+const child = (el, name) => elementChildren(el, name)[0];
+const childText = (el, name) => child(el, name)?.textContent.trim() || '';
+const number = (el, name) => parseFloat(childText(el, name)) || 0;
+
+// Element properties are a list of display attributes; the visible name is the one called "Name".
+const tmtName = (value) => {
+    const attribute = elementChildren(child(value, 'Properties')).find(a => childText(a, 'DisplayName') === 'Name');
+    return attribute ? childText(attribute, 'Value') : '';
+};
+
+const tmtStringMap = (el) => Object.fromEntries(elementChildren(el).map(kv => [childText(kv, 'Key'), childText(kv, 'Value')]));
+
+export const parseTm7 = (text) => {
+    const doc = new DOMParser().parseFromString(text.replace(/^\uFEFF/, ''), 'application/xml');
+    const root = doc.documentElement;
+    if (!root || root.localName !== 'ThreatModel' || doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The file is not a Microsoft Threat Modeling Tool model.');
+    }
+
+    const elements = [];
+    const flows = [];
+    const boundaryLines = [];
+    let offsetY = 0;
+
+    // Diagrams in one file are stacked vertically so their elements do not overlap.
+    elementChildren(child(root, 'DrawingSurfaceList'), 'DrawingSurfaceModel').forEach(surface => {
+        let bottom = offsetY;
+        elementChildren(child(surface, 'Borders')).forEach(entry => {
+            const value = child(entry, 'Value');
+            const type = NODE_TYPE_BY_TMT[childText(value, 'GenericTypeId')];
+            if (!type) return;
+            const element = {
+                externalId: childText(value, 'Guid') || childText(entry, 'Key'),
+                label: tmtName(value),
+                type,
+                left: number(value, 'Left'),
+                top: number(value, 'Top') + offsetY,
+                width: number(value, 'Width') || 100,
+                height: number(value, 'Height') || 100,
+            };
+            bottom = Math.max(bottom, element.top + element.height);
+            elements.push(element);
+        });
+        elementChildren(child(surface, 'Lines')).forEach(entry => {
+            const value = child(entry, 'Value');
+            const kind = childText(value, 'GenericTypeId');
+            if (kind === 'GE.DF') {
+                flows.push({
+                    externalId: childText(value, 'Guid') || childText(entry, 'Key'),
+                    from: childText(value, 'SourceGuid'),
+                    to: childText(value, 'TargetGuid'),
+                    label: tmtName(value),
+                });
+            } else if (kind === 'GE.TB.L') {
+                boundaryLines.push({
+                    from: { x: number(value, 'SourceX'), y: number(value, 'SourceY') + offsetY },
+                    to: { x: number(value, 'TargetX'), y: number(value, 'TargetY') + offsetY },
+                });
+            }
+        });
+        offsetY = bottom + 100;
+    });
+
+    const threats = elementChildren(child(root, 'ThreatInstances')).map(entry => {
+        const value = child(entry, 'Value');
+        const properties = tmtStringMap(child(value, 'Properties'));
+        return {
+            title: properties.Title || childText(value, 'Title'),
+            description: properties.UserThreatDescription,
+            category: properties.UserThreatCategory || childText(value, 'UserThreatCategory'),
+            severity: childText(value, 'Priority') || properties.Priority,
+            status: childText(value, 'State'),
+            mitigation: properties.PossibleMitigations || '',
+            note: childText(value, 'StateInformation'),
+            target: childText(value, 'FlowGuid') || childText(value, 'TargetGuid'),
+        };
+    });
+
+    const meta = child(root, 'MetaInformation');
+    return assemble({ projectName: childText(meta, 'ThreatModelName'), elements, flows, boundaryLines, threats });
+};
+
+// --- OWASP Threat Dragon (v1 and v2 JSON) ---
+
+const dragonThreats = (cell, target) => (cell.data?.threats || cell.threats || []).map(t => ({
+    title: t.title,
+    description: t.description,
+    category: t.type,
+    severity: t.severity,
+    status: t.status,
+    mitigation: t.mitigation,
+    target,
+}));
+
+// v2 cells keep their properties under `data`; v1 (JointJS) cells keep them at the top level.
+const dragonCell = (cell) => {
+    const data = cell.data || {};
+    const type = data.type || cell.type;
+    const name = data.name ?? cell.attrs?.text?.text ?? cell.labels?.[0]?.attrs?.text?.text ?? '';
+    return { type, name, data: { ...cell, ...data } };
+};
+
+export const parseThreatDragon = (model) => {
+    const elements = [];
+    const flows = [];
+    const boundaryLines = [];
+    const threats = [];
+    let offsetY = 0;
+
+    (model.detail?.diagrams || []).forEach(diagram => {
+        const cells = diagram.cells || diagram.diagramJson?.cells || [];
+        let bottom = offsetY;
+        cells.forEach(cell => {
+            const { type, name, data } = dragonCell(cell);
+            const shapeType = cell.shape === 'trust-boundary-box' ? 'trustBoundary' : NODE_TYPE_BY_DRAGON[type];
+            if (shapeType) {
+                const element = {
+                    externalId: cell.id,
+                    label: name,
+                    type: shapeType,
+                    left: cell.position?.x || 0,
+                    top: (cell.position?.y || 0) + offsetY,
+                    width: cell.size?.width || 100,
+                    height: cell.size?.height || 100,
+                };
+                bottom = Math.max(bottom, element.top + element.height);
+                elements.push(element);
+            } else if (type === 'tm.Flow') {
+                flows.push({
+                    externalId: cell.id,
+                    from: cell.source?.cell || cell.source?.id,
+                    to: cell.target?.cell || cell.target?.id,
+                    label: data.protocol ? `${name || 'Flow'} (${data.protocol})` : name,
+                    crossesTrustBoundary: data.isPublicNetwork,
+                });
+            } else if (type === 'tm.Boundary' && cell.source?.x !== undefined && cell.target?.x !== undefined) {
+                boundaryLines.push({
+                    from: { x: cell.source.x, y: cell.source.y + offsetY },
+                    to: { x: cell.target.x, y: cell.target.y + offsetY },
+                });
+            }
+            threats.push(...dragonThreats(cell, cell.id));
+        });
+        offsetY = bottom + 100;
+    });
+
+    return assemble({ projectName: model.summary?.title || '', elements, flows, boundaryLines, threats });
+};
+
+// --- Detection ---
+
+export const isThreatDragonModel = (value) => Boolean(value && typeof value === 'object' && Array.isArray(value.detail?.diagrams));
+
+const looksLikeTm7 = (name, text) => /\.tm7$/i.test(name) || /^\uFEFF?\s*(<\?xml[^>]*>\s*)?<ThreatModel[\s>]/.test(text.slice(0, 500));
+
+// Returns the parsed model when `text` is a .tm7 file or Threat Dragon JSON, otherwise null.
+export const parseExternalModel = (name, text) => {
+    if (looksLikeTm7(name, text)) return { format: 'tmt', ...parseTm7(text) };
+    if (!/\.json$/i.test(name) && !text.trimStart().startsWith('{')) return null;
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch {
+        return null;
+    }
+    return isThreatDragonModel(json) ? { format: 'threatDragon', ...parseThreatDragon(json) } : null;
+};
+
+// Compact context for the AI analysis when an uploaded artifact is an existing model.
+export const describeExternalModel = (parsed) => {
+    const elements = parsed.diagram.nodes.filter(n => !isBoundary(n));
+    const byId = Object.fromEntries(parsed.diagram.nodes.map(n => [n.id, n]));
+    return {
+        source: EXTERNAL_FORMATS[parsed.format],
+        elements: elements.map(n => ({ name: n.label, type: n.type })),
+        trustBoundaries: parsed.diagram.nodes.filter(isBoundary).map(n => n.label),
+        dataFlows: parsed.diagram.edges.map(e => ({ source: byId[e.from].label, destination: byId[e.to].label, label: e.label, crossesTrustBoundary: e.crossesTrustBoundary })),
+        threats: parsed.threats.map(t => ({ category: t.category, threat: t.threat, severity: t.severity, component: t.component, status: t.status })),
+    };
+};
@@ -0,0 +1,325 @@
+import { extractPdfText, imageType, isPdf, toBase64 } from './documentExtraction';
+
+// --- FILE COLLECTION ---
+// Turns whatever the user hands over (picked files, a picked folder, a
+// drag-and-drop of files and folders, or a .zip of a repository) into one
+// flat list of artifacts keyed by their path relative to what was uploaded.
+// Include/exclude globs are applied before anything is read, so
+// dependencies, VCS metadata, build output and binaries never reach the prompt.
+// Reading then enforces size limits, skips binary content the globs missed and
+// decodes text by its byte order mark, falling back from UTF-8 to Windows-1252.
+// PDFs and images are handed to documentExtraction instead.
+
+export const DEFAULT_INCLUDE = '';
+export const DEFAULT_EXCLUDE = [
+    'node_modules', '.git', '.svn', '.hg', 'dist', 'build', 'coverage', '.next', 'vendor', '__pycache__', '.venv',
+    'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', '*.lock',
+    '*.{bmp,ico,svgz,zip,gz,tgz,tar,7z,rar,jar,war,class,exe,dll,so,dylib,o,a,bin,wasm,woff,woff2,ttf,otf,eot,mp3,mp4,mov,avi}',
+    '*.min.{js,css}', '*.map',
+].join(', ');
+
+// Comma- or newline-separated; commas inside `{a,b}` belong to the pattern.
+export const parsePatterns = (text = '') => {
+    const patterns = [];
+    let current = '';
+    let depth = 0;
+    for (const c of text) {
+        if (c === '{') depth++;
+        if (c === '}') depth = Math.max(0, depth - 1);
+        if ((c === ',' && depth === 0) || c === '\n') {
+            patterns.push(current);
+            current = '';
+        } else {
+            current += c;
+        }
+    }
+    patterns.push(current);
+    return patterns.map(p => p.trim()).filter(Boolean);
+};
+
+const escapeRegExp = (text) => text.replace(/[.+^$()|[\]\\]/g, '\\$&');
+
+// Supports `*`, `?`, `**` and `{a,b}` alternatives.
+const globToRegExp = (glob) => {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*' && glob[i + 1] === '*') {
+            const slash = glob[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (c === '*') {
+            source += '[^/]*';
+        } else if (c === '?') {
+            source += '[^/]';
+        } else if (c === '{') {
+            const end = glob.indexOf('}', i);
+            if (end === -1) {
+                source += '\\{';
+                continue;
+            }
+            source += `(?:${glob.slice(i + 1, end).split(',').map(alt => globToRegExp(alt).source.slice(1, -1)).join('|')})`;
+            i = end;
+        } else {
+            source += escapeRegExp(c);
+        }
+    }
+    return new RegExp(`^${source}$`, 'i');
+};
+
+// Like .gitignore: a pattern without a slash matches any single path segment
+// (so `node_modules` skips every node_modules folder and `*.lock` any lock
+// file); a pattern with a slash matches the whole relative path.
+export const matchesGlob = (path, pattern) => {
+    const normalized = path.replace(/\\/g, '/').replace(/^\/+/, '');
+    const trimmed = pattern.replace(/^\/+/, '').replace(/\/+$/, '');
+    const regex = globToRegExp(trimmed);
+    if (trimmed.includes('/')) {
+        // A directory pattern also covers everything below it.
+        return regex.test(normalized) || normalized.split('/').some((_, i, parts) => regex.test(parts.slice(0, i + 1).join('/')));
+    }
+    return normalized.split('/').some(segment => regex.test(segment));
+};
+
+// An empty include list means "everything".
+export const createFilter = ({ include = DEFAULT_INCLUDE, exclude = DEFAULT_EXCLUDE } = {}) => {
+    const includes = parsePatterns(include);
+    const excludes = parsePatterns(exclude);
+    return (path) => (includes.length === 0 || includes.some(p => matchesGlob(path, p)))
+        && !excludes.some(p => matchesGlob(path, p));
+};
+
+const isZip = (name) => /\.zip$/i.test(name);
+
+const fromFile = (file, path) => ({
+    path,
+    size: file.size,
+    type: file.type,
+    readBytes: async () => new Uint8Array(await file.arrayBuffer()),
+});
+
+// Zips are read whole into memory before anything is unpacked.
+export const MAX_ZIP_BYTES = 100 * 1024 * 1024;
+
+// Unpacks a zip in the browser. Only entries `accept` lets through and that fit
+// the size limits by their declared size are decompressed, so a zip bomb never
+// gets inflated. The ones that do not fit are still returned, unread, so that
+// readCandidates reports them like any other file over a limit.
+const unzipFile = async (file, accept) => {
+    if (file.size > MAX_ZIP_BYTES) {
+        throw new Error(`${file.name} is ${formatSize(file.size)}, over the ${formatSize(MAX_ZIP_BYTES)} limit for zip files`);
+    }
+    const { unzip } = await import('fflate');
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const unread = [];
+    let total = 0;
+    const fits = (entry) => {
+        if (entry.originalSize > sizeLimit(entry.name)) {
+            unread.push({ path: entry.name, size: entry.originalSize, reason: 'it is over the per-file limit' });
+            return false;
+        }
+        if (total + entry.originalSize > MAX_TOTAL_BYTES) {
+            unread.push({ path: entry.name, size: entry.originalSize, reason: `the upload would exceed the ${formatSize(MAX_TOTAL_BYTES)} total limit` });
+            return false;
+        }
+        total += entry.originalSize;
+        return true;
+    };
+    const entries = await new Promise((resolve, reject) => {
+        unzip(bytes, { filter: entry => !entry.name.endsWith('/') && accept(entry.name) && fits(entry) }, (error, result) => (
+            error ? reject(new Error(`${file.name} could not be unpacked: ${error.message}`)) : resolve(result)
+        ));
+    });
+    return [
+        ...Object.entries(entries).map(([path, data]) => ({
+            path,
+            size: data.length,
+            type: '',
+            readBytes: async () => data,
+        })),
+        ...unread.map(({ path, size, reason }) => ({
+            path,
+            size,
+            type: '',
+            readBytes: async () => { throw new Error(reason); },
+        })),
+    ];
+};
+
+// Collects files into `{ candidates, skipped }`, expanding zips. `files` is a
+// list of `{ file, path }`; `skipped` counts entries the filters rejected.
+const collect = async (files, filters) => {
+    const accept = createFilter(filters);
+    const candidates = [];
+    let skipped = 0;
+    for (const { file, path } of files) {
+        if (isZip(path)) {
+            let total = 0;
+            const entries = await unzipFile(file, (name) => {
+                total++;
+                return accept(name);
+            });
+            skipped += total - entries.length;
+            candidates.push(...entries);
+        } else if (accept(path)) {
+            candidates.push(fromFile(file, path));
+        } else {
+            skipped++;
+        }
+    }
+    return { candidates, skipped };
+};
+
+// From an <input type="file">, with or without `webkitdirectory`.
+export const collectFromFileList = (fileList, filters) => collect(
+    Array.from(fileList, file => ({ file, path: file.webkitRelativePath || file.name })),
+    filters,
+);
+
+const readAllEntries = (reader) => new Promise((resolve, reject) => {
+    const all = [];
+    // readEntries returns at most ~100 entries per call.
+    const next = () => reader.readEntries(batch => {
+        if (batch.length === 0) return resolve(all);
+        all.push(...batch);
+        next();
+    }, reject);
+    next();
+});
+
+const fileOf = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+const walkEntry = async (entry, accept) => {
+    const path = entry.fullPath.replace(/^\/+/, '');
+    if (entry.isFile) return [{ file: await fileOf(entry), path }];
+    // Whole excluded directories (node_modules, .git) are not even listed.
+    if (!accept(path)) return [];
+    const children = await readAllEntries(entry.createReader());
+    const nested = await Promise.all(children.map(child => walkEntry(child, accept)));
+    return nested.flat();
+};
+
+// From a drop event: files and whole folders, keeping folder-relative paths.
+export const collectFromDataTransfer = async (dataTransfer, filters) => {
+    const entries = Array.from(dataTransfer.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry?.())
+        .filter(Boolean);
+    if (entries.length === 0) return collectFromFileList(dataTransfer.files, filters);
+
+    const excludes = parsePatterns(filters?.exclude ?? DEFAULT_EXCLUDE);
+    const directoryAllowed = (path) => !excludes.some(p => matchesGlob(path, p));
+    const nested = await Promise.all(entries.map(entry => walkEntry(entry, directoryAllowed)));
+    return collect(nested.flat(), filters);
+};
+
+// --- Reading ---
+
+export const MAX_FILE_BYTES = 1024 * 1024;
+// Only a PDF's text is kept, so the file itself may be larger. Images travel as
+// base64 in the request body, a third larger than the file; the server's body
+// limit (MAX_BODY_BYTES in server/index.js) must stay above 4/3 of the total.
+export const MAX_PDF_BYTES = 10 * 1024 * 1024;
+export const MAX_IMAGE_BYTES = 3 * 1024 * 1024;
+export const MAX_TOTAL_BYTES = 20 * 1024 * 1024;
+
+const BINARY_SAMPLE_BYTES = 8000;
+
+// NUL bytes, or a high share of control characters, mean the content is not text.
+const looksBinary = (bytes) => {
+    const sample = bytes.subarray(0, BINARY_SAMPLE_BYTES);
+    let control = 0;
+    for (const b of sample) {
+        if (b === 0) return true;
+        if (b < 32 && b !== 9 && b !== 10 && b !== 13 && b !== 12 && b !== 27) control++;
+    }
+    return sample.length > 0 && control / sample.length > 0.1;
+};
+
+const BOMS = [
+    { bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf-8' },
+    { bytes: [0xFF, 0xFE], encoding: 'utf-16le' },
+    { bytes: [0xFE, 0xFF], encoding: 'utf-16be' },
+];
+
+// Returns `{ text, encoding }`, or null when the bytes are binary.
+export const decodeText = (bytes) => {
+    const bom = BOMS.find(b => b.bytes.every((value, i) => bytes[i] === value));
+    if (bom) return { text: new TextDecoder(bom.encoding).decode(bytes.subarray(bom.bytes.length)), encoding: bom.encoding };
+    if (looksBinary(bytes)) return null;
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+    } catch {
+        return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+    }
+};
+
+export const formatSize = (bytes) => (bytes >= 1024 * 1024 ? `${Number((bytes / 1024 / 1024).toFixed(2))} MB` : `${Number((bytes / 1024).toFixed(1))} KB`);
+
+const sizeLimit = (path) => {
+    if (isPdf(path)) return MAX_PDF_BYTES;
+    if (imageType(path)) return MAX_IMAGE_BYTES;
+    return MAX_FILE_BYTES;
+};
+
+// Artifacts carry a `kind`: 'text' (with its `encoding`), 'pdf' (the extracted
+// text and page count) or 'image' (`mimeType` and base64 `data`, empty `content`).
+const readArtifact = async (candidate) => {
+    const base = { name: candidate.path, size: candidate.size, type: candidate.type };
+    const bytes = await candidate.readBytes();
+    const mimeType = imageType(candidate.path);
+    if (mimeType) return { ...base, kind: 'image', mimeType, data: toBase64(bytes), content: '' };
+    if (isPdf(candidate.path)) {
+        const { text, pages } = await extractPdfText(bytes);
+        return { ...base, kind: 'pdf', pages, content: text };
+    }
+    const decoded = decodeText(bytes);
+    if (!decoded) throw new Error('it looks like a binary file');
+    return { ...base, kind: 'text', encoding: decoded.encoding, content: decoded.text };
+};
+
+// Reads collected candidates into artifacts `{ name, size, type, kind, content }`.
+// `existing` are the artifacts already uploaded; the total size limit counts
+// them, and a candidate with the same path replaces its earlier upload.
+// Every file that is skipped, replaced or fails to read yields a warning.
+export const readCandidates = async (candidates, existing = []) => {
+    const warnings = [];
+    const seen = new Set();
+    const unique = [];
+    // Within one upload the last file with a path wins, as it would on disk.
+    [...candidates].reverse().forEach(c => {
+        if (seen.has(c.path)) return;
+        seen.add(c.path);
+        unique.unshift(c);
+    });
+
+    let total = existing.filter(f => !seen.has(f.name)).reduce((sum, f) => sum + f.size, 0);
+    const accepted = [];
+    unique.forEach(c => {
+        if (c.size > sizeLimit(c.path)) {
+            warnings.push(`${c.path} was skipped: ${formatSize(c.size)} is over the ${formatSize(sizeLimit(c.path))} per-file limit.`);
+        } else if (total + c.size > MAX_TOTAL_BYTES) {
+            warnings.push(`${c.path} was skipped: the upload would exceed the ${formatSize(MAX_TOTAL_BYTES)} total limit.`);
+        } else {
+            total += c.size;
+            accepted.push(c);
+        }
+    });
+
+    const results = await Promise.allSettled(accepted.map(readArtifact));
+
+    const files = [];
+    results.forEach((result, i) => {
+        const path = accepted[i].path;
+        if (result.status === 'rejected') {
+            warnings.push(`${path} was skipped: ${result.reason?.message?.replace(/\.$/, '') || 'it could not be read'}.`);
+            return;
+        }
+        if (result.value.encoding === 'windows-1252') {
+            warnings.push(`${path} is not valid UTF-8 and was read as Windows-1252.`);
+        }
+        if (existing.some(f => f.name === path)) warnings.push(`${path} replaced the earlier upload with the same path.`);
+        files.push(result.value);
+    });
+    return { files, warnings };
+};
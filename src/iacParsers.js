@@ -0,0 +1,654 @@
+// --- INFRASTRUCTURE PARSERS ---
+// Terraform, Kubernetes manifests, docker-compose files and OpenAPI specs say
+// exactly which components exist and how they are wired, so they are parsed
+// locally instead of being left for the model to interpret. The concrete
+// resources (buckets, security groups, services, exposed ports, endpoints and
+// their auth schemes) seed the analysis' assets and data flows and reach the
+// model as structured context. Nothing here calls the network; files that do
+// not parse are reported and otherwise ignored.
+
+const INTERNET = 'Internet';
+const API_CLIENT = 'API Client';
+// Parsed flows carry no sensitivity information; the model may raise it.
+const DEFAULT_CLASSIFICATION = 'Internal';
+
+const PORT_PROTOCOLS = {
+    22: 'SSH', 25: 'SMTP', 53: 'DNS', 80: 'HTTP', 443: 'HTTPS', 1433: 'SQL Server', 3000: 'HTTP', 3306: 'MySQL',
+    5432: 'PostgreSQL', 5672: 'AMQP', 6379: 'Redis', 8000: 'HTTP', 8080: 'HTTP', 8443: 'HTTPS', 9092: 'Kafka',
+    9200: 'HTTP', 11211: 'Memcached', 27017: 'MongoDB',
+};
+
+const IMAGE_PROTOCOLS = [
+    [/postgres|postgis/, 'PostgreSQL'],
+    [/mysql|mariadb/, 'MySQL'],
+    [/mongo/, 'MongoDB'],
+    [/redis|valkey/, 'Redis'],
+    [/rabbitmq/, 'AMQP'],
+    [/kafka/, 'Kafka'],
+    [/memcached/, 'Memcached'],
+    [/mssql|sqlserver/, 'SQL Server'],
+];
+
+const portProtocol = (port) => PORT_PROTOCOLS[Number(port)] || (port ? `TCP/${port}` : 'TCP');
+
+const imageProtocol = (image = '') => IMAGE_PROTOCOLS.find(([pattern]) => pattern.test(image.toLowerCase()))?.[1];
+
+const extensionOf = (name) => (name.match(/\.([^./]+)$/)?.[1] || '').toLowerCase();
+
+const lineAt = (text, offset) => text.slice(0, offset).split('\n').length;
+
+// --- Terraform (HCL) ---
+// Enough of HCL for configuration files: blocks with labels, attributes with
+// literal values, lists and objects. Other expressions (references, function
+// calls, conditionals) are kept as their source text.
+
+const tokenizeHcl = (text) => {
+    const tokens = [];
+    let i = 0;
+    const push = (type, value, start) => tokens.push({ type, value, start });
+    while (i < text.length) {
+        const c = text[i];
+        if (c === '\n') {
+            push('newline', '\n', i++);
+        } else if (/\s/.test(c)) {
+            i++;
+        } else if (c === '#' || (c === '/' && text[i + 1] === '/')) {
+            while (i < text.length && text[i] !== '\n') i++;
+        } else if (c === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 2;
+        } else if (c === '"') {
+            const start = i++;
+            let value = '';
+            let depth = 0;
+            while (i < text.length && (text[i] !== '"' || depth > 0)) {
+                if (text[i] === '\\' && depth === 0) {
+                    const next = text[i + 1];
+                    value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+                    i += 2;
+                    continue;
+                }
+                // Quotes inside ${ ... } interpolations do not end the string.
+                if (text[i] === '$' && text[i + 1] === '{') depth++;
+                else if (text[i] === '}' && depth > 0) depth--;
+                value += text[i++];
+            }
+            i++;
+            push('string', value, start);
+        } else if (c === '<' && text[i + 1] === '<') {
+            const start = i;
+            const header = text.slice(i).match(/^<<-?([A-Za-z_]\w*)[ \t]*\n/);
+            if (!header) {
+                push('punct', c, i++);
+                continue;
+            }
+            const bodyStart = i + header[0].length;
+            const end = text.slice(bodyStart).search(new RegExp(`^[ \\t]*${header[1]}[ \\t]*$`, 'm'));
+            const bodyEnd = end === -1 ? text.length : bodyStart + end;
+            push('string', text.slice(bodyStart, bodyEnd).replace(/\n$/, ''), start);
+            const lineEnd = text.indexOf('\n', bodyEnd);
+            i = lineEnd === -1 ? text.length : lineEnd;
+        } else if (/[A-Za-z_]/.test(c)) {
+            const start = i;
+            while (i < text.length && /[\w-]/.test(text[i])) i++;
+            push('ident', text.slice(start, i), start);
+        } else if (/[0-9]/.test(c)) {
+            const start = i;
+            while (i < text.length && /[\d.eE]/.test(text[i])) i++;
+            push('number', Number(text.slice(start, i)), start);
+        } else {
+            push('punct', c, i++);
+        }
+    }
+    return tokens;
+};
+
+const OPENERS = { '{': '}', '[': ']', '(': ')' };
+
+const parseHcl = (text) => {
+    const tokens = tokenizeHcl(text);
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const skipNewlines = () => {
+        while (peek()?.type === 'newline') pos++;
+    };
+
+    // An expression that is not a plain literal: its source text up to the end
+    // of the line (or the enclosing list/object), with brackets balanced.
+    const rawExpression = (stopAt) => {
+        const start = peek().start;
+        let depth = 0;
+        let end = start;
+        while (pos < tokens.length) {
+            const token = peek();
+            if (depth <= 0 && (token.type === 'newline' || (token.type === 'punct' && stopAt.includes(token.value)))) break;
+            if (token.type === 'punct' && OPENERS[token.value]) depth++;
+            if (token.type === 'punct' && Object.values(OPENERS).includes(token.value)) depth--;
+            pos++;
+            end = tokens[pos]?.start ?? text.length;
+        }
+        return text.slice(start, end).trim();
+    };
+
+    const parseValue = (stopAt) => {
+        skipNewlines();
+        const token = peek();
+        if (!token) return null;
+        const next = tokens[pos + 1];
+        const endsHere = !next || next.type === 'newline' || (next.type === 'punct' && stopAt.includes(next.value));
+        if (token.type === 'punct' && token.value === '[') {
+            pos++;
+            const items = [];
+            for (skipNewlines(); peek() && peek().value !== ']'; skipNewlines()) {
+                items.push(parseValue([',', ']']));
+                skipNewlines();
+                if (peek()?.value === ',') pos++;
+            }
+            pos++;
+            return items;
+        }
+        if (token.type === 'punct' && token.value === '{') {
+            pos++;
+            const object = {};
+            for (skipNewlines(); peek() && peek().value !== '}'; skipNewlines()) {
+                const key = peek();
+                pos++;
+                skipNewlines();
+                if (peek()?.value === '=' || peek()?.value === ':') pos++;
+                object[key.value] = parseValue([',', '}']);
+                if (peek()?.value === ',') pos++;
+            }
+            pos++;
+            return object;
+        }
+        if (endsHere && (token.type === 'string' || token.type === 'number')) {
+            pos++;
+            return token.value;
+        }
+        if (endsHere && token.type === 'ident' && (token.value === 'true' || token.value === 'false')) {
+            pos++;
+            return token.value === 'true';
+        }
+        return rawExpression(stopAt);
+    };
+
+    const parseBody = (closing) => {
+        const body = { attributes: {}, blocks: [] };
+        for (skipNewlines(); pos < tokens.length && peek().value !== closing; skipNewlines()) {
+            const start = peek().start;
+            const name = peek().value;
+            pos++;
+            if (peek()?.value === '=') {
+                pos++;
+                body.attributes[name] = parseValue([]);
+                continue;
+            }
+            const labels = [];
+            while (peek() && (peek().type === 'string' || peek().type === 'ident') && peek().value !== '{') labels.push(tokens[pos++].value);
+            if (peek()?.value !== '{') {
+                // Not a block after all; skip the rest of the line.
+                while (peek() && peek().type !== 'newline') pos++;
+                continue;
+            }
+            pos++;
+            const block = { type: name, labels, ...parseBody('}') };
+            pos++;
+            const end = tokens[pos - 1]?.start ?? text.length;
+            body.blocks.push({ ...block, line: lineAt(text, start), source: text.slice(start, end + 1) });
+        }
+        return body;
+    };
+
+    return parseBody(null).blocks;
+};
+
+// Returns the top-level blocks of a .tf file as
+// `{ type, labels, attributes, blocks, line, source }`, nested blocks alike.
+export const parseTerraform = (text) => parseHcl(text);
+
+const TERRAFORM_ASSETS = {
+    aws_s3_bucket: 'S3 Bucket',
+    aws_db_instance: 'RDS Database',
+    aws_rds_cluster: 'RDS Database Cluster',
+    aws_dynamodb_table: 'DynamoDB Table',
+    aws_elasticache_cluster: 'ElastiCache Cache',
+    aws_elasticache_replication_group: 'ElastiCache Cache',
+    aws_sqs_queue: 'SQS Queue',
+    aws_sns_topic: 'SNS Topic',
+    aws_instance: 'EC2 Instance',
+    aws_launch_template: 'EC2 Launch Template',
+    aws_lambda_function: 'Lambda Function',
+    aws_lb: 'Load Balancer',
+    aws_alb: 'Load Balancer',
+    aws_elb: 'Load Balancer',
+    aws_api_gateway_rest_api: 'API Gateway',
+    aws_apigatewayv2_api: 'API Gateway',
+    aws_ecs_service: 'ECS Service',
+    aws_eks_cluster: 'EKS Cluster',
+    aws_secretsmanager_secret: 'Secrets Manager Secret',
+    aws_kms_key: 'KMS Key',
+    aws_cloudfront_distribution: 'CloudFront Distribution',
+    google_storage_bucket: 'GCS Bucket',
+    google_sql_database_instance: 'Cloud SQL Database',
+    google_compute_instance: 'Compute Instance',
+    google_cloud_run_service: 'Cloud Run Service',
+    google_cloud_run_v2_service: 'Cloud Run Service',
+    google_container_cluster: 'GKE Cluster',
+    azurerm_storage_account: 'Storage Account',
+    azurerm_mssql_server: 'SQL Database Server',
+    azurerm_postgresql_flexible_server: 'PostgreSQL Database Server',
+    azurerm_linux_virtual_machine: 'Virtual Machine',
+    azurerm_windows_virtual_machine: 'Virtual Machine',
+    azurerm_kubernetes_cluster: 'AKS Cluster',
+    azurerm_key_vault: 'Key Vault',
+};
+
+// The protocol a component is usually reached over.
+const TERRAFORM_PROTOCOLS = [
+    [/_db_|rds|sql|postgresql/, 'SQL/TLS'],
+    [/elasticache/, 'Redis'],
+    [/instance|virtual_machine|ecs_service|lb$|elb$|alb$/, 'HTTP'],
+];
+
+const terraformProtocol = (type) => TERRAFORM_PROTOCOLS.find(([pattern]) => pattern.test(type))?.[1] || 'HTTPS';
+
+const literal = (value) => (typeof value === 'string' && !value.includes('${') && !/^[\w-]+\.[\w.-]+$/.test(value) ? value : null);
+
+const OPEN_CIDRS = ['0.0.0.0/0', '::/0'];
+
+const openCidrs = (rule) => [rule.cidr_blocks, rule.ipv6_cidr_blocks, rule.cidr_ipv4, rule.cidr_ipv6]
+    .flat()
+    .filter(cidr => OPEN_CIDRS.includes(cidr));
+
+const REFERENCE = /\b((?:aws|google|azurerm)_[a-z0-9_]+)\.([A-Za-z_][\w-]*)/g;
+
+const referencesIn = (source) => [...source.matchAll(REFERENCE)].map(m => `${m[1]}.${m[2]}`);
+
+const ruleExposure = (rule) => {
+    const from = Number(rule.from_port);
+    const to = Number(rule.to_port);
+    return { fromPort: Number.isNaN(from) ? null : from, toPort: Number.isNaN(to) ? null : to, protocol: rule.protocol ?? rule.ip_protocol ?? null };
+};
+
+const extractTerraform = (files) => {
+    const resources = [];
+    files.forEach(({ name, content }) => {
+        parseTerraform(content).filter(b => b.type === 'resource' && b.labels.length === 2).forEach(block => {
+            resources.push({ file: name, block, type: block.labels[0], name: block.labels[1], address: `${block.labels[0]}.${block.labels[1]}` });
+        });
+    });
+    const byAddress = new Map(resources.map(r => [r.address, r]));
+
+    // Security groups open to the internet, with the ports they open.
+    const exposures = new Map();
+    const expose = (address, rule) => {
+        if (!exposures.has(address)) exposures.set(address, []);
+        exposures.get(address).push(ruleExposure(rule));
+    };
+    resources.forEach(r => {
+        if (r.type === 'aws_security_group') {
+            r.block.blocks.filter(b => b.type === 'ingress' && openCidrs(b.attributes).length > 0).forEach(b => expose(r.address, b.attributes));
+        }
+        const standalone = r.type === 'aws_vpc_security_group_ingress_rule'
+            || (r.type === 'aws_security_group_rule' && r.block.attributes.type === 'ingress');
+        if (standalone && openCidrs(r.block.attributes).length > 0) {
+            const group = referencesIn(String(r.block.attributes.security_group_id || '')).find(a => a.startsWith('aws_security_group.'));
+            if (group) expose(group, r.block.attributes);
+        }
+    });
+
+    const listenerProtocols = new Map();
+    resources.filter(r => r.type === 'aws_lb_listener' || r.type === 'aws_alb_listener').forEach(r => {
+        referencesIn(String(r.block.attributes.load_balancer_arn || '')).forEach(lb => listenerProtocols.set(lb, r.block.attributes.protocol));
+    });
+
+    const used = new Set();
+    const assetOf = new Map();
+    resources.filter(r => TERRAFORM_ASSETS[r.type]).forEach(r => {
+        const display = literal(r.block.attributes.bucket) || literal(r.block.attributes.name) || literal(r.block.attributes.identifier) || r.name;
+        let label = `${TERRAFORM_ASSETS[r.type]} ${display}`;
+        if (used.has(label)) label = `${label} (${r.name})`;
+        used.add(label);
+        assetOf.set(r.address, label);
+    });
+
+    const flows = [];
+    const details = (r) => {
+        const { attributes, blocks } = r.block;
+        const picked = Object.fromEntries(Object.entries(attributes).filter(([, v]) => typeof v !== 'object' || Array.isArray(v)));
+        if (r.type === 'aws_security_group') {
+            picked.ingress = blocks.filter(b => b.type === 'ingress').map(b => ({ ...ruleExposure(b.attributes), cidrs: [b.attributes.cidr_blocks, b.attributes.ipv6_cidr_blocks].flat().filter(Boolean) }));
+        }
+        return picked;
+    };
+
+    resources.forEach(r => {
+        const asset = assetOf.get(r.address);
+        if (!asset) return;
+        const references = [...new Set(referencesIn(r.block.source))].filter(a => a !== r.address);
+        references.filter(a => assetOf.has(a)).forEach(target => flows.push({
+            source: asset,
+            destination: assetOf.get(target),
+            protocol: terraformProtocol(byAddress.get(target).type),
+        }));
+        references.filter(a => exposures.has(a)).forEach(group => exposures.get(group).forEach(exposure => flows.push({
+            source: INTERNET,
+            destination: asset,
+            protocol: portProtocol(exposure.fromPort ?? exposure.toPort),
+            crossesTrustBoundary: true,
+        })));
+        const attributes = r.block.attributes;
+        if (/^public-read/.test(attributes.acl || '')) {
+            flows.push({ source: INTERNET, destination: asset, protocol: 'HTTPS', crossesTrustBoundary: true });
+        }
+        if (/^aws_(a|e)?lb$/.test(r.type) && attributes.internal !== true && attributes.internal !== 'true') {
+            flows.push({ source: INTERNET, destination: asset, protocol: listenerProtocols.get(r.address) || 'HTTP', crossesTrustBoundary: true });
+        }
+    });
+
+    return {
+        resources: resources.map(r => ({
+            format: 'terraform',
+            kind: r.type,
+            name: r.name,
+            file: r.file,
+            line: r.block.line,
+            asset: assetOf.get(r.address) || null,
+            details: details(r),
+        })),
+        flows,
+    };
+};
+
+// --- YAML and JSON documents ---
+
+const YAML_EXTENSIONS = ['yaml', 'yml'];
+
+// Every YAML document (or the JSON object) in a file, as `{ value, line }`
+// with the line the document starts on. Files that do not parse carry an `error`.
+export const parseManifests = async (files) => {
+    const yamlFiles = files.filter(f => YAML_EXTENSIONS.includes(extensionOf(f.name)));
+    const { parseAllDocuments } = yamlFiles.length > 0 ? await import('yaml') : {};
+    return files.map(({ name, content }) => {
+        try {
+            if (extensionOf(name) === 'json') return { file: name, documents: [{ value: JSON.parse(content), line: 1 }] };
+            const documents = parseAllDocuments(content);
+            const failed = documents.find(d => d.errors?.length > 0);
+            if (failed) throw failed.errors[0];
+            return {
+                file: name,
+                documents: documents
+                    .map(d => ({ value: d.toJS(), line: lineAt(content, d.contents?.range?.[0] ?? 0) }))
+                    .filter(d => d.value && typeof d.value === 'object'),
+            };
+        } catch (e) {
+            return { file: name, documents: [], error: e.message.split('\n')[0] };
+        }
+    });
+};
+
+const isKubernetes = (doc) => typeof doc.apiVersion === 'string' && typeof doc.kind === 'string';
+const isOpenApi = (doc) => typeof doc.openapi === 'string' || typeof doc.swagger === 'string';
+const isCompose = (doc, file) => (
+    !isKubernetes(doc) && doc.services && typeof doc.services === 'object' && !Array.isArray(doc.services)
+    && (/(^|\/)(docker-)?compose[^/]*\.ya?ml$/i.test(file) || Object.values(doc.services).some(s => s && (s.image || s.build)))
+);
+
+// --- Kubernetes ---
+
+const WORKLOAD_KINDS = ['Deployment', 'StatefulSet', 'DaemonSet', 'ReplicaSet', 'Job', 'CronJob', 'Pod'];
+
+const podSpecOf = (doc) => {
+    if (doc.kind === 'Pod') return doc.spec;
+    if (doc.kind === 'CronJob') return doc.spec?.jobTemplate?.spec?.template?.spec;
+    return doc.spec?.template?.spec;
+};
+
+const podLabelsOf = (doc) => (doc.kind === 'Pod' ? doc.metadata?.labels : doc.kind === 'CronJob'
+    ? doc.spec?.jobTemplate?.spec?.template?.metadata?.labels
+    : doc.spec?.template?.metadata?.labels) || {};
+
+const selects = (selector = {}, labels = {}) => Object.keys(selector).length > 0
+    && Object.entries(selector).every(([key, value]) => labels[key] === value);
+
+const envValues = (containers = []) => containers.flatMap(c => (c.env || []).map(e => e.value).filter(v => typeof v === 'string'));
+
+// `db`, `db:5432`, `postgres://user@db.prod.svc.cluster.local:5432/app` all name the host `db`.
+const mentionsHost = (value, host) => new RegExp(`(^|[/@\\s,=])${host.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([.:/\\s,]|$)`).test(value);
+
+// The Service names an Ingress routes to (networking.k8s.io/v1 and v1beta1).
+const ingressBackends = (doc) => [
+    doc.spec?.defaultBackend?.service?.name,
+    doc.spec?.backend?.serviceName,
+    ...(doc.spec?.rules || []).flatMap(rule => (rule.http?.paths || []).map(p => p.backend?.service?.name || p.backend?.serviceName)),
+].filter(Boolean);
+
+const extractKubernetes = (docs) => {
+    const workloads = docs.filter(({ doc }) => WORKLOAD_KINDS.includes(doc.kind) && doc.metadata?.name);
+    const services = docs.filter(({ doc }) => doc.kind === 'Service' && doc.metadata?.name);
+    const ingresses = docs.filter(({ doc }) => doc.kind === 'Ingress');
+    const flows = [];
+
+    const workloadsOf = (serviceName) => {
+        const service = services.find(({ doc }) => doc.metadata.name === serviceName);
+        if (!service) return [];
+        return workloads.filter(({ doc }) => selects(service.doc.spec?.selector, podLabelsOf(doc))).map(({ doc }) => doc.metadata.name);
+    };
+    const servicePort = (serviceName) => services.find(({ doc }) => doc.metadata.name === serviceName)?.doc.spec?.ports?.[0];
+    const serviceProtocol = (serviceName) => {
+        const port = servicePort(serviceName);
+        return port?.appProtocol?.toUpperCase() || portProtocol(port?.port);
+    };
+
+    services.forEach(({ doc }) => {
+        if (!['LoadBalancer', 'NodePort'].includes(doc.spec?.type)) return;
+        workloadsOf(doc.metadata.name).forEach(workload => flows.push({
+            source: INTERNET,
+            destination: workload,
+            protocol: serviceProtocol(doc.metadata.name),
+            crossesTrustBoundary: true,
+        }));
+    });
+
+    ingresses.forEach(({ doc }) => {
+        const protocol = doc.spec?.tls?.length > 0 ? 'HTTPS' : 'HTTP';
+        [...new Set(ingressBackends(doc))].flatMap(workloadsOf).forEach(workload => flows.push({
+            source: INTERNET,
+            destination: workload,
+            protocol,
+            crossesTrustBoundary: true,
+        }));
+    });
+
+    workloads.forEach(({ doc }) => {
+        const values = envValues(podSpecOf(doc)?.containers);
+        services.forEach(({ doc: service }) => {
+            if (!values.some(v => mentionsHost(v, service.metadata.name))) return;
+            workloadsOf(service.metadata.name)
+                .filter(target => target !== doc.metadata.name)
+                .forEach(target => flows.push({ source: doc.metadata.name, destination: target, protocol: serviceProtocol(service.metadata.name) }));
+        });
+    });
+
+    const resources = [...workloads, ...services, ...ingresses].map(({ doc, file, line }) => {
+        const spec = podSpecOf(doc);
+        const workload = WORKLOAD_KINDS.includes(doc.kind);
+        return {
+            format: 'kubernetes',
+            kind: doc.kind,
+            name: doc.metadata?.name || '',
+            file,
+            line,
+            asset: workload ? doc.metadata.name : null,
+            details: workload ? {
+                namespace: doc.metadata.namespace,
+                images: (spec?.containers || []).map(c => c.image),
+                ports: (spec?.containers || []).flatMap(c => (c.ports || []).map(p => p.containerPort)),
+            } : doc.kind === 'Service' ? {
+                type: doc.spec?.type || 'ClusterIP',
+                selects: workloadsOf(doc.metadata.name),
+                ports: (doc.spec?.ports || []).map(p => p.port),
+            } : {
+                tls: doc.spec?.tls?.length > 0,
+                hosts: (doc.spec?.rules || []).map(r => r.host).filter(Boolean),
+                routesTo: [...new Set(ingressBackends(doc).flatMap(workloadsOf))],
+            },
+        };
+    });
+    return { resources, flows };
+};
+
+// --- docker-compose ---
+
+// "8080:80", "127.0.0.1:8080:80/tcp" or { published, target }; returns the container port.
+const containerPort = (port) => {
+    if (typeof port === 'object' && port) return port.target;
+    const parts = String(port).split('/')[0].split(':');
+    return parts[parts.length - 1];
+};
+
+// Ports bound to the loopback address are not reachable from outside the host;
+// a bare container port is published on a random host port.
+const isPublished = (port) => {
+    if (typeof port === 'object' && port) return port.host_ip !== '127.0.0.1';
+    const parts = String(port).split('/')[0].split(':');
+    return !(parts.length === 3 && parts[0] === '127.0.0.1');
+};
+
+const dependencies = (service) => [
+    ...(Array.isArray(service.depends_on) ? service.depends_on : Object.keys(service.depends_on || {})),
+    ...(service.links || []).map(link => String(link).split(':')[0]),
+];
+
+const environmentValues = (service) => (Array.isArray(service.environment)
+    ? service.environment.map(entry => String(entry).split('=').slice(1).join('='))
+    : Object.values(service.environment || {}).map(String));
+
+const extractCompose = (docs) => {
+    const resources = [];
+    const flows = [];
+    docs.forEach(({ doc, file }) => {
+        const services = Object.entries(doc.services).filter(([, s]) => s && typeof s === 'object');
+        const protocolOf = (name) => {
+            const service = doc.services[name] || {};
+            return imageProtocol(service.image) || portProtocol((service.ports || []).map(containerPort)[0] || (service.expose || [])[0]);
+        };
+        services.forEach(([name, service]) => {
+            const ports = service.ports || [];
+            resources.push({
+                format: 'compose',
+                kind: 'service',
+                name,
+                file,
+                asset: name,
+                details: { image: service.image, ports: ports.map(String), privileged: service.privileged === true },
+            });
+            ports.filter(isPublished).forEach(port => flows.push({
+                source: INTERNET,
+                destination: name,
+                protocol: imageProtocol(service.image) || portProtocol(containerPort(port)),
+                crossesTrustBoundary: true,
+            }));
+            const targets = new Set(dependencies(service));
+            const values = environmentValues(service);
+            services.forEach(([other]) => {
+                if (other !== name && values.some(v => mentionsHost(v, other))) targets.add(other);
+            });
+            targets.forEach(target => {
+                if (doc.services[target]) flows.push({ source: name, destination: target, protocol: protocolOf(target) });
+            });
+        });
+    });
+    return { resources, flows };
+};
+
+// --- OpenAPI ---
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+const describeScheme = (scheme = {}) => [scheme.type, scheme.scheme, scheme.in && `in ${scheme.in}`].filter(Boolean).join(' ');
+
+const extractOpenApi = (docs) => {
+    const resources = [];
+    const endpoints = [];
+    const flows = [];
+    docs.forEach(({ doc, file, line }) => {
+        const api = doc.info?.title || 'API';
+        const schemes = doc.components?.securitySchemes || doc.securityDefinitions || {};
+        const url = doc.servers?.[0]?.url || (doc.schemes ? `${doc.schemes[0]}://` : '');
+        Object.entries(doc.paths || {}).forEach(([path, item]) => HTTP_METHODS.filter(m => item?.[m]).forEach(method => {
+            const security = item[method].security ?? doc.security ?? [];
+            endpoints.push({
+                api,
+                method: method.toUpperCase(),
+                path,
+                file,
+                // An empty requirement object (`- {}`) makes authentication optional.
+                auth: security.some(requirement => Object.keys(requirement).length === 0)
+                    ? []
+                    : [...new Set(security.flatMap(Object.keys))].map(id => `${id} (${describeScheme(schemes[id]) || 'undeclared'})`),
+            });
+        }));
+        resources.push({
+            format: 'openapi',
+            kind: doc.openapi ? `OpenAPI ${doc.openapi}` : `Swagger ${doc.swagger}`,
+            name: api,
+            file,
+            line,
+            asset: api,
+            details: { servers: (doc.servers || []).map(s => s.url), securitySchemes: Object.fromEntries(Object.entries(schemes).map(([id, s]) => [id, describeScheme(s)])) },
+        });
+        flows.push({ source: API_CLIENT, destination: api, protocol: /^http:/i.test(url) ? 'HTTP' : 'HTTPS', crossesTrustBoundary: true });
+    });
+    return { resources, endpoints, flows };
+};
+
+// --- Extraction ---
+
+const withDefaults = (flow) => ({ dataClassification: DEFAULT_CLASSIFICATION, crossesTrustBoundary: false, ...flow });
+
+const flowKey = (flow) => `${flow.source}|${flow.destination}|${flow.protocol}`;
+
+// Parses the uploaded artifacts (`{ name, content }`) into
+// `{ resources, endpoints, assets, dataFlows, errors }`. Assets and flows use
+// the shape of the model's response so they can seed it directly.
+export const extractInfrastructure = async (files) => {
+    const text = files.filter(f => f.kind === undefined || f.kind === 'text');
+    const terraform = extractTerraform(text.filter(f => extensionOf(f.name) === 'tf'));
+    const manifests = await parseManifests(text.filter(f => [...YAML_EXTENSIONS, 'json'].includes(extensionOf(f.name))));
+
+    const docs = manifests.flatMap(({ file, documents }) => documents.map(({ value, line }) => ({ file, doc: value, line })));
+    const kubernetes = extractKubernetes(docs.filter(({ doc }) => isKubernetes(doc)));
+    const compose = extractCompose(docs.filter(({ doc, file }) => isCompose(doc, file)));
+    const openApi = extractOpenApi(docs.filter(({ doc }) => isOpenApi(doc)));
+
+    const resources = [...terraform.resources, ...kubernetes.resources, ...compose.resources, ...openApi.resources];
+    const flows = new Map();
+    [...terraform.flows, ...kubernetes.flows, ...compose.flows, ...openApi.flows]
+        .map(withDefaults)
+        .forEach(flow => flows.set(flowKey(flow), flow));
+    const dataFlows = [...flows.values()];
+
+    const assets = [...new Set([
+        ...resources.map(r => r.asset).filter(Boolean),
+        ...dataFlows.flatMap(f => [f.source, f.destination]),
+    ])];
+
+    return {
+        resources,
+        endpoints: openApi.endpoints,
+        assets,
+        dataFlows,
+        // Only files that look like manifests are worth a warning; any .json may be unrelated.
+        errors: manifests.filter(m => m.error && extensionOf(m.file) !== 'json').map(m => `${m.file}: ${m.error}`),
+    };
+};
+
+export const hasInfrastructure = (infrastructure) => Boolean(infrastructure && infrastructure.assets.length > 0);
+
+// The part of the extraction the model needs, without file offsets or sources.
+export const describeInfrastructure = (infrastructure) => ({
+    resources: infrastructure.resources.map(({ format, kind, name, file, asset, details }) => ({ format, kind, name, file, asset, details })),
+    endpoints: infrastructure.endpoints.map(({ api, method, path, auth }) => ({ api, method, path, auth: auth.length > 0 ? auth : 'none' })),
+    dataFlows: infrastructure.dataFlows,
+});
@@ -0,0 +1,187 @@
+import { DATA_CLASSIFICATIONS, THREAT_MODEL_SCHEMA, buildAnalysis } from './aiEngine';
+import { NODE_TYPES, applyDiagram } from './diagramModel';
+import { EXPORT_FORMAT, EXPORT_VERSION } from './exporters';
+import { EXTERNAL_FORMATS, parseExternalModel } from './externalModels';
+import { METHODOLOGY_IDS } from './methodologies';
+import { RISK_METHODS, parseCvssVector } from './riskScoring';
+import { validateSchema } from './schemaValidation';
+import { THREAT_STATUSES } from './threatLifecycle';
+
+// --- IMPORTS ---
+// Re-opens a threat model exported as JSON, or one drawn in Microsoft Threat
+// Modeling Tool or OWASP Threat Dragon, without calling the LLM. A JSON export
+// is checked against the same schema the analysis engine asks models for, so
+// a hand-edited file with a misspelt severity or category is rejected with
+// the exact field that is wrong rather than breaking the dashboard later.
+
+export class ImportError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'ImportError';
+        this.details = details;
+    }
+}
+
+const MAX_LISTED_ERRORS = 20;
+
+const DIAGRAM_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        nodes: {
+            type: "ARRAY",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    id: { type: "STRING" },
+                    label: { type: "STRING" },
+                    type: { type: "STRING", enum: NODE_TYPES.map(t => t.id) },
+                    x: { type: "NUMBER" },
+                    y: { type: "NUMBER" },
+                    width: { type: "NUMBER" },
+                    height: { type: "NUMBER" }
+                },
+                required: ["id", "label", "type"]
+            }
+        },
+        edges: {
+            type: "ARRAY",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    id: { type: "STRING" },
+                    from: { type: "STRING" },
+                    to: { type: "STRING" },
+                    label: { type: "STRING" },
+                    dataClassification: { type: "STRING", enum: DATA_CLASSIFICATIONS },
+                    crossesTrustBoundary: { type: "BOOLEAN" }
+                },
+                required: ["id", "from", "to"]
+            }
+        }
+    },
+    required: ["nodes", "edges"]
+};
+
+// Tracking fields are optional in an import but must be valid when present.
+const LIFECYCLE_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        status: { type: "STRING", enum: THREAT_STATUSES },
+        owner: { type: "STRING" },
+        dueDate: { type: "STRING" },
+        comments: {
+            type: "ARRAY",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    id: { type: "STRING" },
+                    author: { type: "STRING" },
+                    text: { type: "STRING" },
+                    kind: { type: "STRING", enum: ["comment", "status", "justification"] },
+                    createdAt: { type: "STRING" }
+                },
+                required: ["author", "text", "createdAt"]
+            }
+        }
+    }
+};
+
+// DREAD factors are part of THREAT_MODEL_SCHEMA; the method and CVSS vector are set in the dashboard.
+const RISK_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        riskMethod: { type: "STRING", enum: Object.keys(RISK_METHODS) },
+        cvss: { type: "STRING" }
+    }
+};
+
+// Models exported before methodologies could be chosen have none; they are inferred from the categories.
+const METHODOLOGIES_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        methodologies: { type: "ARRAY", items: { type: "STRING", enum: METHODOLOGY_IDS } }
+    }
+};
+
+const DUE_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const validateModel = (model) => {
+    const errors = [...validateSchema(model, THREAT_MODEL_SCHEMA), ...validateSchema(model, METHODOLOGIES_SCHEMA)];
+    if (Array.isArray(model.threats)) {
+        model.threats.forEach((threat, i) => {
+            if (typeof threat !== 'object' || threat === null) return;
+            errors.push(...validateSchema(threat, LIFECYCLE_SCHEMA, `threats[${i}]`));
+            if (typeof threat.dueDate === 'string' && threat.dueDate && !DUE_DATE.test(threat.dueDate)) {
+                errors.push(`threats[${i}].dueDate: "${threat.dueDate}" is not a YYYY-MM-DD date`);
+            }
+            errors.push(...validateSchema(threat, RISK_SCHEMA, `threats[${i}]`));
+            if (typeof threat.cvss === 'string' && threat.cvss && !parseCvssVector(threat.cvss)) {
+                errors.push(`threats[${i}].cvss: "${threat.cvss}" is not a complete CVSS v3.1 base vector`);
+            }
+        });
+    }
+    if (model.diagramData !== undefined) {
+        errors.push(...validateSchema(model.diagramData, DIAGRAM_SCHEMA, 'diagramData'));
+    }
+    return errors;
+};
+
+// Accepts the envelope written by the JSON export as well as a bare analysis object.
+const unwrap = (parsed) => {
+    if (parsed?.format === EXPORT_FORMAT) {
+        if (typeof parsed.version !== 'number' || parsed.version > EXPORT_VERSION) {
+            throw new ImportError(`This file was exported by a newer version of the platform (format version ${parsed.version}).`);
+        }
+        return { projectName: parsed.projectName || '', model: parsed.analysis };
+    }
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed) && 'threats' in parsed) {
+        return { projectName: parsed.projectName || '', model: parsed };
+    }
+    throw new ImportError('This file is not an exported threat model. Export one from the results dashboard with Export → JSON.');
+};
+
+// Parses and validates an exported JSON threat model and rebuilds the
+// dashboard's analysis object from it (assets as a Set, a consistent diagram).
+export const importThreatModel = (text) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        throw new ImportError(`The file is not valid JSON: ${e.message}`);
+    }
+
+    const { projectName, model } = unwrap(parsed);
+    const errors = model && typeof model === 'object' ? validateModel(model) : ['analysis: expected an object'];
+    if (errors.length > 0) {
+        const listed = errors.slice(0, MAX_LISTED_ERRORS);
+        if (errors.length > listed.length) listed.push(`…and ${errors.length - listed.length} more`);
+        throw new ImportError(`The threat model has ${errors.length} invalid value${errors.length === 1 ? '' : 's'}.`, listed);
+    }
+
+    const analysis = buildAnalysis(model);
+    return {
+        projectName,
+        analysis: model.diagramData ? applyDiagram(analysis, model.diagramData) : analysis,
+    };
+};
+
+// Opens any supported model file: a JSON export, a .tm7 file or Threat Dragon JSON.
+export const importModelFile = (name, text) => {
+    let external;
+    try {
+        external = parseExternalModel(name, text);
+    } catch (e) {
+        throw new ImportError(e.message);
+    }
+    if (!external) return { format: 'json', ...importThreatModel(text) };
+
+    if (external.diagram.nodes.length === 0) {
+        throw new ImportError(`No diagram elements were found in this ${EXTERNAL_FORMATS[external.format]} file.`);
+    }
+    const analysis = buildAnalysis({ assets: [], dataFlows: [], threats: external.threats });
+    return {
+        format: external.format,
+        projectName: external.projectName,
+        analysis: applyDiagram(analysis, external.diagram),
+    };
+};
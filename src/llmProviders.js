@@ -0,0 +1,393 @@
+import { postWithRetry, sleep, toJsonSchema } from './llmTransport';
+
+// --- LLM PROVIDERS ---
+// Every provider receives the prompt and response schema built by aiEngine and
+// resolves to the raw JSON text produced by the model. Uploaded images arrive
+// as `images` ({ mimeType, data } with base64 data) and are sent inline. Swapping providers never
+// changes the prompt or the schema, only the transport.
+//
+// Answers are streamed. `onText` receives the text generated so far after every
+// piece, and `onProgress` the transport stage: { stage: 'uploading', bytes },
+// { stage: 'analyzing' } once the model is working, and
+// { stage: 'retrying', attempt, maxAttempts, delay, reason } before each backoff.
+
+const SETTINGS_STORAGE_KEY = 'threatModel.providerSettings';
+
+const invalidResponse = (result) => {
+    console.error("Invalid response structure from API:", result);
+    return new Error("Received an invalid or empty response from the AI model.");
+};
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+// Yields each line of a newline-delimited JSON response as it arrives.
+async function* readJsonLines(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+        const { done, value } = await reader.read();
+        buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = done ? '' : lines.pop();
+        for (const line of lines) {
+            if (line.trim()) yield JSON.parse(line);
+        }
+        if (done) return;
+    }
+}
+
+// Gemini and OpenAI-compatible calls go through the local proxy server, which
+// owns the API keys and the retry/backoff loop. Endpoints are configured there.
+const ANALYZE_URL = '/api/analyze';
+
+// The proxy answers with JSON lines (see server/index.js): retry notices, pieces
+// of text, and finally `done` or `error`.
+const proxyGenerate = (providerId) => async ({ prompt, schema, settings, images = [], signal, onProgress = () => {}, onText = () => {} }) => {
+    const body = JSON.stringify({ provider: providerId, model: settings.model, prompt, schema, images });
+    onProgress({ stage: 'uploading', bytes: body.length });
+    const response = await fetch(ANALYZE_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        signal,
+    });
+
+    if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        console.error("Analysis proxy error:", response.status, result);
+        throw new Error(result.error || `API request failed with status ${response.status}`);
+    }
+
+    onProgress({ stage: 'analyzing' });
+    let text = '';
+    for await (const event of readJsonLines(response)) {
+        if (event.type === 'retry') {
+            const { attempt, maxAttempts, delay, reason } = event;
+            onProgress({ stage: 'retrying', attempt, maxAttempts, delay, reason });
+        } else if (event.type === 'text') {
+            text += event.text;
+            onText(text);
+        } else if (event.type === 'error') {
+            console.error("Analysis proxy error:", event.error);
+            throw new Error(event.error);
+        } else if (event.type === 'done') {
+            if (!text) throw invalidResponse(event);
+            return text;
+        }
+    }
+    throw new Error("The analysis server closed the connection before the model finished.");
+};
+
+const geminiProvider = {
+    id: 'gemini',
+    label: 'Google Gemini',
+    defaults: { model: 'gemini-2.5-flash', baseUrl: '', contextTokens: 1000000 },
+    proxied: true,
+    generate: proxyGenerate('gemini'),
+};
+
+// Works with OpenAI itself and with any server exposing /chat/completions,
+// e.g. llama.cpp's server, LM Studio or vLLM (set OPENAI_BASE_URL on the proxy).
+const openAiProvider = {
+    id: 'openai',
+    label: 'OpenAI-compatible',
+    defaults: { model: 'gpt-4o-mini', baseUrl: '', contextTokens: 128000 },
+    proxied: true,
+    generate: proxyGenerate('openai'),
+};
+
+const ollamaProvider = {
+    id: 'ollama',
+    label: 'Ollama (local)',
+    defaults: { model: 'llama3.1', baseUrl: 'http://localhost:11434', contextTokens: 8192 },
+    proxied: false,
+    // Images need a vision model such as llava or llama3.2-vision.
+    generate: async ({ prompt, schema, settings, images = [], signal, onProgress = () => {}, onText = () => {} }) => {
+        const body = {
+            model: settings.model,
+            messages: [{ role: 'user', content: prompt, ...(images.length > 0 && { images: images.map(i => i.data) }) }],
+            format: toJsonSchema(schema),
+            // Ollama truncates prompts to its own default window unless told otherwise.
+            options: { num_ctx: settings.contextTokens },
+            stream: true,
+        };
+        onProgress({ stage: 'uploading', bytes: JSON.stringify(body).length });
+        const response = await postWithRetry(`${trimSlash(settings.baseUrl)}/api/chat`, body, {
+            signal,
+            onRetry: (retry) => onProgress({ stage: 'retrying', ...retry }),
+        });
+
+        // Each line carries the next piece of the message; the last has `done: true`.
+        onProgress({ stage: 'analyzing' });
+        let text = '';
+        for await (const result of readJsonLines(response)) {
+            if (result.error) throw invalidResponse(result);
+            text += result.message?.content || '';
+            if (result.message?.content) onText(text);
+        }
+        if (!text) throw invalidResponse({});
+        return text;
+    }
+};
+
+// --- MOCK PROVIDER ---
+// Canned threat models so the dashboard can be demoed and tested without a
+// network connection or an API key. The same files always yield the same model.
+
+const MOCK_MODELS = {
+    web: {
+        assets: ["Web Frontend", "API Gateway", "Authentication Service", "User Database"],
+        dataFlows: [
+            { source: "Web Frontend", destination: "API Gateway", protocol: "HTTPS", dataClassification: "Confidential", crossesTrustBoundary: true },
+            { source: "API Gateway", destination: "Authentication Service", protocol: "gRPC", dataClassification: "Restricted", crossesTrustBoundary: false },
+            { source: "Authentication Service", destination: "User Database", protocol: "SQL/TLS", dataClassification: "Restricted", crossesTrustBoundary: true },
+            { source: "API Gateway", destination: "User Database", protocol: "SQL/TLS", dataClassification: "Confidential", crossesTrustBoundary: true }
+        ],
+        threats: [
+            {
+                category: "Spoofing",
+                threat: "Stolen or forged session tokens let an attacker impersonate a logged-in user.",
+                severity: "High",
+                component: "Authentication Service",
+                cwe: ["CWE-613", "CWE-347"],
+                capec: ["CAPEC-593"],
+                attack: ["T1539", "T1550.004"],
+                asvs: ["V3.5.3", "V3.3.1"],
+                nist: ["SC-23", "AC-12"],
+                iso27001: ["A.8.5"],
+                mitigation: "Issue short-lived, signed tokens, bind refresh tokens to the client and revoke them on logout.",
+                codeSnippet: "jwt.verify(token, publicKey, { algorithms: ['RS256'], maxAge: '15m' });"
+            },
+            {
+                category: "Tampering",
+                threat: "Unparameterised queries allow SQL injection against the user database.",
+                severity: "Critical",
+                component: "User Database",
+                cwe: ["CWE-89"],
+                capec: ["CAPEC-66"],
+                attack: ["T1190"],
+                asvs: ["V5.3.4"],
+                nist: ["SI-10"],
+                iso27001: ["A.8.28"],
+                mitigation: "Use parameterised queries or an ORM everywhere user input reaches the database.",
+                codeSnippet: "db.query('SELECT * FROM users WHERE email = $1', [email]);"
+            },
+            {
+                category: "Denial of Service",
+                threat: "Unthrottled endpoints can be flooded, exhausting backend capacity.",
+                severity: "Medium",
+                component: "API Gateway",
+                cwe: ["CWE-770"],
+                capec: ["CAPEC-488"],
+                attack: ["T1499.003"],
+                asvs: ["V11.1.4"],
+                nist: ["SC-5"],
+                iso27001: ["A.8.6"],
+                mitigation: "Apply per-client rate limits and request size limits at the gateway.",
+                codeSnippet: "app.use(rateLimit({ windowMs: 60_000, max: 100 }));"
+            },
+            {
+                category: "Information Disclosure",
+                threat: "Verbose error pages leak stack traces and internal hostnames.",
+                severity: "Low",
+                component: "Web Frontend",
+                cwe: ["CWE-209"],
+                capec: ["CAPEC-54"],
+                attack: [],
+                asvs: ["V7.4.1"],
+                nist: ["SI-11"],
+                iso27001: ["A.8.28"],
+                mitigation: "Return generic error messages to clients and log details server-side only.",
+                codeSnippet: "app.use((err, req, res, next) => { logger.error(err); res.status(500).json({ error: 'Internal error' }); });"
+            },
+            {
+                category: "Repudiation",
+                threat: "Administrative actions are not audited, so changes cannot be attributed to a user.",
+                severity: "Medium",
+                component: "API Gateway",
+                cwe: ["CWE-778"],
+                capec: [],
+                attack: [],
+                asvs: ["V7.1.3", "V7.3.3"],
+                nist: ["AU-2", "AU-9", "AU-10"],
+                iso27001: ["A.8.15"],
+                mitigation: "Write append-only audit logs with the acting user, action and timestamp.",
+                codeSnippet: "audit.log({ actor: req.user.id, action: 'role.update', target: userId, at: new Date().toISOString() });"
+            },
+            {
+                category: "Linking",
+                threat: "Analytics events carry the user id, so browsing across sessions can be tied to one customer profile.",
+                severity: "Medium",
+                component: "Web Frontend",
+                cwe: ["CWE-359"],
+                capec: [],
+                attack: [],
+                asvs: [],
+                nist: ["SI-19", "PT-3"],
+                iso27001: ["A.8.11", "A.5.34"],
+                mitigation: "Send analytics under a rotating pseudonymous id and drop the user id before events leave the frontend.",
+                codeSnippet: "analytics.track(event, { ...props, userId: undefined, sessionId: rotatingId() });"
+            },
+            {
+                category: "Data Disclosure",
+                threat: "The user database keeps full profiles of closed accounts indefinitely.",
+                severity: "Medium",
+                component: "User Database",
+                cwe: ["CWE-359"],
+                capec: [],
+                attack: [],
+                asvs: [],
+                nist: ["SI-12", "PT-3"],
+                iso27001: ["A.8.10", "A.5.34"],
+                mitigation: "Define a retention period and delete or anonymise profiles once it has passed.",
+                codeSnippet: "DELETE FROM users WHERE closed_at < now() - interval '90 days';"
+            },
+            {
+                category: "Attack Modeling",
+                threat: "Credential stuffing against the login endpoint, followed by session hijacking, leads to account takeover.",
+                severity: "High",
+                component: "Authentication Service",
+                cwe: ["CWE-307"],
+                capec: ["CAPEC-600"],
+                attack: ["T1110.004"],
+                asvs: ["V2.1.7", "V2.2.1"],
+                nist: ["AC-7", "IA-2(1)"],
+                iso27001: ["A.8.5"],
+                mitigation: "Add breached-password checks, progressive delays and MFA on unusual logins to break the attack path early.",
+                codeSnippet: "if (await isBreached(password)) return res.status(400).json({ error: 'Choose a different password' });"
+            }
+        ]
+    },
+    cloud: {
+        assets: ["Load Balancer", "Compute Cluster", "Object Storage Bucket", "Secrets Manager"],
+        dataFlows: [
+            { source: "Load Balancer", destination: "Compute Cluster", protocol: "HTTP", dataClassification: "Confidential", crossesTrustBoundary: true },
+            { source: "Compute Cluster", destination: "Object Storage Bucket", protocol: "HTTPS", dataClassification: "Confidential", crossesTrustBoundary: false },
+            { source: "Compute Cluster", destination: "Secrets Manager", protocol: "HTTPS", dataClassification: "Restricted", crossesTrustBoundary: false }
+        ],
+        threats: [
+            {
+                category: "Information Disclosure",
+                threat: "The object storage bucket allows public read access to stored files.",
+                severity: "Critical",
+                component: "Object Storage Bucket",
+                cwe: ["CWE-732"],
+                capec: ["CAPEC-1"],
+                attack: ["T1530"],
+                asvs: [],
+                nist: ["AC-3", "AC-6"],
+                iso27001: ["A.8.3"],
+                mitigation: "Block public access at the account level and grant access through scoped IAM policies.",
+                codeSnippet: "resource \"aws_s3_bucket_public_access_block\" \"this\" {\n  bucket                  = aws_s3_bucket.data.id\n  block_public_acls       = true\n  restrict_public_buckets = true\n}"
+            },
+            {
+                category: "Elevation of Privilege",
+                threat: "Workloads run with a wildcard IAM role and can modify unrelated infrastructure.",
+                severity: "High",
+                component: "Compute Cluster",
+                cwe: ["CWE-269"],
+                capec: ["CAPEC-122"],
+                attack: ["T1078.004"],
+                asvs: [],
+                nist: ["AC-6"],
+                iso27001: ["A.8.2"],
+                mitigation: "Grant each workload a least-privilege role limited to the actions and resources it needs.",
+                codeSnippet: "{ \"Effect\": \"Allow\", \"Action\": [\"s3:GetObject\"], \"Resource\": \"arn:aws:s3:::app-data/*\" }"
+            },
+            {
+                category: "Tampering",
+                threat: "Traffic between the load balancer and the cluster is unencrypted and can be modified in transit.",
+                severity: "Medium",
+                component: "Load Balancer",
+                cwe: ["CWE-319"],
+                capec: ["CAPEC-157"],
+                attack: ["T1557"],
+                asvs: ["V9.2.2"],
+                nist: ["SC-8"],
+                iso27001: ["A.8.24"],
+                mitigation: "Terminate TLS at the load balancer and re-encrypt traffic to the backend targets.",
+                codeSnippet: "listener { protocol = \"HTTPS\" ssl_policy = \"ELBSecurityPolicy-TLS13-1-2-2021-06\" }"
+            },
+            {
+                category: "Spoofing",
+                threat: "Long-lived static credentials for the secrets manager could be reused by an attacker.",
+                severity: "High",
+                component: "Secrets Manager",
+                cwe: ["CWE-798"],
+                capec: ["CAPEC-555"],
+                attack: ["T1078.004", "T1552.001"],
+                asvs: ["V2.10.1"],
+                nist: ["IA-5", "IA-9"],
+                iso27001: ["A.5.17"],
+                mitigation: "Use workload identity federation instead of static keys and rotate remaining secrets automatically.",
+                codeSnippet: "serviceAccount:\n  annotations:\n    eks.amazonaws.com/role-arn: arn:aws:iam::123456789012:role/app"
+            }
+        ]
+    }
+};
+
+const CLOUD_HINT = /\.(tf|tfvars|ya?ml)$|terraform|kubernetes|docker/i;
+
+const mockProvider = {
+    id: 'mock',
+    label: 'Mock (offline demo)',
+    defaults: { model: 'canned', baseUrl: '', contextTokens: 32000 },
+    proxied: false,
+    // Streams the canned answer in pieces, like a real model would.
+    // Only the threats whose category the schema allows are returned.
+    generate: async ({ files = [], schema, signal, onProgress = () => {}, onText = () => {} }) => {
+        onProgress({ stage: 'analyzing' });
+        const model = files.some(f => CLOUD_HINT.test(f.name)) ? MOCK_MODELS.cloud : MOCK_MODELS.web;
+        const categories = schema?.properties.threats.items.properties.category.enum;
+        const text = JSON.stringify({ ...model, threats: model.threats.filter(t => !categories || categories.includes(t.category)) });
+        const pieces = 15;
+        for (let i = 1; i <= pieces; i++) {
+            await sleep(100, signal);
+            onText(text.slice(0, Math.ceil((text.length * i) / pieces)));
+        }
+        return text;
+    }
+};
+
+export const PROVIDERS = [geminiProvider, openAiProvider, ollamaProvider, mockProvider];
+
+export const getProvider = (id) => {
+    const provider = PROVIDERS.find(p => p.id === id);
+    if (!provider) throw new Error(`Unknown LLM provider "${id}"`);
+    return provider;
+};
+
+// --- PROVIDER SETTINGS ---
+// Empty model / baseUrl / contextTokens values fall back to the provider's defaults.
+// `contextTokens` is the model's context window; larger projects are analyzed in chunks.
+
+export const DEFAULT_PROVIDER_SETTINGS = { provider: 'gemini', model: '', baseUrl: '', contextTokens: '' };
+
+export const resolveProviderSettings = (settings = DEFAULT_PROVIDER_SETTINGS) => {
+    const provider = getProvider(settings.provider);
+    return {
+        ...settings,
+        model: settings.model || provider.defaults.model,
+        baseUrl: settings.baseUrl || provider.defaults.baseUrl,
+        contextTokens: parseInt(settings.contextTokens, 10) || provider.defaults.contextTokens,
+    };
+};
+
+export const loadProviderSettings = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        if (stored && PROVIDERS.some(p => p.id === stored.provider)) {
+            // Older versions stored an apiKey here; keys now live on the server only.
+            const { provider, model = '', baseUrl = '', contextTokens = '' } = stored;
+            return { provider, model, baseUrl, contextTokens };
+        }
+    } catch (e) {
+        console.warn("Ignoring unreadable provider settings:", e);
+    }
+    return DEFAULT_PROVIDER_SETTINGS;
+};
+
+export const saveProviderSettings = (settings) => {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+};
@@ -0,0 +1,76 @@
+// --- LLM TRANSPORT ---
+// Retry and schema helpers shared by the browser providers (llmProviders.js)
+// and the analysis proxy (server/upstream.js), which calls Gemini and OpenAI
+// on the browser's behalf. Both import this file as is, so it must not depend
+// on anything that only exists in one of them.
+
+export const MAX_ATTEMPTS = 5;
+
+export const abortError = () => new DOMException('Aborted', 'AbortError');
+
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(abortError());
+    }, { once: true });
+});
+
+// POSTs a JSON body, retrying rate limits, server errors and network failures
+// with exponential backoff. Returns the successful Response. `onRetry` is told
+// about every backoff, with the number of the attempt that follows it. When
+// the attempts run out the last network error is thrown, or an error carrying
+// the last `status`.
+export const postWithRetry = async (url, body, { headers = {}, signal, onRetry } = {}) => {
+    let response;
+    let attempts = 0;
+    while (attempts < MAX_ATTEMPTS) {
+        if (signal?.aborted) throw abortError();
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal,
+            });
+
+            if (response.ok) break;
+
+            if (response.status === 429 || response.status >= 500) {
+                attempts++;
+                if (attempts >= MAX_ATTEMPTS) break;
+                const delay = Math.pow(2, attempts) * 1000;
+                onRetry?.({ attempt: attempts + 1, maxAttempts: MAX_ATTEMPTS, delay, reason: `status ${response.status}` });
+                await sleep(delay, signal);
+            } else {
+                break;
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            if (attempts >= MAX_ATTEMPTS - 1) throw error;
+            attempts++;
+            const delay = Math.pow(2, attempts) * 1000;
+            onRetry?.({ attempt: attempts + 1, maxAttempts: MAX_ATTEMPTS, delay, reason: error.message });
+            await sleep(delay, signal);
+        }
+    }
+
+    if (!response || !response.ok) {
+        if (signal?.aborted) throw abortError();
+        const errorBody = response ? await response.text() : 'No response from server';
+        console.error("API Error Response:", errorBody);
+        throw Object.assign(new Error(`API request failed with status ${response ? response.status : 'unknown'}`), { status: response?.status });
+    }
+    return response;
+};
+
+// Gemini uses the upper-case OpenAPI subset ("OBJECT", "STRING"); OpenAI-style
+// servers and Ollama expect standard JSON Schema.
+export const toJsonSchema = (schema) => {
+    if (Array.isArray(schema)) return schema.map(toJsonSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+    return Object.fromEntries(Object.entries(schema).map(([key, value]) => (
+        key === 'type' && typeof value === 'string' ? [key, value.toLowerCase()] : [key, toJsonSchema(value)]
+    )));
+};
@@ -0,0 +1,114 @@
+// --- THREAT METHODOLOGIES ---
+// The frameworks an analysis can be run against. Each one contributes its
+// categories to the response schema and a paragraph to the prompt, and the
+// dashboard shows one threat table per methodology. Category names are
+// unique across methodologies, so a threat's methodology follows from its
+// category and nothing else has to be stored on the threat.
+//
+// A methodology is `{ id, label, column, summary, instruction, categories }`:
+// `column` heads the category column of its threat table and `categories`
+// are `{ name, hint }`, with the hint shown to the model.
+
+export const METHODOLOGIES = [
+    {
+        id: 'stride',
+        label: 'STRIDE',
+        column: 'STRIDE Category',
+        summary: 'Security threats by attacker goal.',
+        instruction: 'Analyze security threats using STRIDE.',
+        categories: [
+            { name: 'Spoofing', hint: 'pretending to be another user, service or system' },
+            { name: 'Tampering', hint: 'modifying data or code without authorization' },
+            { name: 'Repudiation', hint: 'denying an action because it cannot be attributed' },
+            { name: 'Information Disclosure', hint: 'exposing information to someone not allowed to see it' },
+            { name: 'Denial of Service', hint: 'degrading or denying service to legitimate users' },
+            { name: 'Elevation of Privilege', hint: 'gaining capabilities without proper authorization' },
+        ],
+    },
+    {
+        id: 'linddun',
+        label: 'LINDDUN',
+        column: 'LINDDUN Category',
+        summary: 'Privacy threats to the people whose data the system handles.',
+        instruction: 'Analyze privacy threats to the individuals whose personal data the system processes using LINDDUN. Name the personal data involved in each threat.',
+        categories: [
+            { name: 'Linking', hint: 'associating data items or actions to learn more about an individual or group' },
+            { name: 'Identifying', hint: 'learning the identity of an individual from data that should not reveal it' },
+            { name: 'Non-repudiation', hint: 'attributing a claim or action to an individual who should be able to deny it' },
+            { name: 'Detecting', hint: 'deducing that an individual is involved from the mere existence of data or traffic' },
+            { name: 'Data Disclosure', hint: 'collecting, storing, processing or sharing more personal data than needed' },
+            { name: 'Unawareness & Unintervenability', hint: 'not informing individuals, or not letting them control, how their data is processed' },
+            { name: 'Non-compliance', hint: 'deviating from data protection law, regulation, policy or best practice' },
+        ],
+    },
+    {
+        id: 'pasta',
+        label: 'PASTA',
+        column: 'PASTA Stage',
+        summary: 'Risk-centric, attacker-driven analysis in seven stages.',
+        instruction: 'Work through the seven stages of PASTA (Process for Attack Simulation and Threat Analysis), from the business objectives to the risk they carry. Report each threat under the stage that surfaced it, describe concrete attack scenarios and their business impact, and put most findings in the threat, vulnerability and attack modeling stages.',
+        categories: [
+            { name: 'Business Objectives', hint: 'stage 1: threats to the business goals, compliance obligations and risk appetite' },
+            { name: 'Technical Scope', hint: 'stage 2: threats from the technologies, dependencies and infrastructure in scope' },
+            { name: 'Application Decomposition', hint: 'stage 3: threats visible in the entry points, trust levels and data flows' },
+            { name: 'Threat Analysis', hint: 'stage 4: threats from realistic threat actors and known attack campaigns' },
+            { name: 'Vulnerability Analysis', hint: 'stage 5: weaknesses and design flaws that threats could exploit' },
+            { name: 'Attack Modeling', hint: 'stage 6: attack paths and trees that chain weaknesses into an exploit' },
+            { name: 'Risk & Impact Analysis', hint: 'stage 7: residual business risk after the existing controls' },
+        ],
+    },
+    {
+        id: 'owaspLlm',
+        label: 'OWASP LLM Top 10',
+        column: 'OWASP LLM Risk',
+        summary: 'Risks of applications built on large language models (2025 list).',
+        instruction: 'Analyze the risks of the parts of the system that use large language models, agents, embeddings or retrieval-augmented generation against the OWASP Top 10 for LLM Applications (2025). Only report these risks where the artifacts show such components.',
+        categories: [
+            { name: 'LLM01: Prompt Injection', hint: 'user or retrieved content that alters the model\'s behaviour' },
+            { name: 'LLM02: Sensitive Information Disclosure', hint: 'personal data, secrets or proprietary data revealed in model output' },
+            { name: 'LLM03: Supply Chain', hint: 'compromised models, datasets, adapters or model hosting' },
+            { name: 'LLM04: Data and Model Poisoning', hint: 'manipulated training, fine-tuning or embedding data' },
+            { name: 'LLM05: Improper Output Handling', hint: 'model output passed to interpreters, browsers or queries unchecked' },
+            { name: 'LLM06: Excessive Agency', hint: 'tools, permissions or autonomy beyond what the task needs' },
+            { name: 'LLM07: System Prompt Leakage', hint: 'secrets or controls that rely on the system prompt staying hidden' },
+            { name: 'LLM08: Vector and Embedding Weaknesses', hint: 'unauthorized access to, or poisoning of, vector stores and embeddings' },
+            { name: 'LLM09: Misinformation', hint: 'plausible but false output that users or systems act on' },
+            { name: 'LLM10: Unbounded Consumption', hint: 'unlimited inference that drives up cost or denies service' },
+        ],
+    },
+];
+
+export const DEFAULT_METHODOLOGIES = ['stride'];
+
+export const METHODOLOGY_IDS = METHODOLOGIES.map(m => m.id);
+
+export const getMethodology = (id) => METHODOLOGIES.find(m => m.id === id) || METHODOLOGIES[0];
+
+// Categories the model may use when analyzing with the given methodologies.
+export const categoriesFor = (ids) => METHODOLOGIES
+    .filter(m => ids.includes(m.id))
+    .flatMap(m => m.categories.map(c => c.name));
+
+// Threats with a category no methodology knows (hand-edited imports) count as STRIDE.
+export const methodologyOf = (threat) => (
+    METHODOLOGIES.find(m => m.categories.some(c => c.name === threat.category)) || METHODOLOGIES[0]
+).id;
+
+// The methodologies an analysis was run with. Models saved before there was a
+// choice, and imported ones, are described by the categories of their threats.
+export const analysisMethodologies = (analysis) => {
+    if (Array.isArray(analysis.methodologies) && analysis.methodologies.length > 0) return analysis.methodologies;
+    const used = new Set(analysis.threats.map(methodologyOf));
+    return used.size > 0 ? METHODOLOGY_IDS.filter(id => used.has(id)) : DEFAULT_METHODOLOGIES;
+};
+
+// `[{ methodology, threats }]` in catalog order: one group per methodology the
+// analysis was run with, plus any other that threats belong to (rule findings
+// and existing models are STRIDE whatever was chosen).
+export const groupByMethodology = (threats, ids) => {
+    const grouped = Object.fromEntries(METHODOLOGY_IDS.map(id => [id, []]));
+    threats.forEach(t => grouped[methodologyOf(t)].push(t));
+    return METHODOLOGIES
+        .filter(m => ids.includes(m.id) || grouped[m.id].length > 0)
+        .map(methodology => ({ methodology, threats: grouped[methodology.id] }));
+};
@@ -0,0 +1,42 @@
+// --- PARTIAL JSON ---
+// While a model streams its answer the text is a prefix of a JSON document.
+// To show assets and threats as they arrive, the prefix is cut back to the
+// last point where a value was complete and the open arrays and objects are
+// closed. A string, number or key that is still being written is never
+// included, but an object can be cut short: `{"a": 1, "b": 2` becomes
+// `{"a": 1}`, so callers should check items for the fields they need.
+
+export const parsePartialJson = (text = '') => {
+    const open = [];
+    let inString = false;
+    let escaped = false;
+    let cut = null;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (ch === '\\') escaped = true;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+        if (ch === '"') {
+            inString = true;
+        } else if (ch === '{' || ch === '[') {
+            open.push(ch === '{' ? '}' : ']');
+        } else if (ch === '}' || ch === ']') {
+            open.pop();
+            cut = { end: i + 1, closers: open.slice() };
+        } else if (ch === ',') {
+            // Everything before a comma is a complete member or element.
+            cut = { end: i, closers: open.slice() };
+        }
+    }
+
+    if (!cut) return null;
+    try {
+        return JSON.parse(text.slice(0, cut.end) + cut.closers.reverse().join(''));
+    } catch {
+        return null;
+    }
+};
@@ -0,0 +1,185 @@
+import { redactionLogEntry } from './redaction';
+import { withLifecycleDefaults } from './threatLifecycle';
+
+// --- PROJECT STORE (IndexedDB) ---
+// Saved threat models survive refreshes and "Start New Analysis". A project
+// holds the history of its analyses; every analysis records the source files
+// it was built from (name, size and SHA-256 of the content, never the content
+// itself), when it ran and what was redacted before the files were sent.
+
+const DB_NAME = 'threat-model-platform';
+const DB_VERSION = 2;
+
+let dbPromise;
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) {
+                    db.createObjectStore('projects', { keyPath: 'id' });
+                    const analyses = db.createObjectStore('analyses', { keyPath: 'id' });
+                    analyses.createIndex('projectId', 'projectId');
+                    return;
+                }
+                // Version 1 logged the first characters of every redacted value.
+                if (event.oldVersion < 2) {
+                    request.transaction.objectStore('analyses').openCursor().onsuccess = (e) => {
+                        const cursor = e.target.result;
+                        if (!cursor) return;
+                        cursor.update({ ...cursor.value, redactions: (cursor.value.redactions || []).map(redactionLogEntry) });
+                        cursor.continue();
+                    };
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        dbPromise.catch(() => { dbPromise = undefined; });
+    }
+    return dbPromise;
+};
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Runs `work` inside one transaction and resolves with its result once the
+// transaction has committed.
+const withTransaction = async (storeNames, mode, work) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode);
+        let result;
+        Promise.resolve(work(tx)).then(value => { result = value; }, error => {
+            tx.abort();
+            reject(error);
+        });
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+};
+
+const newId = () => crypto.randomUUID();
+
+export const hashContent = async (content = '') => {
+    const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+};
+
+// Records and comments carry ISO timestamps; they are shown in the reader's locale.
+export const formatDate = (iso) => new Date(iso).toLocaleString();
+
+// The in-memory analysis keeps assets in a Set; stored copies use a plain array.
+export const serializeAnalysis = (analysis) => ({ ...analysis, assets: Array.from(analysis.assets) });
+export const deserializeAnalysis = (stored) => ({
+    ...stored,
+    assets: new Set(stored.assets || []),
+    threats: (stored.threats || []).map(withLifecycleDefaults),
+});
+
+const summarize = (analysis) => ({
+    threatCount: analysis.threats.length,
+    assetCount: analysis.assets.size,
+    dataFlowCount: analysis.dataFlows.length,
+});
+
+export const projectStore = {
+  // Projects with their analysis history (newest first), most recently updated first.
+  listProjects: () => withTransaction(['projects', 'analyses'], 'readonly', async (tx) => {
+    const [projects, analyses] = await Promise.all([
+        requestResult(tx.objectStore('projects').getAll()),
+        requestResult(tx.objectStore('analyses').getAll()),
+    ]);
+    return projects
+        .map(project => ({
+            ...project,
+            history: analyses
+                .filter(a => a.projectId === project.id)
+                .map(({ id, analyzedAt, sources, provider, summary, redactions = [] }) => ({ id, analyzedAt, sources, provider, summary, redactions }))
+                .sort((a, b) => b.analyzedAt.localeCompare(a.analyzedAt)),
+        }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }),
+
+  loadAnalysis: async (analysisId) => {
+    const record = await withTransaction(['analyses'], 'readonly', tx => requestResult(tx.objectStore('analyses').get(analysisId)));
+    if (!record) throw new Error(`Saved analysis ${analysisId} was not found.`);
+    return { ...record, analysis: deserializeAnalysis(record.analysis) };
+  },
+
+  // Records a finished analysis, creating the project when `projectId` is empty.
+  saveAnalysis: async ({ projectId, projectName, files, analysis, provider, redactions = [] }) => {
+    const sources = await Promise.all(files.map(async f => ({
+        name: f.name,
+        size: f.size,
+        // Images have no text content; their base64 data identifies them instead.
+        hash: await hashContent(f.kind === 'image' ? f.data : f.content),
+    })));
+    const now = new Date().toISOString();
+    const record = {
+        id: newId(),
+        projectId: projectId || newId(),
+        analyzedAt: now,
+        sources,
+        provider,
+        redactions: redactions.map(redactionLogEntry),
+        summary: summarize(analysis),
+        analysis: serializeAnalysis(analysis),
+    };
+
+    await withTransaction(['projects', 'analyses'], 'readwrite', async (tx) => {
+        const projects = tx.objectStore('projects');
+        const existing = await requestResult(projects.get(record.projectId));
+        projects.put(existing
+            ? { ...existing, updatedAt: now }
+            : { id: record.projectId, name: projectName, createdAt: now, updatedAt: now });
+        tx.objectStore('analyses').put(record);
+    });
+    return { projectId: record.projectId, analysisId: record.id };
+  },
+
+  // Stores edits (diagram changes and the like) made to an already saved analysis.
+  updateAnalysis: (analysisId, analysis) => withTransaction(['projects', 'analyses'], 'readwrite', async (tx) => {
+    const analyses = tx.objectStore('analyses');
+    const record = await requestResult(analyses.get(analysisId));
+    if (!record) return;
+    analyses.put({ ...record, summary: summarize(analysis), analysis: serializeAnalysis(analysis) });
+    const projects = tx.objectStore('projects');
+    const project = await requestResult(projects.get(record.projectId));
+    if (project) projects.put({ ...project, updatedAt: new Date().toISOString() });
+  }),
+
+  renameProject: (projectId, name) => withTransaction(['projects'], 'readwrite', async (tx) => {
+    const projects = tx.objectStore('projects');
+    const project = await requestResult(projects.get(projectId));
+    if (project) projects.put({ ...project, name, updatedAt: new Date().toISOString() });
+  }),
+
+  duplicateProject: (projectId) => withTransaction(['projects', 'analyses'], 'readwrite', async (tx) => {
+    const projects = tx.objectStore('projects');
+    const analyses = tx.objectStore('analyses');
+    const [project, history] = await Promise.all([
+        requestResult(projects.get(projectId)),
+        requestResult(analyses.index('projectId').getAll(projectId)),
+    ]);
+    if (!project) throw new Error(`Project ${projectId} was not found.`);
+    const now = new Date().toISOString();
+    const copy = { ...project, id: newId(), name: `${project.name} (copy)`, createdAt: now, updatedAt: now };
+    projects.put(copy);
+    history.forEach(record => analyses.put({ ...record, id: newId(), projectId: copy.id }));
+    return copy.id;
+  }),
+
+  deleteProject: (projectId) => withTransaction(['projects', 'analyses'], 'readwrite', async (tx) => {
+    const analyses = tx.objectStore('analyses');
+    const keys = await requestResult(analyses.index('projectId').getAllKeys(projectId));
+    keys.forEach(key => analyses.delete(key));
+    tx.objectStore('projects').delete(projectId);
+  }),
+};
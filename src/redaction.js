@@ -0,0 +1,129 @@
+// --- REDACTION ---
+// Uploaded files can hold things that must not reach a third-party model:
+// keys, tokens, passwords in connection strings, customer emails, addresses.
+// Before the prompt is built every text artifact is scanned and each sensitive
+// value is replaced by a placeholder such as `[REDACTED_EMAIL_2]`. The same
+// value gets the same placeholder in every file, so the model can still see
+// that two services share a credential or talk to the same host. The log
+// records where each placeholder was used, never the value itself.
+
+export const REDACTION_TYPES = {
+    PRIVATE_KEY: 'Private key',
+    AWS_KEY: 'AWS access key',
+    API_KEY: 'API key or token',
+    JWT: 'JSON Web Token',
+    PASSWORD: 'Connection string password',
+    SECRET: 'Credential assignment',
+    EMAIL: 'Email address',
+    IP: 'IP address',
+};
+
+// Values that look like references, templates or examples rather than secrets.
+const PLACEHOLDER_VALUE = /^(\$\{|\{\{|<.*>$|%|process\.env|env\(|var\.|os\.environ|\[REDACTED_)|example|changeme|placeholder|dummy|your[_-]|x{4,}|\*{4,}/i;
+
+// Patterns with a `secret` group redact only that group, keeping the key name
+// or the rest of the connection string readable. Earlier entries win where
+// matches overlap.
+const PATTERNS = [
+    { type: 'PRIVATE_KEY', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY(?: BLOCK)?-----/g },
+    { type: 'AWS_KEY', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { type: 'JWT', pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/g },
+    { type: 'API_KEY', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35}|[sr]k_(?:live|test)_[0-9A-Za-z]{16,}|sk-(?:proj-)?[A-Za-z0-9_-]{20,})/g },
+    { type: 'PASSWORD', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@"'`]+:(?<secret>[^\s@/"'`]+)@/gi },
+    { type: 'PASSWORD', pattern: /\b(?:Password|Pwd)\s*=\s*(?<secret>[^;"'\s]+)/gi },
+    {
+        type: 'SECRET',
+        pattern: /\b[\w.-]*(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|private[_-]?key|credentials?)[\w.-]*["']?\s*[:=]\s*["'](?<secret>[^"'\s]{6,})["']/gi,
+    },
+    // .env and shell style: SECRET_KEY=value without quotes.
+    {
+        type: 'SECRET',
+        pattern: /^[ \t]*(?:export[ \t]+)?[A-Za-z0-9_]*(?:PASSWORD|PASSWD|SECRET|TOKEN|API_?KEY|ACCESS_?KEY|PRIVATE_?KEY|CREDENTIALS?)[A-Za-z0-9_]*[ \t]*=[ \t]*(?<secret>[^\s"'#]{6,})/gim,
+    },
+    {
+        type: 'EMAIL',
+        pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g,
+        // `postgres://app@db.internal` is a user at a host, not an address.
+        skip: (text, start) => /:\/\/[^\s]*$/.test(text.slice(Math.max(0, start - 200), start)),
+    },
+    {
+        type: 'IP',
+        pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g,
+        // CIDR ranges describe networks, and these addresses identify nothing.
+        skip: (text, start, value) => text[start + value.length] === '/' || /^(0\.0\.0\.0|127\.|255\.)/.test(value),
+    },
+    { type: 'IP', pattern: /\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b/gi },
+];
+
+const lineAt = (text, offset) => text.slice(0, offset).split('\n').length;
+
+const findSpans = (text) => {
+    const accepted = [];
+    PATTERNS.forEach(({ type, pattern, skip }) => {
+        for (const match of text.matchAll(new RegExp(pattern.source, `${pattern.flags}d`))) {
+            const [start, end] = match.indices.groups?.secret || match.indices[0];
+            const value = text.slice(start, end);
+            if (type === 'SECRET' && PLACEHOLDER_VALUE.test(value)) continue;
+            if (skip?.(text, start, value)) continue;
+            if (accepted.some(span => start < span.end && end > span.start)) continue;
+            accepted.push({ type, start, end, value });
+        }
+    });
+    return accepted.sort((a, b) => a.start - b.start);
+};
+
+// A redactor keeps one placeholder per distinct value across all the text it
+// is given. `redact(text, where)` returns the redacted text and appends
+// `{ type, label, placeholder, where, line, length }` entries to `log`.
+export const createRedactor = () => {
+    const placeholders = new Map();
+    const counts = {};
+    const log = [];
+
+    const placeholderFor = (type, value) => {
+        const key = `${type}\u0000${value}`;
+        if (!placeholders.has(key)) {
+            counts[type] = (counts[type] || 0) + 1;
+            placeholders.set(key, `[REDACTED_${type}_${counts[type]}]`);
+        }
+        return placeholders.get(key);
+    };
+
+    const redact = (text = '', where = '') => {
+        let result = '';
+        let cursor = 0;
+        findSpans(text).forEach(span => {
+            const placeholder = placeholderFor(span.type, span.value);
+            log.push({ type: span.type, label: REDACTION_TYPES[span.type], placeholder, where, line: lineAt(text, span.start), length: span.value.length });
+            result += text.slice(cursor, span.start) + placeholder;
+            cursor = span.end;
+        });
+        return result + text.slice(cursor);
+    };
+
+    return { redact, log };
+};
+
+// The fields of a log entry, and only those: the log is saved and exported, so
+// no part of a redacted value may ride along. Logs saved before version 2 of
+// the project store kept the first characters of each value.
+export const redactionLogEntry = ({ type, label, placeholder, where, line, length }) => ({ type, label, placeholder, where, line, length });
+
+// Redacts every text artifact (images are passed through untouched) and the
+// `context` sent along with them (`[{ id, name, content }]`, see aiEngine's
+// describeContext), with the same placeholders throughout. Returns
+// `{ files, context, log }`: exactly what the review shows and the analysis sends.
+export const redactFiles = (files, context = []) => {
+    const redactor = createRedactor();
+    return {
+        files: files.map(f => (f.kind === 'image' ? f : { ...f, content: redactor.redact(f.content, f.name) })),
+        context: context.map(c => ({ ...c, content: redactor.redact(c.content, c.name) })),
+        log: redactor.log,
+    };
+};
+
+// Counts per type, e.g. `{ EMAIL: 3, SECRET: 1 }`, for distinct values.
+export const summarizeRedactions = (log) => {
+    const distinct = new Map(log.map(entry => [entry.placeholder, entry.type]));
+    return [...distinct.values()].reduce((counts, type) => ({ ...counts, [type]: (counts[type] || 0) + 1 }), {});
+};
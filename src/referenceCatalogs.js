@@ -0,0 +1,550 @@
+// --- REFERENCE CATALOGS ---
+// Offline copies of the parts of MITRE's CWE, CAPEC and ATT&CK (Enterprise)
+// catalogs that threat models cite: the CWE Top 25 and the weaknesses around
+// them, the attack patterns those weaknesses enable, and the techniques an
+// attacker uses against web, cloud and container systems. They are bundled so
+// that references can be checked without a network connection. An id that is
+// missing here is unverified rather than wrong; add it, with MITRE's name, when
+// a genuine one is reported as unknown.
+
+export const CWE_WEAKNESSES = {
+    'CWE-15': 'External Control of System or Configuration Setting',
+    'CWE-20': 'Improper Input Validation',
+    'CWE-22': "Improper Limitation of a Pathname to a Restricted Directory ('Path Traversal')",
+    'CWE-23': 'Relative Path Traversal',
+    'CWE-59': "Improper Link Resolution Before File Access ('Link Following')",
+    'CWE-73': 'External Control of File Name or Path',
+    'CWE-74': "Improper Neutralization of Special Elements in Output Used by a Downstream Component ('Injection')",
+    'CWE-77': "Improper Neutralization of Special Elements used in a Command ('Command Injection')",
+    'CWE-78': "Improper Neutralization of Special Elements used in an OS Command ('OS Command Injection')",
+    'CWE-79': "Improper Neutralization of Input During Web Page Generation ('Cross-site Scripting')",
+    'CWE-89': "Improper Neutralization of Special Elements used in an SQL Command ('SQL Injection')",
+    'CWE-90': "Improper Neutralization of Special Elements used in an LDAP Query ('LDAP Injection')",
+    'CWE-91': 'XML Injection (aka Blind XPath Injection)',
+    'CWE-93': "Improper Neutralization of CRLF Sequences ('CRLF Injection')",
+    'CWE-94': "Improper Control of Generation of Code ('Code Injection')",
+    'CWE-95': "Improper Neutralization of Directives in Dynamically Evaluated Code ('Eval Injection')",
+    'CWE-98': "Improper Control of Filename for Include/Require Statement in PHP Program ('PHP Remote File Inclusion')",
+    'CWE-113': "Improper Neutralization of CRLF Sequences in HTTP Headers ('HTTP Request/Response Splitting')",
+    'CWE-116': 'Improper Encoding or Escaping of Output',
+    'CWE-117': 'Improper Output Neutralization for Logs',
+    'CWE-119': 'Improper Restriction of Operations within the Bounds of a Memory Buffer',
+    'CWE-120': "Buffer Copy without Checking Size of Input ('Classic Buffer Overflow')",
+    'CWE-125': 'Out-of-bounds Read',
+    'CWE-129': 'Improper Validation of Array Index',
+    'CWE-134': 'Use of Externally-Controlled Format String',
+    'CWE-190': 'Integer Overflow or Wraparound',
+    'CWE-200': 'Exposure of Sensitive Information to an Unauthorized Actor',
+    'CWE-201': 'Insertion of Sensitive Information Into Sent Data',
+    'CWE-203': 'Observable Discrepancy',
+    'CWE-204': 'Observable Response Discrepancy',
+    'CWE-208': 'Observable Timing Discrepancy',
+    'CWE-209': 'Generation of Error Message Containing Sensitive Information',
+    'CWE-215': 'Insertion of Sensitive Information Into Debugging Code',
+    'CWE-223': 'Omission of Security-relevant Information',
+    'CWE-250': 'Execution with Unnecessary Privileges',
+    'CWE-252': 'Unchecked Return Value',
+    'CWE-256': 'Plaintext Storage of a Password',
+    'CWE-259': 'Use of Hard-coded Password',
+    'CWE-260': 'Password in Configuration File',
+    'CWE-261': 'Weak Encoding for Password',
+    'CWE-262': 'Not Using Password Aging',
+    'CWE-266': 'Incorrect Privilege Assignment',
+    'CWE-269': 'Improper Privilege Management',
+    'CWE-272': 'Least Privilege Violation',
+    'CWE-276': 'Incorrect Default Permissions',
+    'CWE-284': 'Improper Access Control',
+    'CWE-285': 'Improper Authorization',
+    'CWE-287': 'Improper Authentication',
+    'CWE-288': 'Authentication Bypass Using an Alternate Path or Channel',
+    'CWE-290': 'Authentication Bypass by Spoofing',
+    'CWE-291': 'Reliance on IP Address for Authentication',
+    'CWE-294': 'Authentication Bypass by Capture-replay',
+    'CWE-295': 'Improper Certificate Validation',
+    'CWE-296': "Improper Following of a Certificate's Chain of Trust",
+    'CWE-297': 'Improper Validation of Certificate with Host Mismatch',
+    'CWE-299': 'Improper Check for Certificate Revocation',
+    'CWE-300': 'Channel Accessible by Non-Endpoint',
+    'CWE-303': 'Incorrect Implementation of Authentication Algorithm',
+    'CWE-304': 'Missing Critical Step in Authentication',
+    'CWE-306': 'Missing Authentication for Critical Function',
+    'CWE-307': 'Improper Restriction of Excessive Authentication Attempts',
+    'CWE-308': 'Use of Single-factor Authentication',
+    'CWE-311': 'Missing Encryption of Sensitive Data',
+    'CWE-312': 'Cleartext Storage of Sensitive Information',
+    'CWE-313': 'Cleartext Storage in a File or on Disk',
+    'CWE-315': 'Cleartext Storage of Sensitive Information in a Cookie',
+    'CWE-316': 'Cleartext Storage of Sensitive Information in Memory',
+    'CWE-319': 'Cleartext Transmission of Sensitive Information',
+    'CWE-321': 'Use of Hard-coded Cryptographic Key',
+    'CWE-322': 'Key Exchange without Entity Authentication',
+    'CWE-323': 'Reusing a Nonce, Key Pair in Encryption',
+    'CWE-324': 'Use of a Key Past its Expiration Date',
+    'CWE-325': 'Missing Cryptographic Step',
+    'CWE-326': 'Inadequate Encryption Strength',
+    'CWE-327': 'Use of a Broken or Risky Cryptographic Algorithm',
+    'CWE-328': 'Use of Weak Hash',
+    'CWE-329': 'Generation of Predictable IV with CBC Mode',
+    'CWE-330': 'Use of Insufficiently Random Values',
+    'CWE-331': 'Insufficient Entropy',
+    'CWE-338': 'Use of Cryptographically Weak Pseudo-Random Number Generator (PRNG)',
+    'CWE-340': 'Generation of Predictable Numbers or Identifiers',
+    'CWE-345': 'Insufficient Verification of Data Authenticity',
+    'CWE-346': 'Origin Validation Error',
+    'CWE-347': 'Improper Verification of Cryptographic Signature',
+    'CWE-348': 'Use of Less Trusted Source',
+    'CWE-352': 'Cross-Site Request Forgery (CSRF)',
+    'CWE-353': 'Missing Support for Integrity Check',
+    'CWE-354': 'Improper Validation of Integrity Check Value',
+    'CWE-359': 'Exposure of Private Personal Information to an Unauthorized Actor',
+    'CWE-362': "Concurrent Execution using Shared Resource with Improper Synchronization ('Race Condition')",
+    'CWE-367': 'Time-of-check Time-of-use (TOCTOU) Race Condition',
+    'CWE-377': 'Insecure Temporary File',
+    'CWE-384': 'Session Fixation',
+    'CWE-385': 'Covert Timing Channel',
+    'CWE-400': 'Uncontrolled Resource Consumption',
+    'CWE-401': 'Missing Release of Memory after Effective Lifetime',
+    'CWE-404': 'Improper Resource Shutdown or Release',
+    'CWE-405': 'Asymmetric Resource Consumption (Amplification)',
+    'CWE-406': 'Insufficient Control of Network Message Volume (Network Amplification)',
+    'CWE-407': 'Inefficient Algorithmic Complexity',
+    'CWE-409': 'Improper Handling of Highly Compressed Data (Data Amplification)',
+    'CWE-416': 'Use After Free',
+    'CWE-419': 'Unprotected Primary Channel',
+    'CWE-420': 'Unprotected Alternate Channel',
+    'CWE-425': "Direct Request ('Forced Browsing')",
+    'CWE-426': 'Untrusted Search Path',
+    'CWE-427': 'Uncontrolled Search Path Element',
+    'CWE-434': 'Unrestricted Upload of File with Dangerous Type',
+    'CWE-441': "Unintended Proxy or Intermediary ('Confused Deputy')",
+    'CWE-444': "Inconsistent Interpretation of HTTP Requests ('HTTP Request/Response Smuggling')",
+    'CWE-451': 'User Interface (UI) Misrepresentation of Critical Information',
+    'CWE-459': 'Incomplete Cleanup',
+    'CWE-470': "Use of Externally-Controlled Input to Select Classes or Code ('Unsafe Reflection')",
+    'CWE-472': 'External Control of Assumed-Immutable Web Parameter',
+    'CWE-476': 'NULL Pointer Dereference',
+    'CWE-489': 'Active Debug Code',
+    'CWE-494': 'Download of Code Without Integrity Check',
+    'CWE-497': 'Exposure of Sensitive System Information to an Unauthorized Control Sphere',
+    'CWE-501': 'Trust Boundary Violation',
+    'CWE-502': 'Deserialization of Untrusted Data',
+    'CWE-506': 'Embedded Malicious Code',
+    'CWE-521': 'Weak Password Requirements',
+    'CWE-522': 'Insufficiently Protected Credentials',
+    'CWE-523': 'Unprotected Transport of Credentials',
+    'CWE-524': 'Use of Cache Containing Sensitive Information',
+    'CWE-525': 'Use of Web Browser Cache Containing Sensitive Information',
+    'CWE-526': 'Cleartext Storage of Sensitive Information in an Environment Variable',
+    'CWE-527': 'Exposure of Version-Control Repository to an Unauthorized Control Sphere',
+    'CWE-532': 'Insertion of Sensitive Information into Log File',
+    'CWE-538': 'Insertion of Sensitive Information into Externally-Accessible File or Directory',
+    'CWE-539': 'Use of Persistent Cookies Containing Sensitive Information',
+    'CWE-540': 'Inclusion of Sensitive Information in Source Code',
+    'CWE-548': 'Exposure of Information Through Directory Listing',
+    'CWE-552': 'Files or Directories Accessible to External Parties',
+    'CWE-565': 'Reliance on Cookies without Validation and Integrity Checking',
+    'CWE-566': 'Authorization Bypass Through User-Controlled SQL Primary Key',
+    'CWE-598': 'Use of GET Request Method With Sensitive Query Strings',
+    'CWE-601': "URL Redirection to Untrusted Site ('Open Redirect')",
+    'CWE-602': 'Client-Side Enforcement of Server-Side Security',
+    'CWE-603': 'Use of Client-Side Authentication',
+    'CWE-610': 'Externally Controlled Reference to a Resource in Another Sphere',
+    'CWE-611': 'Improper Restriction of XML External Entity Reference',
+    'CWE-613': 'Insufficient Session Expiration',
+    'CWE-614': "Sensitive Cookie in HTTPS Session Without 'Secure' Attribute",
+    'CWE-615': 'Inclusion of Sensitive Information in Source Code Comments',
+    'CWE-620': 'Unverified Password Change',
+    'CWE-636': "Not Failing Securely ('Failing Open')",
+    'CWE-639': 'Authorization Bypass Through User-Controlled Key',
+    'CWE-640': 'Weak Password Recovery Mechanism for Forgotten Password',
+    'CWE-642': 'External Control of Critical State Data',
+    'CWE-643': "Improper Neutralization of Data within XPath Expressions ('XPath Injection')",
+    'CWE-653': 'Improper Isolation or Compartmentalization',
+    'CWE-654': 'Reliance on a Single Factor in a Security Decision',
+    'CWE-656': 'Reliance on Security Through Obscurity',
+    'CWE-657': 'Violation of Secure Design Principles',
+    'CWE-662': 'Improper Synchronization',
+    'CWE-665': 'Improper Initialization',
+    'CWE-667': 'Improper Locking',
+    'CWE-668': 'Exposure of Resource to Wrong Sphere',
+    'CWE-669': 'Incorrect Resource Transfer Between Spheres',
+    'CWE-672': 'Operation on a Resource after Expiration or Release',
+    'CWE-674': 'Uncontrolled Recursion',
+    'CWE-676': 'Use of Potentially Dangerous Function',
+    'CWE-681': 'Incorrect Conversion between Numeric Types',
+    'CWE-682': 'Incorrect Calculation',
+    'CWE-693': 'Protection Mechanism Failure',
+    'CWE-697': 'Incorrect Comparison',
+    'CWE-703': 'Improper Check or Handling of Exceptional Conditions',
+    'CWE-704': 'Incorrect Type Conversion or Cast',
+    'CWE-706': 'Use of Incorrectly-Resolved Name or Reference',
+    'CWE-732': 'Incorrect Permission Assignment for Critical Resource',
+    'CWE-749': 'Exposed Dangerous Method or Function',
+    'CWE-754': 'Improper Check for Unusual or Exceptional Conditions',
+    'CWE-755': 'Improper Handling of Exceptional Conditions',
+    'CWE-757': "Selection of Less-Secure Algorithm During Negotiation ('Algorithm Downgrade')",
+    'CWE-759': 'Use of a One-Way Hash without a Salt',
+    'CWE-760': 'Use of a One-Way Hash with a Predictable Salt',
+    'CWE-770': 'Allocation of Resources Without Limits or Throttling',
+    'CWE-772': 'Missing Release of Resource after Effective Lifetime',
+    'CWE-776': "Improper Restriction of Recursive Entity References in DTDs ('XML Entity Expansion')",
+    'CWE-778': 'Insufficient Logging',
+    'CWE-779': 'Logging of Excessive Data',
+    'CWE-780': 'Use of RSA Algorithm without OAEP',
+    'CWE-787': 'Out-of-bounds Write',
+    'CWE-789': 'Memory Allocation with Excessive Size Value',
+    'CWE-798': 'Use of Hard-coded Credentials',
+    'CWE-799': 'Improper Control of Interaction Frequency',
+    'CWE-807': 'Reliance on Untrusted Inputs in a Security Decision',
+    'CWE-829': 'Inclusion of Functionality from Untrusted Control Sphere',
+    'CWE-830': 'Inclusion of Web Functionality from an Untrusted Source',
+    'CWE-833': 'Deadlock',
+    'CWE-834': 'Excessive Iteration',
+    'CWE-835': "Loop with Unreachable Exit Condition ('Infinite Loop')",
+    'CWE-836': 'Use of Password Hash Instead of Password for Authentication',
+    'CWE-838': 'Inappropriate Encoding for Output Context',
+    'CWE-841': 'Improper Enforcement of Behavioral Workflow',
+    'CWE-843': "Access of Resource Using Incompatible Type ('Type Confusion')",
+    'CWE-862': 'Missing Authorization',
+    'CWE-863': 'Incorrect Authorization',
+    'CWE-908': 'Use of Uninitialized Resource',
+    'CWE-912': 'Hidden Functionality',
+    'CWE-913': 'Improper Control of Dynamically-Managed Code Resources',
+    'CWE-915': 'Improperly Controlled Modification of Dynamically-Determined Object Attributes',
+    'CWE-916': 'Use of Password Hash With Insufficient Computational Effort',
+    'CWE-917': "Improper Neutralization of Special Elements used in an Expression Language Statement ('Expression Language Injection')",
+    'CWE-918': 'Server-Side Request Forgery (SSRF)',
+    'CWE-922': 'Insecure Storage of Sensitive Information',
+    'CWE-923': 'Improper Restriction of Communication Channel to Intended Endpoints',
+    'CWE-924': 'Improper Enforcement of Message Integrity During Transmission in a Communication Channel',
+    'CWE-940': 'Improper Verification of Source of a Communication Channel',
+    'CWE-942': 'Permissive Cross-domain Policy with Untrusted Domains',
+    'CWE-943': 'Improper Neutralization of Special Elements in Data Query Logic',
+    'CWE-1004': "Sensitive Cookie Without 'HttpOnly' Flag",
+    'CWE-1021': 'Improper Restriction of Rendered UI Layers or Frames',
+    'CWE-1022': 'Use of Web Link to Untrusted Target with window.opener Access',
+    'CWE-1104': 'Use of Unmaintained Third Party Components',
+    'CWE-1125': 'Excessive Attack Surface',
+    'CWE-1188': 'Initialization of a Resource with an Insecure Default',
+    'CWE-1204': 'Generation of Weak Initialization Vector (IV)',
+    'CWE-1220': 'Insufficient Granularity of Access Control',
+    'CWE-1236': 'Improper Neutralization of Formula Elements in a CSV File',
+    'CWE-1240': 'Use of a Cryptographic Primitive with a Risky Implementation',
+    'CWE-1275': 'Sensitive Cookie with Improper SameSite Attribute',
+    'CWE-1284': 'Improper Validation of Specified Quantity in Input',
+    'CWE-1287': 'Improper Validation of Specified Type of Input',
+    'CWE-1321': "Improperly Controlled Modification of Object Prototype Attributes ('Prototype Pollution')",
+    'CWE-1327': 'Binding to an Unrestricted IP Address',
+    'CWE-1333': 'Inefficient Regular Expression Complexity',
+    'CWE-1336': 'Improper Neutralization of Special Elements Used in a Template Engine',
+    'CWE-1357': 'Reliance on Insufficiently Trustworthy Component',
+    'CWE-1385': 'Missing Origin Validation in WebSockets',
+    'CWE-1390': 'Weak Authentication',
+    'CWE-1391': 'Use of Weak Credentials',
+    'CWE-1392': 'Use of Default Credentials',
+    'CWE-1393': 'Use of Default Password',
+    'CWE-1394': 'Use of Default Cryptographic Key',
+    'CWE-1395': 'Dependency on Vulnerable Third-Party Component',
+    'CWE-1426': 'Improper Validation of Generative AI Output',
+    'CWE-1427': 'Improper Neutralization of Input Used for LLM Prompting',
+};
+
+export const CAPEC_PATTERNS = {
+    'CAPEC-1': 'Accessing Functionality Not Properly Constrained by ACLs',
+    'CAPEC-6': 'Argument Injection',
+    'CAPEC-7': 'Blind SQL Injection',
+    'CAPEC-13': 'Subverting Environment Variable Values',
+    'CAPEC-16': 'Dictionary-based Password Attack',
+    'CAPEC-17': 'Using Malicious Files',
+    'CAPEC-20': 'Encryption Brute Forcing',
+    'CAPEC-21': 'Exploitation of Trusted Identifiers',
+    'CAPEC-22': 'Exploiting Trust in Client',
+    'CAPEC-23': 'File Content Injection',
+    'CAPEC-26': 'Leveraging Race Conditions',
+    'CAPEC-28': 'Fuzzing',
+    'CAPEC-29': 'Leveraging Time-of-Check and Time-of-Use (TOCTOU) Race Conditions',
+    'CAPEC-31': 'Accessing/Intercepting/Modifying HTTP Cookies',
+    'CAPEC-32': 'XSS Through HTTP Query Strings',
+    'CAPEC-33': 'HTTP Request Smuggling',
+    'CAPEC-34': 'HTTP Response Splitting',
+    'CAPEC-36': 'Using Unpublished Interfaces or Functionality',
+    'CAPEC-37': 'Retrieve Embedded Sensitive Data',
+    'CAPEC-39': 'Manipulating Opaque Client-based Data Tokens',
+    'CAPEC-49': 'Password Brute Forcing',
+    'CAPEC-50': 'Password Recovery Exploitation',
+    'CAPEC-54': 'Query System for Information',
+    'CAPEC-55': 'Rainbow Table Password Cracking',
+    'CAPEC-57': "Utilizing REST's Trust in the System Resource to Obtain Sensitive Data",
+    'CAPEC-58': 'Restful Privilege Elevation',
+    'CAPEC-59': 'Session Credential Falsification through Prediction',
+    'CAPEC-60': 'Reusing Session IDs (aka Session Replay)',
+    'CAPEC-61': 'Session Fixation',
+    'CAPEC-62': 'Cross Site Request Forgery',
+    'CAPEC-63': 'Cross-Site Scripting (XSS)',
+    'CAPEC-66': 'SQL Injection',
+    'CAPEC-69': 'Target Programs with Elevated Privileges',
+    'CAPEC-70': 'Try Common or Default Usernames and Passwords',
+    'CAPEC-75': 'Manipulating Writeable Configuration Files',
+    'CAPEC-76': 'Manipulating Web Input to File System Calls',
+    'CAPEC-77': 'Manipulating User-Controlled Variables',
+    'CAPEC-81': 'Web Server Logs Tampering',
+    'CAPEC-83': 'XPath Injection',
+    'CAPEC-86': 'XSS Through HTTP Headers',
+    'CAPEC-87': 'Forceful Browsing',
+    'CAPEC-88': 'OS Command Injection',
+    'CAPEC-89': 'Pharming',
+    'CAPEC-93': 'Log Injection-Tampering-Forging',
+    'CAPEC-94': 'Adversary in the Middle (AiTM)',
+    'CAPEC-97': 'Cryptanalysis',
+    'CAPEC-98': 'Phishing',
+    'CAPEC-100': 'Overflow Buffers',
+    'CAPEC-101': 'Server Side Include (SSI) Injection',
+    'CAPEC-102': 'Session Sidejacking',
+    'CAPEC-103': 'Clickjacking',
+    'CAPEC-107': 'Cross Site Tracing',
+    'CAPEC-109': 'Object Relational Mapping Injection',
+    'CAPEC-111': 'JSON Hijacking (aka JavaScript Hijacking)',
+    'CAPEC-112': 'Brute Force',
+    'CAPEC-113': 'Interface Manipulation',
+    'CAPEC-114': 'Authentication Abuse',
+    'CAPEC-115': 'Authentication Bypass',
+    'CAPEC-116': 'Excavation',
+    'CAPEC-117': 'Interception',
+    'CAPEC-118': 'Collect and Analyze Information',
+    'CAPEC-121': 'Exploit Non-Production Interfaces',
+    'CAPEC-122': 'Privilege Abuse',
+    'CAPEC-125': 'Flooding',
+    'CAPEC-126': 'Path Traversal',
+    'CAPEC-130': 'Excessive Allocation',
+    'CAPEC-131': 'Resource Leak Exposure',
+    'CAPEC-135': 'Format String Injection',
+    'CAPEC-136': 'LDAP Injection',
+    'CAPEC-137': 'Parameter Injection',
+    'CAPEC-148': 'Content Spoofing',
+    'CAPEC-151': 'Identity Spoofing',
+    'CAPEC-152': 'Inject Unexpected Items',
+    'CAPEC-153': 'Input Data Manipulation',
+    'CAPEC-154': 'Resource Location Spoofing',
+    'CAPEC-156': 'Engage in Deceptive Interactions',
+    'CAPEC-157': 'Sniffing Attacks',
+    'CAPEC-158': 'Sniffing Network Traffic',
+    'CAPEC-163': 'Spear Phishing',
+    'CAPEC-169': 'Footprinting',
+    'CAPEC-172': 'Manipulate Timing and State',
+    'CAPEC-175': 'Code Inclusion',
+    'CAPEC-176': 'Configuration/Environment Manipulation',
+    'CAPEC-180': 'Exploiting Incorrectly Configured Access Control Security Levels',
+    'CAPEC-184': 'Software Integrity Attack',
+    'CAPEC-185': 'Malicious Software Download',
+    'CAPEC-186': 'Malicious Software Update',
+    'CAPEC-188': 'Reverse Engineering',
+    'CAPEC-191': 'Read Sensitive Constants Within an Executable',
+    'CAPEC-192': 'Protocol Analysis',
+    'CAPEC-194': 'Fake the Source of Data',
+    'CAPEC-196': 'Session Credential Falsification through Forging',
+    'CAPEC-197': 'Exponential Data Expansion',
+    'CAPEC-204': 'Lifting Sensitive Data Embedded in Cache',
+    'CAPEC-210': 'Abuse Existing Functionality',
+    'CAPEC-212': 'Functionality Misuse',
+    'CAPEC-216': 'Communication Channel Manipulation',
+    'CAPEC-220': 'Client-Server Protocol Manipulation',
+    'CAPEC-223': 'Employ Probabilistic Techniques',
+    'CAPEC-225': 'Subvert Access Control',
+    'CAPEC-233': 'Privilege Escalation',
+    'CAPEC-240': 'Resource Injection',
+    'CAPEC-242': 'Code Injection',
+    'CAPEC-248': 'Command Injection',
+    'CAPEC-250': 'XML Injection',
+    'CAPEC-255': 'Manipulate Data Structures',
+    'CAPEC-262': 'Manipulate System Resources',
+    'CAPEC-268': 'Audit Log Manipulation',
+    'CAPEC-272': 'Protocol Manipulation',
+    'CAPEC-300': 'Port Scanning',
+    'CAPEC-310': 'Scanning for Vulnerable Software',
+    'CAPEC-416': 'Manipulate Human Behavior',
+    'CAPEC-438': 'Modification During Manufacture',
+    'CAPEC-439': 'Manipulation During Distribution',
+    'CAPEC-441': 'Malicious Logic Insertion',
+    'CAPEC-460': 'HTTP Parameter Pollution (HPP)',
+    'CAPEC-463': 'Padding Oracle Crypto Attack',
+    'CAPEC-469': 'HTTP DoS',
+    'CAPEC-473': 'Signature Spoof',
+    'CAPEC-475': 'Signature Spoofing by Improper Validation',
+    'CAPEC-482': 'TCP Flood',
+    'CAPEC-486': 'UDP Flood',
+    'CAPEC-488': 'HTTP Flood',
+    'CAPEC-489': 'SSL Flood',
+    'CAPEC-490': 'Amplification',
+    'CAPEC-492': 'Regular Expression Exponential Blowup',
+    'CAPEC-497': 'File Discovery',
+    'CAPEC-509': 'Kerberoasting',
+    'CAPEC-538': 'Open-Source Library Manipulation',
+    'CAPEC-540': 'Overread Buffers',
+    'CAPEC-549': 'Local Execution of Code',
+    'CAPEC-554': 'Functionality Bypass',
+    'CAPEC-555': 'Remote Services with Stolen Credentials',
+    'CAPEC-560': 'Use of Known Domain Credentials',
+    'CAPEC-565': 'Password Spraying',
+    'CAPEC-568': 'Capture Credentials via Keylogger',
+    'CAPEC-586': 'Object Injection',
+    'CAPEC-588': 'DOM-Based XSS',
+    'CAPEC-591': 'Reflected XSS',
+    'CAPEC-592': 'Stored XSS',
+    'CAPEC-593': 'Session Hijacking',
+    'CAPEC-600': 'Credential Stuffing',
+    'CAPEC-607': 'Obstruction',
+    'CAPEC-620': 'Drop Encryption Level',
+    'CAPEC-633': 'Token Impersonation',
+    'CAPEC-644': 'Use of Captured Hashes (Pass The Hash)',
+    'CAPEC-645': 'Use of Captured Tickets (Pass The Ticket)',
+    'CAPEC-650': 'Upload a Web Shell to a Web Server',
+    'CAPEC-653': 'Use of Known Operating System Credentials',
+    'CAPEC-664': 'Server Side Request Forgery',
+    'CAPEC-676': 'NoSQL Injection',
+    'CAPEC-695': 'Repo Jacking',
+};
+
+// Techniques and, where threat models commonly need them, sub-techniques.
+export const ATTACK_TECHNIQUES = {
+    'T1003': 'OS Credential Dumping',
+    'T1005': 'Data from Local System',
+    'T1020': 'Automated Exfiltration',
+    'T1021': 'Remote Services',
+    'T1021.004': 'Remote Services: SSH',
+    'T1027': 'Obfuscated Files or Information',
+    'T1036': 'Masquerading',
+    'T1040': 'Network Sniffing',
+    'T1041': 'Exfiltration Over C2 Channel',
+    'T1046': 'Network Service Discovery',
+    'T1048': 'Exfiltration Over Alternative Protocol',
+    'T1053': 'Scheduled Task/Job',
+    'T1053.007': 'Scheduled Task/Job: Container Orchestration Job',
+    'T1055': 'Process Injection',
+    'T1056': 'Input Capture',
+    'T1059': 'Command and Scripting Interpreter',
+    'T1059.004': 'Command and Scripting Interpreter: Unix Shell',
+    'T1059.006': 'Command and Scripting Interpreter: Python',
+    'T1059.007': 'Command and Scripting Interpreter: JavaScript',
+    'T1068': 'Exploitation for Privilege Escalation',
+    'T1069': 'Permission Groups Discovery',
+    'T1070': 'Indicator Removal',
+    'T1071': 'Application Layer Protocol',
+    'T1071.001': 'Application Layer Protocol: Web Protocols',
+    'T1072': 'Software Deployment Tools',
+    'T1074': 'Data Staged',
+    'T1078': 'Valid Accounts',
+    'T1078.001': 'Valid Accounts: Default Accounts',
+    'T1078.003': 'Valid Accounts: Local Accounts',
+    'T1078.004': 'Valid Accounts: Cloud Accounts',
+    'T1082': 'System Information Discovery',
+    'T1083': 'File and Directory Discovery',
+    'T1087': 'Account Discovery',
+    'T1090': 'Proxy',
+    'T1098': 'Account Manipulation',
+    'T1098.001': 'Account Manipulation: Additional Cloud Credentials',
+    'T1098.003': 'Account Manipulation: Additional Cloud Roles',
+    'T1105': 'Ingress Tool Transfer',
+    'T1110': 'Brute Force',
+    'T1110.001': 'Brute Force: Password Guessing',
+    'T1110.002': 'Brute Force: Password Cracking',
+    'T1110.003': 'Brute Force: Password Spraying',
+    'T1110.004': 'Brute Force: Credential Stuffing',
+    'T1111': 'Multi-Factor Authentication Interception',
+    'T1114': 'Email Collection',
+    'T1119': 'Automated Collection',
+    'T1133': 'External Remote Services',
+    'T1134': 'Access Token Manipulation',
+    'T1136': 'Create Account',
+    'T1136.003': 'Create Account: Cloud Account',
+    'T1140': 'Deobfuscate/Decode Files or Information',
+    'T1185': 'Browser Session Hijacking',
+    'T1189': 'Drive-by Compromise',
+    'T1190': 'Exploit Public-Facing Application',
+    'T1195': 'Supply Chain Compromise',
+    'T1195.001': 'Supply Chain Compromise: Compromise Software Dependencies and Development Tools',
+    'T1195.002': 'Supply Chain Compromise: Compromise Software Supply Chain',
+    'T1199': 'Trusted Relationship',
+    'T1203': 'Exploitation for Client Execution',
+    'T1204': 'User Execution',
+    'T1210': 'Exploitation of Remote Services',
+    'T1211': 'Exploitation for Defense Evasion',
+    'T1212': 'Exploitation for Credential Access',
+    'T1213': 'Data from Information Repositories',
+    'T1222': 'File and Directory Permissions Modification',
+    'T1485': 'Data Destruction',
+    'T1486': 'Data Encrypted for Impact',
+    'T1489': 'Service Stop',
+    'T1490': 'Inhibit System Recovery',
+    'T1491': 'Defacement',
+    'T1496': 'Resource Hijacking',
+    'T1498': 'Network Denial of Service',
+    'T1499': 'Endpoint Denial of Service',
+    'T1499.002': 'Endpoint Denial of Service: Service Exhaustion Flood',
+    'T1499.003': 'Endpoint Denial of Service: Application Exhaustion Flood',
+    'T1499.004': 'Endpoint Denial of Service: Application or System Exploitation',
+    'T1505': 'Server Software Component',
+    'T1505.003': 'Server Software Component: Web Shell',
+    'T1518': 'Software Discovery',
+    'T1525': 'Implant Internal Image',
+    'T1526': 'Cloud Service Discovery',
+    'T1528': 'Steal Application Access Token',
+    'T1530': 'Data from Cloud Storage',
+    'T1531': 'Account Access Removal',
+    'T1537': 'Transfer Data to Cloud Account',
+    'T1538': 'Cloud Service Dashboard',
+    'T1539': 'Steal Web Session Cookie',
+    'T1543': 'Create or Modify System Process',
+    'T1548': 'Abuse Elevation Control Mechanism',
+    'T1550': 'Use Alternate Authentication Material',
+    'T1550.001': 'Use Alternate Authentication Material: Application Access Token',
+    'T1550.004': 'Use Alternate Authentication Material: Web Session Cookie',
+    'T1552': 'Unsecured Credentials',
+    'T1552.001': 'Unsecured Credentials: Credentials In Files',
+    'T1552.004': 'Unsecured Credentials: Private Keys',
+    'T1552.005': 'Unsecured Credentials: Cloud Instance Metadata API',
+    'T1552.007': 'Unsecured Credentials: Container API',
+    'T1553': 'Subvert Trust Controls',
+    'T1555': 'Credentials from Password Stores',
+    'T1556': 'Modify Authentication Process',
+    'T1557': 'Adversary-in-the-Middle',
+    'T1558': 'Steal or Forge Kerberos Tickets',
+    'T1562': 'Impair Defenses',
+    'T1562.001': 'Impair Defenses: Disable or Modify Tools',
+    'T1562.008': 'Impair Defenses: Disable or Modify Cloud Logs',
+    'T1563': 'Remote Service Session Hijacking',
+    'T1565': 'Data Manipulation',
+    'T1565.001': 'Data Manipulation: Stored Data Manipulation',
+    'T1565.002': 'Data Manipulation: Transmitted Data Manipulation',
+    'T1566': 'Phishing',
+    'T1566.002': 'Phishing: Spearphishing Link',
+    'T1567': 'Exfiltration Over Web Service',
+    'T1567.002': 'Exfiltration Over Web Service: Exfiltration to Cloud Storage',
+    'T1570': 'Lateral Tool Transfer',
+    'T1572': 'Protocol Tunneling',
+    'T1573': 'Encrypted Channel',
+    'T1574': 'Hijack Execution Flow',
+    'T1578': 'Modify Cloud Compute Infrastructure',
+    'T1580': 'Cloud Infrastructure Discovery',
+    'T1589': 'Gather Victim Identity Information',
+    'T1590': 'Gather Victim Network Information',
+    'T1595': 'Active Scanning',
+    'T1598': 'Phishing for Information',
+    'T1599': 'Network Boundary Bridging',
+    'T1600': 'Weaken Encryption',
+    'T1602': 'Data from Configuration Repository',
+    'T1606': 'Forge Web Credentials',
+    'T1606.001': 'Forge Web Credentials: Web Cookies',
+    'T1606.002': 'Forge Web Credentials: SAML Tokens',
+    'T1609': 'Container Administration Command',
+    'T1610': 'Deploy Container',
+    'T1611': 'Escape to Host',
+    'T1612': 'Build Image on Host',
+    'T1613': 'Container and Resource Discovery',
+    'T1619': 'Cloud Storage Object Discovery',
+    'T1621': 'Multi-Factor Authentication Request Generation',
+    'T1648': 'Serverless Execution',
+    'T1649': 'Steal or Forge Authentication Certificates',
+    'T1651': 'Cloud Administration Command',
+    'T1656': 'Impersonation',
+    'T1659': 'Content Injection',
+};
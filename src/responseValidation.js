@@ -0,0 +1,115 @@
+import { validateSchema } from './schemaValidation';
+import { unverifiedReferences } from './threatReferences';
+
+// --- RESPONSE VALIDATION ---
+// Models do not always honour the response schema: a threat without a
+// severity, a severity of "Severe", a component that is none of the assets, a
+// CWE id that does not exist.
+// Each answer is checked against the schema it was asked for. If anything is
+// wrong the model gets one chance to correct its own answer (see
+// buildRepairPrompt); whatever is still wrong after that is dropped or kept
+// with a warning by salvageResponse, so the dashboard only ever receives
+// well-formed threats.
+
+const MAX_LISTED_ERRORS = 20;
+
+const normalize = (text = '') => String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Threat components must name an asset, or at least an endpoint of a data flow.
+const knownComponents = (value) => new Set([
+    ...(Array.isArray(value.assets) ? value.assets : []),
+    ...(Array.isArray(value.dataFlows) ? value.dataFlows.flatMap(f => [f?.source, f?.destination]) : []),
+].filter(name => typeof name === 'string').map(normalize));
+
+const componentErrors = (value) => {
+    if (!Array.isArray(value.threats)) return [];
+    const components = knownComponents(value);
+    return value.threats.flatMap((threat, i) => (
+        typeof threat?.component === 'string' && !components.has(normalize(threat.component))
+            ? [`threats[${i}].component: "${threat.component}" is not one of the assets`]
+            : []
+    ));
+};
+
+const problem = (reference) => (reference.wellFormed ? `is not in the bundled ${reference.label} catalog` : `is not a valid ${reference.label} id`);
+
+const referenceErrors = (value) => {
+    if (!Array.isArray(value.threats)) return [];
+    return value.threats.flatMap((threat, i) => (
+        threat && typeof threat === 'object'
+            ? unverifiedReferences(threat).map(r => `threats[${i}].${r.type}: "${r.id}" ${problem(r)}`)
+            : []
+    ));
+};
+
+// Parses the model's text and returns `{ value, errors }`; `value` is null when
+// the text is not JSON at all.
+export const checkResponse = (text, schema) => {
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (e) {
+        return { value: null, errors: [`The answer is not valid JSON: ${e.message}`] };
+    }
+    const errors = validateSchema(value, schema);
+    if (value && typeof value === 'object' && !Array.isArray(value)) errors.push(...componentErrors(value), ...referenceErrors(value));
+    return { value, errors };
+};
+
+// The repair request carries the previous answer and what is wrong with it,
+// not the artifacts again, so it stays well within the context window.
+export const buildRepairPrompt = (text, errors) => {
+    const listed = errors.slice(0, MAX_LISTED_ERRORS);
+    if (errors.length > listed.length) listed.push(`…and ${errors.length - listed.length} more`);
+    return `
+    Your previous answer was supposed to be a threat model matching the provided JSON schema, but it has these problems:
+    ${listed.map(error => `- ${error}`).join('\n    ')}
+
+    **Previous answer:**
+    ${text}
+
+    Return the corrected threat model. Keep every asset, data flow and threat that was already valid. Fill in missing fields from the rest of the threat's description, use only the allowed values, set each threat's component to one of the assets (add the asset if it is genuinely missing), and replace or remove identifiers that do not exist.
+
+    You must return ONLY a single valid JSON object matching the provided schema. Do not include any other text, explanations, or markdown formatting like \`\`\`json.
+    `;
+};
+
+const quote = (text) => {
+    const value = String(text ?? '');
+    return value.length > 60 ? `"${value.slice(0, 57)}…"` : `"${value}"`;
+};
+
+// Keeps the valid part of an answer that still fails validation. Returns
+// `{ response, warnings }`: list items that break the schema are dropped, and
+// threats on an unknown component or citing an unknown id are kept, each with
+// a warning.
+export const salvageResponse = (value, schema) => {
+    const warnings = [];
+    const listOf = (key) => {
+        if (value[key] === undefined) return [];
+        if (Array.isArray(value[key])) return value[key];
+        warnings.push(`The model returned ${key} that is not a list; it was ignored.`);
+        return [];
+    };
+    const keepValid = (key, describe) => listOf(key).filter((item, i) => {
+        const errors = validateSchema(item, schema.properties[key].items, `${key}[${i}]`);
+        if (errors.length > 0) warnings.push(`${describe(item, i)} was dropped (${errors.join('; ')}).`);
+        return errors.length === 0;
+    });
+
+    const response = {
+        assets: keepValid('assets', (asset, i) => `Asset ${i + 1}`),
+        dataFlows: keepValid('dataFlows', (flow, i) => `Data flow ${i + 1} (${flow?.source ?? '?'} → ${flow?.destination ?? '?'})`),
+        threats: keepValid('threats', (threat, i) => `Threat ${i + 1} ${quote(threat?.threat)}`),
+    };
+    const components = knownComponents(response);
+    response.threats.forEach(threat => {
+        if (!components.has(normalize(threat.component))) {
+            warnings.push(`Threat ${quote(threat.threat)} is on "${threat.component}", which is not one of the assets.`);
+        }
+        unverifiedReferences(threat).forEach(r => {
+            warnings.push(`Threat ${quote(threat.threat)} cites ${r.label} "${r.id}", which ${problem(r)}; it is shown as unverified.`);
+        });
+    });
+    return { response, warnings };
+};
@@ -0,0 +1,154 @@
+// --- RISK SCORING ---
+// A threat's severity follows from a 0-10 score, not the other way round. The
+// score comes from one of two methods:
+//
+// - DREAD (the default, and what the model is asked for): damage,
+//   reproducibility, exploitability, affected users and discoverability, each
+//   0-10. The score is their average.
+// - CVSS v3.1 base metrics, entered as a vector such as
+//   `CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H`, scored with the
+//   specification's base score formula.
+//
+// Either way the threat also gets a likelihood and an impact from 1 to 5 for
+// the risk matrix. Threats without factors (rule findings, imports, models
+// saved before scoring existed) are scored from their severity label.
+
+export const RISK_METHODS = { dread: 'DREAD', cvss: 'CVSS v3.1' };
+
+export const DREAD_FACTORS = [
+    { id: 'damage', label: 'Damage', hint: 'How bad is a successful attack?' },
+    { id: 'reproducibility', label: 'Reproducibility', hint: 'How reliably can it be repeated?' },
+    { id: 'exploitability', label: 'Exploitability', hint: 'How little effort and skill does it take?' },
+    { id: 'affectedUsers', label: 'Affected users', hint: 'How many users or systems are affected?' },
+    { id: 'discoverability', label: 'Discoverability', hint: 'How easy is it to find?' },
+];
+
+const DREAD_LIKELIHOOD = ['reproducibility', 'exploitability', 'discoverability'];
+const DREAD_IMPACT = ['damage', 'affectedUsers'];
+
+// Factors that reproduce a severity label's score exactly.
+const SEVERITY_DEFAULTS = { 'Critical': 9, 'High': 7, 'Medium': 5, 'Low': 2 };
+
+// The CVSS qualitative scale, also used for DREAD scores.
+export const severityForScore = (score) => {
+    if (score >= 9) return 'Critical';
+    if (score >= 7) return 'High';
+    if (score >= 4) return 'Medium';
+    return 'Low';
+};
+
+export const defaultDread = (severity) => {
+    const value = SEVERITY_DEFAULTS[severity] ?? SEVERITY_DEFAULTS.Medium;
+    return Object.fromEntries(DREAD_FACTORS.map(f => [f.id, value]));
+};
+
+const clampFactor = (value) => Math.min(10, Math.max(0, Math.round(Number(value) || 0)));
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const oneDecimal = (value) => Math.round(value * 10) / 10;
+
+// Maps a 0-10 value onto the matrix's five bands.
+const band = (value) => Math.min(5, Math.max(1, Math.ceil(value / 2)));
+
+const scoreDread = (dread) => {
+    const factors = Object.fromEntries(DREAD_FACTORS.map(f => [f.id, clampFactor(dread[f.id])]));
+    return {
+        score: oneDecimal(average(Object.values(factors))),
+        likelihood: band(average(DREAD_LIKELIHOOD.map(id => factors[id]))),
+        impact: band(average(DREAD_IMPACT.map(id => factors[id]))),
+    };
+};
+
+// --- CVSS v3.1 ---
+
+export const CVSS_METRICS = [
+    { id: 'AV', label: 'Attack Vector', values: { N: 'Network', A: 'Adjacent', L: 'Local', P: 'Physical' } },
+    { id: 'AC', label: 'Attack Complexity', values: { L: 'Low', H: 'High' } },
+    { id: 'PR', label: 'Privileges Required', values: { N: 'None', L: 'Low', H: 'High' } },
+    { id: 'UI', label: 'User Interaction', values: { N: 'None', R: 'Required' } },
+    { id: 'S', label: 'Scope', values: { U: 'Unchanged', C: 'Changed' } },
+    { id: 'C', label: 'Confidentiality', values: { H: 'High', L: 'Low', N: 'None' } },
+    { id: 'I', label: 'Integrity', values: { H: 'High', L: 'Low', N: 'None' } },
+    { id: 'A', label: 'Availability', values: { H: 'High', L: 'Low', N: 'None' } },
+];
+
+const WEIGHTS = {
+    AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+    AC: { L: 0.77, H: 0.44 },
+    PR: { N: 0.85, L: 0.62, H: 0.27 },
+    // Privileges count for more when the attack can reach beyond the vulnerable component.
+    PR_CHANGED: { N: 0.85, L: 0.68, H: 0.5 },
+    UI: { N: 0.85, R: 0.62 },
+    CIA: { H: 0.56, L: 0.22, N: 0 },
+};
+
+// The highest impact subscore (scope changed, C/I/A all high), for banding.
+const MAX_IMPACT = 6.05;
+const MAX_EXPLOITABILITY = 8.22 * 0.85 * 0.77 * 0.85 * 0.85;
+
+const CVSS_PREFIX = /^CVSS:3\.[01]\//;
+
+// Returns `{ AV: 'N', ... }` with all eight base metrics, or null.
+export const parseCvssVector = (vector) => {
+    if (typeof vector !== 'string' || !CVSS_PREFIX.test(vector)) return null;
+    const metrics = {};
+    for (const part of vector.replace(CVSS_PREFIX, '').split('/')) {
+        const [id, value] = part.split(':');
+        const metric = CVSS_METRICS.find(m => m.id === id);
+        if (!metric || !(value in metric.values) || id in metrics) return null;
+        metrics[id] = value;
+    }
+    return CVSS_METRICS.every(m => m.id in metrics) ? metrics : null;
+};
+
+export const formatCvssVector = (metrics) => `CVSS:3.1/${CVSS_METRICS.map(m => `${m.id}:${metrics[m.id]}`).join('/')}`;
+
+export const DEFAULT_CVSS_VECTOR = 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:L/I:L/A:N';
+
+// The specification's Roundup, which avoids floating point surprises.
+const roundUp = (value) => {
+    const integer = Math.round(value * 100000);
+    return integer % 10000 === 0 ? integer / 100000 : (Math.floor(integer / 10000) + 1) / 10;
+};
+
+const scoreCvss = (metrics) => {
+    const changed = metrics.S === 'C';
+    const iss = 1 - (1 - WEIGHTS.CIA[metrics.C]) * (1 - WEIGHTS.CIA[metrics.I]) * (1 - WEIGHTS.CIA[metrics.A]);
+    const impact = changed ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15) : 6.42 * iss;
+    const exploitability = 8.22 * WEIGHTS.AV[metrics.AV] * WEIGHTS.AC[metrics.AC]
+        * (changed ? WEIGHTS.PR_CHANGED : WEIGHTS.PR)[metrics.PR] * WEIGHTS.UI[metrics.UI];
+    const score = impact <= 0 ? 0 : roundUp(Math.min((changed ? 1.08 : 1) * (impact + exploitability), 10));
+    return {
+        score,
+        likelihood: band((exploitability / MAX_EXPLOITABILITY) * 10),
+        impact: band((Math.max(0, impact) / MAX_IMPACT) * 10),
+    };
+};
+
+// --- Threats ---
+
+// `{ method, score, likelihood, impact, severity }` for any threat.
+export const scoreThreat = (threat) => {
+    const cvss = threat.riskMethod === 'cvss' ? parseCvssVector(threat.cvss) : null;
+    const result = cvss
+        ? { method: 'cvss', ...scoreCvss(cvss) }
+        : { method: 'dread', ...scoreDread(threat.dread || defaultDread(threat.severity)) };
+    return { ...result, severity: severityForScore(result.score) };
+};
+
+// Fills in DREAD factors from the severity where the model or an import left
+// them out, and makes the severity agree with the score.
+export const withRisk = (threat) => {
+    const scored = {
+        riskMethod: 'dread',
+        ...threat,
+        dread: threat.dread ? Object.fromEntries(DREAD_FACTORS.map(f => [f.id, clampFactor(threat.dread[f.id])])) : defaultDread(threat.severity),
+    };
+    return { ...scored, severity: scoreThreat(scored).severity };
+};
+
+// Applies edited factors, a new vector or a switch of method, and rescores.
+export const updateRisk = (threat, changes) => withRisk({ ...threat, ...changes });
+
+export const byScore = (a, b) => scoreThreat(b).score - scoreThreat(a).score;
@@ -0,0 +1,405 @@
+import { extractInfrastructure, parseManifests, parseTerraform } from './iacParsers';
+
+// --- STATIC RULE ENGINE ---
+// Deterministic checks for well-known misconfigurations, run on the uploaded
+// artifacts next to the model. A hit becomes an ordinary threat (STRIDE
+// category, severity, component, mitigation) tagged `source: 'rule'` with the
+// rule's id and the file and line it was found at, so the same upload always
+// yields the same rule findings.
+//
+// A rule is `{ id, title, category, severity, cwe, capec, attack, asvs, nist,
+// iso27001, mitigation, codeSnippet, check }`; `cwe`, `capec` and `attack` list
+// the ids findings cite, `asvs`, `nist` and `iso27001` the controls the
+// mitigation implements.
+// `check(context)` returns findings `{ message, component, file, line, severity? }`;
+// the context holds the text `files`, the parsed `terraform` blocks and YAML/JSON
+// `manifests`, the extracted `infrastructure` and an `assetFor` lookup.
+// Add a rule by appending it to RULES or by passing `rules` to runRules.
+
+const WORKLOAD_KINDS = ['Deployment', 'StatefulSet', 'DaemonSet', 'ReplicaSet', 'Job', 'CronJob', 'Pod'];
+const OPEN_CIDRS = ['0.0.0.0/0', '::/0'];
+// Remote administration and data store ports should never face the internet.
+const SENSITIVE_PORTS = [22, 23, 135, 445, 1433, 2375, 2379, 3306, 3389, 5432, 5900, 6379, 9200, 11211, 27017];
+const WEB_PORTS = [80, 443];
+
+const lineAt = (text, offset) => text.slice(0, offset).split('\n').length;
+
+// The line of the first match at or after `fromLine`, or `fromLine` itself.
+const lineOf = (content, pattern, fromLine = 1) => {
+    const from = fromLine > 1 ? content.split('\n').slice(0, fromLine - 1).join('\n').length + 1 : 0;
+    const match = pattern.exec(content.slice(from));
+    return match ? lineAt(content, from + match.index) : fromLine;
+};
+
+const resources = (context, ...types) => context.terraform.filter(({ block }) => block.type === 'resource' && types.includes(block.labels[0]));
+
+const stringsIn = (value) => [value].flat(Infinity).filter(v => typeof v === 'string');
+
+// --- Rules ---
+
+const publicS3Acl = {
+    id: 'public-s3-acl',
+    title: 'Public S3 bucket ACL',
+    category: 'Information Disclosure',
+    severity: 'High',
+    cwe: ['CWE-732'],
+    capec: ['CAPEC-1'],
+    attack: ['T1530'],
+    asvs: ['V4.1.3'],
+    nist: ['AC-3', 'AC-6'],
+    iso27001: ['A.8.3', 'A.5.15'],
+    mitigation: 'Remove public canned ACLs, enable S3 Block Public Access on the bucket and account, and serve public content through CloudFront with origin access control.',
+    codeSnippet: 'resource "aws_s3_bucket_public_access_block" "this" {\n  bucket                  = aws_s3_bucket.this.id\n  block_public_acls       = true\n  block_public_policy     = true\n  ignore_public_acls      = true\n  restrict_public_buckets = true\n}',
+    check: (context) => resources(context, 'aws_s3_bucket', 'aws_s3_bucket_acl')
+        .filter(({ block }) => /^(public-read|public-read-write|authenticated-read)$/.test(block.attributes.acl || ''))
+        .map(({ file, block }) => {
+            const bucket = block.labels[0] === 'aws_s3_bucket'
+                ? `aws_s3_bucket.${block.labels[1]}`
+                : String(block.attributes.bucket || '').match(/aws_s3_bucket\.[\w-]+/)?.[0];
+            return {
+                message: `The S3 bucket is created with the "${block.attributes.acl}" canned ACL, so ${block.attributes.acl === 'public-read-write' ? 'anyone can read and overwrite its objects' : 'its objects can be listed and read from outside the account'}.`,
+                component: context.assetFor(bucket) || bucket || block.labels[1],
+                file,
+                line: lineOf(context.contentOf(file), /\bacl\s*=/, block.line),
+                severity: block.attributes.acl === 'public-read-write' ? 'Critical' : 'High',
+            };
+        }),
+};
+
+const portSeverity = ({ fromPort, toPort, protocol }) => {
+    const from = fromPort ?? 0;
+    const to = toPort ?? 65535;
+    if (String(protocol) === '-1' || (from <= 0 && to >= 65535)) return 'High';
+    if (SENSITIVE_PORTS.some(port => port >= from && port <= to)) return 'High';
+    if (WEB_PORTS.includes(from) && from === to) return 'Low';
+    return 'Medium';
+};
+
+const describePorts = ({ fromPort, toPort, protocol }) => {
+    if (String(protocol) === '-1') return 'all ports';
+    if (fromPort === toPort) return `port ${fromPort}`;
+    return `ports ${fromPort ?? 0}-${toPort ?? 65535}`;
+};
+
+const openIngress = {
+    id: 'open-ingress',
+    title: 'Ingress open to 0.0.0.0/0',
+    category: 'Elevation of Privilege',
+    severity: 'Medium',
+    cwe: ['CWE-284'],
+    capec: ['CAPEC-300'],
+    attack: ['T1133', 'T1190'],
+    asvs: [],
+    nist: ['SC-7', 'AC-17'],
+    iso27001: ['A.8.20', 'A.8.22'],
+    mitigation: 'Restrict ingress to known CIDR ranges or to other security groups, and reach administrative ports through a bastion host, VPN or SSM Session Manager instead of the internet.',
+    codeSnippet: 'ingress {\n  from_port       = 5432\n  to_port         = 5432\n  protocol        = "tcp"\n  security_groups = [aws_security_group.app.id]\n}',
+    check: (context) => {
+        const findings = [];
+        const exposedAssets = (group) => context.terraform
+            .filter(({ block }) => block.type === 'resource' && block.source.includes(`aws_security_group.${group}.`))
+            .map(({ block }) => context.assetFor(`${block.labels[0]}.${block.labels[1]}`))
+            .filter(Boolean);
+        const report = (file, line, group, rule, cidrs) => {
+            const ports = { fromPort: Number(rule.from_port ?? NaN), toPort: Number(rule.to_port ?? NaN), protocol: rule.protocol ?? rule.ip_protocol };
+            ['fromPort', 'toPort'].forEach(key => {
+                if (Number.isNaN(ports[key])) ports[key] = null;
+            });
+            const assets = group ? exposedAssets(group) : [];
+            findings.push({
+                message: `${group ? `Security group "${group}"` : 'A security group rule'} allows inbound traffic on ${describePorts(ports)} from ${cidrs.join(' and ')}${assets.length ? `, exposing ${assets.join(', ')}` : ''}.`,
+                component: assets[0] || (group ? `Security Group ${group}` : file),
+                file,
+                line,
+                severity: portSeverity(ports),
+            });
+        };
+        resources(context, 'aws_security_group').forEach(({ file, block }) => {
+            block.blocks.filter(b => b.type === 'ingress').forEach(ingress => {
+                const cidrs = stringsIn([ingress.attributes.cidr_blocks, ingress.attributes.ipv6_cidr_blocks]).filter(c => OPEN_CIDRS.includes(c));
+                if (cidrs.length > 0) report(file, ingress.line, block.labels[1], ingress.attributes, cidrs);
+            });
+        });
+        resources(context, 'aws_security_group_rule', 'aws_vpc_security_group_ingress_rule').forEach(({ file, block }) => {
+            if (block.labels[0] === 'aws_security_group_rule' && block.attributes.type !== 'ingress') return;
+            const { attributes } = block;
+            const cidrs = stringsIn([attributes.cidr_blocks, attributes.ipv6_cidr_blocks, attributes.cidr_ipv4, attributes.cidr_ipv6]).filter(c => OPEN_CIDRS.includes(c));
+            const group = String(attributes.security_group_id || '').match(/aws_security_group\.([\w-]+)/)?.[1];
+            if (cidrs.length > 0) report(file, block.line, group, attributes, cidrs);
+        });
+        return findings;
+    },
+};
+
+const SECRET_PATTERNS = [
+    { name: 'AWS access key ID', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, severity: 'Critical' },
+    { name: 'private key', pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----/g, severity: 'Critical' },
+    { name: 'Stripe live secret key', pattern: /\b[sr]k_live_[0-9A-Za-z]{16,}\b/g, severity: 'Critical' },
+    { name: 'GitHub token', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g, severity: 'High' },
+    { name: 'Slack token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g, severity: 'High' },
+    { name: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g, severity: 'High' },
+    {
+        name: 'credential',
+        pattern: /\b(?<variable>[\w.-]*(?:password|passwd|pwd|secret|api[_-]?key|access[_-]?key|auth[_-]?token|client[_-]?secret)[\w.-]*)["']?\s*[:=]\s*["'](?<value>[^"'\s]{8,})["']/gi,
+        severity: 'High',
+        // References, templates and obvious placeholders are not secrets.
+        ignore: /^(\$\{|\{\{|<.*>$|%|process\.env|env\(|var\.|os\.environ)|example|changeme|placeholder|dummy|your[_-]|x{4,}|\*{4,}|redacted/i,
+    },
+];
+
+const hardcodedSecrets = {
+    id: 'hardcoded-secret',
+    title: 'Hardcoded secret',
+    category: 'Information Disclosure',
+    severity: 'High',
+    cwe: ['CWE-798'],
+    capec: ['CAPEC-191'],
+    attack: ['T1552.001'],
+    asvs: ['V2.10.4', 'V6.4.1'],
+    nist: ['IA-5(7)', 'SC-12'],
+    iso27001: ['A.5.17', 'A.8.28'],
+    mitigation: 'Remove the secret from the source, rotate it (it is in the repository history), and load it at runtime from a secrets manager or the deployment environment.',
+    codeSnippet: 'const apiKey = process.env.PAYMENT_API_KEY;\nif (!apiKey) throw new Error("PAYMENT_API_KEY is not set");',
+    check: (context) => context.files.flatMap(({ name, content }) => {
+        const seen = new Set();
+        return SECRET_PATTERNS.flatMap(({ name: kind, pattern, severity, ignore }) => [...content.matchAll(pattern)]
+            .filter(match => !ignore || !ignore.test(match.groups.value))
+            .map(match => ({ match, line: lineAt(content, match.index) }))
+            // A line already reported for a specific key type is not reported again as a generic credential.
+            .filter(({ line }) => {
+                if (seen.has(line)) return false;
+                seen.add(line);
+                return true;
+            })
+            .map(({ match, line }) => ({
+                // Findings are saved and exported, SARIF to code-scanning services, so the
+                // message names the variable and the place but no part of the value.
+                message: `${match.groups ? `A hardcoded value is assigned to \`${match.groups.variable}\`` : `${/^[AEIOU]/i.test(kind) ? 'An' : 'A'} ${kind} is hardcoded`} in ${name} at line ${line}. Anyone who can read the repository, an image layer or a build artifact can use it.`,
+                component: context.assetIn(name) || name,
+                file: name,
+                line,
+                severity,
+            })));
+    }),
+};
+
+const PLAINTEXT_CONNECTION = /\b(sslmode=(?:disable|allow)|useSSL=false|ssl=false|encrypt=false|tls=false)\b/gi;
+const LOCAL_HOST = /^https?:\/\/(localhost|127\.|0\.0\.0\.0|\[::1\])/i;
+
+const missingTls = {
+    id: 'missing-tls',
+    title: 'Traffic without TLS',
+    category: 'Information Disclosure',
+    severity: 'Medium',
+    cwe: ['CWE-319'],
+    capec: ['CAPEC-157'],
+    attack: ['T1040', 'T1557'],
+    asvs: ['V9.1.1', 'V9.2.2'],
+    nist: ['SC-8', 'SC-13'],
+    iso27001: ['A.8.24', 'A.8.20'],
+    mitigation: 'Serve and connect only over TLS: redirect HTTP listeners to HTTPS, add a TLS section to every Ingress, and require encrypted database connections (for example sslmode=verify-full).',
+    codeSnippet: 'default_action {\n  type = "redirect"\n  redirect {\n    port        = "443"\n    protocol    = "HTTPS"\n    status_code = "HTTP_301"\n  }\n}',
+    check: (context) => {
+        const findings = [];
+        resources(context, 'aws_lb_listener', 'aws_alb_listener').forEach(({ file, block }) => {
+            const redirects = block.blocks.some(b => b.type === 'default_action' && b.attributes.type === 'redirect');
+            if (block.attributes.protocol !== 'HTTP' || redirects) return;
+            const lb = String(block.attributes.load_balancer_arn || '').match(/aws_a?lb\.[\w-]+/)?.[0];
+            findings.push({
+                message: `Load balancer listener "${block.labels[1]}" accepts plain HTTP on port ${block.attributes.port ?? 80} without redirecting to HTTPS.`,
+                component: context.assetFor(lb) || lb || block.labels[1],
+                file,
+                line: block.line,
+            });
+        });
+        context.infrastructure.resources.filter(r => r.format === 'kubernetes' && r.kind === 'Ingress' && !r.details.tls).forEach(r => findings.push({
+            message: `Ingress "${r.name}"${r.details.hosts.length ? ` for ${r.details.hosts.join(', ')}` : ''} has no TLS section, so clients reach it over plain HTTP.`,
+            component: r.details.routesTo[0] || `Ingress ${r.name}`,
+            file: r.file,
+            line: r.line,
+        }));
+        context.infrastructure.resources.filter(r => r.format === 'openapi').forEach(r => r.details.servers
+            .filter(url => /^http:\/\//i.test(url) && !LOCAL_HOST.test(url))
+            .forEach(url => findings.push({
+                message: `The API "${r.name}" is served from ${url} without TLS.`,
+                component: r.asset,
+                file: r.file,
+                line: lineOf(context.contentOf(r.file), new RegExp(url.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')), r.line),
+            })));
+        context.files.forEach(({ name, content }) => [...content.matchAll(PLAINTEXT_CONNECTION)].forEach(match => findings.push({
+            message: `A connection setting in ${name} disables TLS (${match[1]}), so credentials and data cross the network in clear text.`,
+            component: context.assetIn(name) || name,
+            file: name,
+            line: lineAt(content, match.index),
+        })));
+        return findings;
+    },
+};
+
+const IAM_POLICY_TYPES = ['aws_iam_policy', 'aws_iam_role_policy', 'aws_iam_user_policy', 'aws_iam_group_policy'];
+
+const wildcardActions = (actions) => stringsIn(actions).filter(action => action === '*' || /:\*$/.test(action));
+
+// Statements of a JSON policy document; `null` when the text is not JSON.
+const policyStatements = (text) => {
+    try {
+        const policy = typeof text === 'string' ? JSON.parse(text) : text;
+        return [policy?.Statement].flat().filter(s => s && typeof s === 'object');
+    } catch {
+        return null;
+    }
+};
+
+const wildcardIam = {
+    id: 'wildcard-iam',
+    title: 'Wildcard IAM actions',
+    category: 'Elevation of Privilege',
+    severity: 'High',
+    cwe: ['CWE-269'],
+    capec: ['CAPEC-122'],
+    attack: ['T1078.004', 'T1098.003'],
+    asvs: ['V4.1.3'],
+    nist: ['AC-6', 'AC-2'],
+    iso27001: ['A.8.2', 'A.5.15'],
+    mitigation: 'Grant only the specific actions each principal needs on the specific resources it uses; generate the list from access logs with IAM Access Analyzer.',
+    codeSnippet: '{\n  "Effect": "Allow",\n  "Action": ["s3:GetObject", "s3:PutObject"],\n  "Resource": "arn:aws:s3:::app-uploads/*"\n}',
+    check: (context) => {
+        const findings = [];
+        const report = (file, line, component, actions) => findings.push({
+            message: `The policy allows ${actions.map(a => `"${a}"`).join(', ')}, granting every ${actions.includes('*') ? 'action on every service' : 'action of the service'} instead of the ones needed.`,
+            component,
+            file,
+            line,
+            severity: actions.includes('*') ? 'Critical' : 'High',
+        });
+        const allowed = (statements) => wildcardActions(statements.filter(s => s.Effect !== 'Deny').flatMap(s => s.Action));
+
+        resources(context, ...IAM_POLICY_TYPES).forEach(({ file, block }) => {
+            const component = `IAM policy ${block.labels[1]}`;
+            const statements = policyStatements(block.attributes.policy);
+            // jsonencode(...) and other expressions are scanned as text.
+            const actions = statements ? allowed(statements) : wildcardActions(
+                [...String(block.attributes.policy || '').matchAll(/\bAction\s*[=:]\s*(\[[^\]]*\]|"[^"]*")/g)]
+                    .flatMap(m => [...m[1].matchAll(/"([^"]*)"/g)].map(a => a[1])),
+            );
+            if (actions.length > 0) report(file, lineOf(context.contentOf(file), /\bAction\b/, block.line), component, [...new Set(actions)]);
+        });
+        context.terraform
+            .filter(({ block }) => block.type === 'data' && block.labels[0] === 'aws_iam_policy_document')
+            .forEach(({ file, block }) => block.blocks
+                .filter(b => b.type === 'statement' && b.attributes.effect !== 'Deny')
+                .forEach(statement => {
+                    const actions = wildcardActions(statement.attributes.actions);
+                    if (actions.length > 0) report(file, statement.line, `IAM policy ${block.labels[1]}`, actions);
+                }));
+        context.manifests.forEach(({ file, value, line }) => {
+            const statements = value.Statement ? policyStatements(value) : null;
+            const actions = statements ? allowed(statements) : [];
+            if (actions.length > 0) report(file, lineOf(context.contentOf(file), /"Action"/, line), file, [...new Set(actions)]);
+        });
+        return findings;
+    },
+};
+
+const privilegedContainers = {
+    id: 'privileged-container',
+    title: 'Privileged container',
+    category: 'Elevation of Privilege',
+    severity: 'High',
+    cwe: ['CWE-250'],
+    capec: ['CAPEC-233'],
+    attack: ['T1611'],
+    asvs: [],
+    nist: ['CM-7', 'AC-6', 'SC-39'],
+    iso27001: ['A.8.9', 'A.8.2'],
+    mitigation: 'Drop privileged mode; grant only the specific Linux capabilities the workload needs, run as a non-root user and enforce the "restricted" Pod Security Standard on the namespace.',
+    codeSnippet: 'securityContext:\n  privileged: false\n  allowPrivilegeEscalation: false\n  runAsNonRoot: true\n  capabilities:\n    drop: ["ALL"]',
+    check: (context) => {
+        const findings = [];
+        context.manifests.filter(({ value }) => WORKLOAD_KINDS.includes(value.kind)).forEach(({ file, value, line }) => {
+            const spec = value.kind === 'Pod' ? value.spec
+                : value.kind === 'CronJob' ? value.spec?.jobTemplate?.spec?.template?.spec
+                    : value.spec?.template?.spec;
+            [...(spec?.containers || []), ...(spec?.initContainers || [])]
+                .filter(c => c.securityContext?.privileged === true)
+                .forEach(c => findings.push({
+                    message: `Container "${c.name}" of ${value.kind} "${value.metadata?.name}" runs privileged, with full access to the node's devices and kernel; escaping it compromises the node.`,
+                    component: value.metadata?.name,
+                    file,
+                    line: lineOf(context.contentOf(file), /privileged:\s*true/, line),
+                }));
+        });
+        context.infrastructure.resources.filter(r => r.format === 'compose' && r.details.privileged).forEach(r => findings.push({
+            message: `Compose service "${r.name}" runs privileged, with full access to the host's devices and kernel.`,
+            component: r.asset,
+            file: r.file,
+            line: lineOf(context.contentOf(r.file), new RegExp(`^\\s*${r.name}:\\s*$`, 'm')),
+        }));
+        return findings;
+    },
+};
+
+export const RULES = [publicS3Acl, openIngress, hardcodedSecrets, missingTls, wildcardIam, privilegedContainers];
+
+// --- Running ---
+
+const extensionOf = (name) => (name.match(/\.([^./]+)$/)?.[1] || '').toLowerCase();
+
+const buildContext = async (files, infrastructure) => {
+    const text = files.filter(f => (f.kind === undefined || f.kind === 'text') && typeof f.content === 'string');
+    const manifests = await parseManifests(text.filter(f => ['yaml', 'yml', 'json'].includes(extensionOf(f.name))));
+    const assets = new Map(infrastructure.resources
+        .filter(r => r.format === 'terraform' && r.asset)
+        .map(r => [`${r.kind}.${r.name}`, r.asset]));
+    return {
+        files: text,
+        terraform: text
+            .filter(f => extensionOf(f.name) === 'tf')
+            .flatMap(f => parseTerraform(f.content).map(block => ({ file: f.name, block }))),
+        manifests: manifests.flatMap(({ file, documents }) => documents.map(({ value, line }) => ({ file, value, line }))),
+        infrastructure,
+        contentOf: (file) => text.find(f => f.name === file)?.content || '',
+        // The asset a Terraform address (`aws_s3_bucket.uploads`) was extracted as.
+        assetFor: (address) => assets.get(address),
+        // The single asset declared in a file, for findings that are only tied to a file.
+        assetIn: (file) => {
+            const declared = [...new Set(infrastructure.resources.filter(r => r.file === file && r.asset).map(r => r.asset))];
+            return declared.length === 1 ? declared[0] : null;
+        },
+    };
+};
+
+// Runs every rule over the uploaded files and returns the hits as threats,
+// ordered by file and line. A rule that throws is logged and skipped.
+export const runRules = async (files, { infrastructure, rules = RULES } = {}) => {
+    const context = await buildContext(files, infrastructure || await extractInfrastructure(files));
+    return rules
+        .flatMap(rule => {
+            try {
+                return rule.check(context).map(finding => ({ rule, finding }));
+            } catch (e) {
+                console.error(`Rule ${rule.id} failed:`, e);
+                return [];
+            }
+        })
+        .sort((a, b) => a.finding.file.localeCompare(b.finding.file) || a.finding.line - b.finding.line)
+        .map(({ rule, finding }) => ({
+            category: rule.category,
+            threat: finding.message,
+            severity: finding.severity || rule.severity,
+            component: finding.component,
+            cwe: rule.cwe || [],
+            capec: rule.capec || [],
+            attack: rule.attack || [],
+            asvs: rule.asvs || [],
+            nist: rule.nist || [],
+            iso27001: rule.iso27001 || [],
+            mitigation: rule.mitigation,
+            codeSnippet: rule.codeSnippet,
+            source: 'rule',
+            ruleId: rule.id,
+            location: { file: finding.file, line: finding.line },
+        }));
+};
+
+export const isRuleFinding = (threat) => threat.source === 'rule';
@@ -0,0 +1,55 @@
+// --- SCHEMA VALIDATION ---
+// Checks a value against the Gemini-style response schema the analysis engine
+// already sends to providers (OBJECT / ARRAY / STRING / BOOLEAN / NUMBER with
+// `enum`, `required`, `minimum` and `maximum`). Returns readable messages with the path to each
+// problem, e.g. `threats[2].severity: "Severe" is not one of Critical, High,
+// Medium, Low`. Properties the schema does not mention are allowed.
+
+const describe = (value) => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+const typeOf = (value) => {
+    if (Array.isArray(value)) return 'ARRAY';
+    if (value === null) return 'NULL';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'INTEGER' : 'NUMBER';
+    return (typeof value).toUpperCase();
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    if (type === 'NUMBER') return actual === 'NUMBER' || actual === 'INTEGER';
+    return actual === type;
+};
+
+const TYPE_NAMES = { OBJECT: 'an object', ARRAY: 'a list', STRING: 'text', BOOLEAN: 'true or false', NUMBER: 'a number', INTEGER: 'a whole number' };
+
+export const validateSchema = (value, schema, path = '') => {
+    const at = path || 'value';
+    if (!matchesType(value, schema.type)) {
+        return [`${at}: expected ${TYPE_NAMES[schema.type] || schema.type.toLowerCase()}, got ${describe(value)}`];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${at}: ${describe(value)} is not one of ${schema.enum.join(', ')}`];
+    }
+
+    if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+        return [`${at}: ${describe(value)} is not between ${schema.minimum ?? '-∞'} and ${schema.maximum ?? '∞'}`];
+    }
+
+    if (schema.type === 'ARRAY' && schema.items) {
+        return value.flatMap((item, i) => validateSchema(item, schema.items, `${path}[${i}]`));
+    }
+
+    if (schema.type === 'OBJECT') {
+        const errors = (schema.required || [])
+            .filter(key => value[key] === undefined)
+            .map(key => `${path ? `${path}.` : ''}${key}: is missing`);
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] === undefined) return;
+            errors.push(...validateSchema(value[key], propertySchema, path ? `${path}.${key}` : key));
+        });
+        return errors;
+    }
+
+    return [];
+};
@@ -0,0 +1,154 @@
+import { scoreThreat } from './riskScoring';
+import { THREAT_STATUSES } from './threatLifecycle';
+import { ALL_REFERENCE_TYPES, referencesOf } from './threatReferences';
+
+// --- THREAT TABLE VIEW ---
+// The dashboard's search, filters, sort order and grouping, kept in the query
+// string so that a filtered view can be bookmarked or shared. A view is
+// `{ q, severity, category, component, cwe, sort, dir, group, collapsed }`:
+// a threat is shown when it contains every word of `q` and has one of the
+// chosen values of each filter that has any, and `collapsed` lists the groups
+// that are folded away.
+
+export const SEVERITIES = ['Critical', 'High', 'Medium', 'Low'];
+
+// Older saves and imported models can lack a category or component.
+export const UNSPECIFIED = 'Unspecified';
+
+export const FILTERS = [
+    // Models saved before answers were validated can lack a severity.
+    { id: 'severity', label: 'Severity', values: (t) => [t.severity || 'Unrated'] },
+    { id: 'category', label: 'Category', values: (t) => [t.category || UNSPECIFIED] },
+    { id: 'component', label: 'Component', values: (t) => [t.component || UNSPECIFIED] },
+    // 'none' stands for threats that cite no CWE.
+    { id: 'cwe', label: 'CWE', values: (t) => (referencesOf(t, 'cwe').length > 0 ? referencesOf(t, 'cwe') : ['none']) },
+];
+
+export const GROUP_OPTIONS = {
+    methodology: 'Methodology',
+    category: 'Category',
+    component: 'Component',
+    cwe: 'CWE',
+    none: 'Nothing',
+};
+
+// Unrated threats rank below Low.
+const severityRank = (severity) => (SEVERITIES.includes(severity) ? SEVERITIES.indexOf(severity) : SEVERITIES.length);
+
+const byText = (get) => (a, b) => String(get(a) || '').localeCompare(String(get(b) || ''), undefined, { sensitivity: 'base' });
+
+// `first` is the direction of the first click. Threats without an owner or a
+// due date sort last in either direction.
+export const SORT_COLUMNS = {
+    severity: { first: 'desc', compare: (a, b) => severityRank(b.severity) - severityRank(a.severity) },
+    score: { first: 'desc', compare: (a, b) => scoreThreat(a).score - scoreThreat(b).score },
+    category: { first: 'asc', compare: byText(t => t.category) },
+    threat: { first: 'asc', compare: byText(t => t.threat) },
+    component: { first: 'asc', compare: byText(t => t.component) },
+    status: { first: 'asc', compare: (a, b) => THREAT_STATUSES.indexOf(a.status) - THREAT_STATUSES.indexOf(b.status) },
+    owner: { first: 'asc', compare: byText(t => t.owner), missing: (t) => !t.owner },
+    dueDate: { first: 'asc', compare: byText(t => t.dueDate), missing: (t) => !t.dueDate },
+};
+
+export const DEFAULT_VIEW = {
+    q: '',
+    severity: [],
+    category: [],
+    component: [],
+    cwe: [],
+    sort: 'score',
+    dir: 'desc',
+    group: 'methodology',
+    collapsed: [],
+};
+
+const LIST_KEYS = [...FILTERS.map(f => f.id), 'collapsed'];
+
+export const isFiltered = (view) => Boolean(view.q.trim()) || FILTERS.some(f => view[f.id].length > 0);
+
+export const clearFilters = (view) => ({ ...view, q: '', ...Object.fromEntries(FILTERS.map(f => [f.id, []])) });
+
+// Clicking the sorted column reverses it; another column starts in its natural direction.
+export const toggleSort = (view, sort) => ({
+    ...view,
+    sort,
+    dir: view.sort === sort ? (view.dir === 'asc' ? 'desc' : 'asc') : SORT_COLUMNS[sort].first,
+});
+
+const searchText = (threat) => [
+    threat.threat, threat.category, threat.component, threat.mitigation, threat.status, threat.owner, threat.ruleId,
+    ...ALL_REFERENCE_TYPES.flatMap(type => referencesOf(threat, type.id)),
+].filter(Boolean).join(' ').toLowerCase();
+
+export const matchesSearch = (threat, q) => {
+    const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return true;
+    const text = searchText(threat);
+    return terms.every(term => text.includes(term));
+};
+
+export const filterThreats = (threats, view) => threats.filter(threat => (
+    matchesSearch(threat, view.q)
+    && FILTERS.every(f => view[f.id].length === 0 || f.values(threat).some(value => view[f.id].includes(value)))
+));
+
+// Returns a sorted copy; ties keep the riskiest threat first.
+export const sortThreats = (threats, view) => {
+    const { compare, missing } = SORT_COLUMNS[view.sort] || SORT_COLUMNS.score;
+    const sign = view.dir === 'asc' ? 1 : -1;
+    return [...threats].sort((a, b) => {
+        if (missing && missing(a) !== missing(b)) return missing(a) ? 1 : -1;
+        return sign * compare(a, b) || scoreThreat(b).score - scoreThreat(a).score;
+    });
+};
+
+// `[{ value, count }]` for each filter, from the threats themselves so that
+// only values that would match something are offered.
+export const filterOptions = (threats) => Object.fromEntries(FILTERS.map(f => {
+    const counts = new Map();
+    threats.forEach(t => new Set(f.values(t)).forEach(value => counts.set(value, (counts.get(value) || 0) + 1)));
+    const values = [...counts.keys()];
+    if (f.id === 'severity') values.sort((a, b) => severityRank(a) - severityRank(b));
+    else values.sort((a, b) => (a === 'none') - (b === 'none') || a.localeCompare(b, undefined, { numeric: true }));
+    return [f.id, values.map(value => ({ value, count: counts.get(value) }))];
+}));
+
+// `[{ value, threats }]` by category or component, in the order the threats come in.
+export const groupThreatsBy = (threats, key) => {
+    const groups = new Map();
+    threats.forEach(t => {
+        const value = t[key] || UNSPECIFIED;
+        if (!groups.has(value)) groups.set(value, []);
+        groups.get(value).push(t);
+    });
+    return [...groups].map(([value, grouped]) => ({ value, threats: grouped }));
+};
+
+// --- Query string ---
+
+// Unknown parameters and values are ignored, so an old or hand-edited link still opens.
+export const parseView = (search) => {
+    const params = new URLSearchParams(search);
+    const view = { ...DEFAULT_VIEW, q: params.get('q') || '' };
+    LIST_KEYS.forEach(key => { view[key] = params.getAll(key).filter(Boolean); });
+    if (Object.hasOwn(SORT_COLUMNS, params.get('sort'))) view.sort = params.get('sort');
+    if (['asc', 'desc'].includes(params.get('dir'))) view.dir = params.get('dir');
+    if (Object.hasOwn(GROUP_OPTIONS, params.get('group'))) view.group = params.get('group');
+    return view;
+};
+
+// The view as a query string, leaving out what is at its default; `extra`
+// parameters come first.
+export const viewSearch = (view, extra = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(extra).forEach(([key, value]) => { if (value) params.set(key, value); });
+    if (view.q) params.set('q', view.q);
+    LIST_KEYS.forEach(key => view[key].forEach(value => params.append(key, value)));
+    if (view.sort !== DEFAULT_VIEW.sort || view.dir !== DEFAULT_VIEW.dir) {
+        params.set('sort', view.sort);
+        params.set('dir', view.dir);
+    }
+    if (view.group !== DEFAULT_VIEW.group) params.set('group', view.group);
+    const text = params.toString();
+    return text ? `?${text}` : '';
+};
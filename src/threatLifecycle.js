@@ -0,0 +1,77 @@
+import { matchThreats } from './analysisDiff';
+import { scoreThreat } from './riskScoring';
+
+// --- THREAT LIFECYCLE ---
+// Every threat carries a status, an owner, a due date and a comment thread.
+// Open and In Progress threats still carry risk; every other status counts as
+// resolved. Risk points are the threats' 0-10 risk scores (riskScoring.js)
+// added up, so one open Critical outweighs a couple of open Lows.
+
+export const THREAT_STATUSES = ['Open', 'In Progress', 'Mitigated', 'Accepted', 'False Positive', 'Transferred'];
+export const RESOLVED_STATUSES = ['Mitigated', 'Accepted', 'False Positive', 'Transferred'];
+
+export const isResolved = (threat) => RESOLVED_STATUSES.includes(threat.status);
+
+export const withLifecycleDefaults = (threat) => ({
+    status: 'Open',
+    owner: '',
+    dueDate: '',
+    comments: [],
+    ...threat,
+});
+
+const LIFECYCLE_FIELDS = ['status', 'owner', 'dueDate', 'comments'];
+
+// A re-analysis rebuilds every threat. The triage recorded on the previous run
+// carries over to the new threats that match it (see matchThreats), so it is
+// not lost whenever the model is re-run.
+export const carryOverLifecycle = (previousThreats, threats) => {
+    const previousOf = new Map(matchThreats(previousThreats, threats).pairs.map(({ older, newer }) => [newer, older]));
+    return threats.map(threat => {
+        const previous = previousOf.get(threat);
+        return previous ? { ...threat, ...Object.fromEntries(LIFECYCLE_FIELDS.map(field => [field, previous[field]])) } : threat;
+    });
+};
+
+export const isOverdue = (threat, today = new Date().toISOString().slice(0, 10)) => (
+    Boolean(threat.dueDate) && !isResolved(threat) && threat.dueDate < today
+);
+
+export const riskSummary = (threats) => {
+    const summary = threats.reduce((acc, threat) => {
+        const bucket = isResolved(threat) ? 'resolved' : 'open';
+        acc[bucket].count++;
+        acc[bucket].risk += scoreThreat(threat).score;
+        if (isOverdue(threat)) acc.overdue++;
+        return acc;
+    }, { open: { count: 0, risk: 0 }, resolved: { count: 0, risk: 0 }, overdue: 0 });
+    // Scores have one decimal; the sums should too.
+    summary.open.risk = Math.round(summary.open.risk * 10) / 10;
+    summary.resolved.risk = Math.round(summary.resolved.risk * 10) / 10;
+    return summary;
+};
+
+export const newComment = ({ author, text, kind = 'comment' }) => ({
+    id: crypto.randomUUID(),
+    author: author || 'Anonymous',
+    text,
+    kind,
+    createdAt: new Date().toISOString(),
+});
+
+// Applies a status change and records it in the thread; accepting a risk
+// requires a written justification.
+export const changeStatus = (threat, status, { author, justification } = {}) => {
+    if (status === threat.status) return threat;
+    if (status === 'Accepted' && !justification?.trim()) {
+        throw new Error('Accepting a risk requires a justification.');
+    }
+    const comments = [...threat.comments, newComment({ author, kind: 'status', text: `Status changed from ${threat.status} to ${status}.` })];
+    if (justification?.trim()) comments.push(newComment({ author, kind: 'justification', text: justification.trim() }));
+    return { ...threat, status, comments };
+};
+
+const AUTHOR_STORAGE_KEY = 'threatModel.commentAuthor';
+
+export const loadCommentAuthor = () => localStorage.getItem(AUTHOR_STORAGE_KEY) || '';
+export const saveCommentAuthor = (author) => localStorage.setItem(AUTHOR_STORAGE_KEY, author);
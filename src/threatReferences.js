@@ -0,0 +1,104 @@
+import { CONTROL_FRAMEWORKS } from './complianceControls';
+import { ATTACK_TECHNIQUES, CAPEC_PATTERNS, CWE_WEAKNESSES } from './referenceCatalogs';
+
+// --- THREAT REFERENCES ---
+// Threats can cite CWE weaknesses, CAPEC attack patterns and MITRE ATT&CK
+// techniques, so that auditors can trace them to something outside the model.
+// They are stored on the threat as lists of ids (`cwe`, `capec`, `attack`).
+// Models do make ids up, so every id is looked up in the bundled catalogs
+// (referenceCatalogs.js); one that is not there is kept but shown as
+// unverified. The compliance controls a mitigation is mapped to
+// (complianceControls.js) are ids of the same kind and are handled here too.
+
+export const REFERENCE_TYPES = [
+    {
+        id: 'cwe',
+        label: 'CWE',
+        example: 'CWE-89',
+        catalog: CWE_WEAKNESSES,
+        parse: (text) => text.match(/^(?:CWE)?[\s_-]*0*(\d+)$/i)?.slice(1),
+        format: ([number]) => `CWE-${number}`,
+        url: (id) => `https://cwe.mitre.org/data/definitions/${id.slice('CWE-'.length)}.html`,
+    },
+    {
+        id: 'capec',
+        label: 'CAPEC',
+        example: 'CAPEC-66',
+        catalog: CAPEC_PATTERNS,
+        parse: (text) => text.match(/^(?:CAPEC)?[\s_-]*0*(\d+)$/i)?.slice(1),
+        format: ([number]) => `CAPEC-${number}`,
+        url: (id) => `https://capec.mitre.org/data/definitions/${id.slice('CAPEC-'.length)}.html`,
+    },
+    {
+        id: 'attack',
+        label: 'ATT&CK',
+        example: 'T1190',
+        catalog: ATTACK_TECHNIQUES,
+        parse: (text) => text.match(/^T(\d{4})(?:[./](\d{3}))?$/i)?.slice(1),
+        format: ([technique, sub]) => `T${technique}${sub ? `.${sub}` : ''}`,
+        url: (id) => `https://attack.mitre.org/techniques/${id.replace('.', '/')}/`,
+    },
+];
+
+// Threat references and compliance controls, for everything that treats them alike.
+export const ALL_REFERENCE_TYPES = [...REFERENCE_TYPES, ...CONTROL_FRAMEWORKS];
+
+const typeOf = (type) => ALL_REFERENCE_TYPES.find(t => t.id === type);
+
+// `cwe 89`, `89` and `CWE-089` all become `CWE-89`; null when the text is no id of that type.
+export const normalizeReference = (type, text) => {
+    const { parse, format } = typeOf(type);
+    const parts = parse(String(text).trim());
+    return parts ? format(parts) : null;
+};
+
+// `{ id, name, url, known, wellFormed }`. Ids that are malformed have neither
+// name nor url; controls have no url, as not every framework is published openly.
+export const describeReference = (type, text) => {
+    const { catalog, url, base } = typeOf(type);
+    const id = normalizeReference(type, text);
+    if (!id) return { id: String(text), name: null, url: null, known: false, wellFormed: false };
+    const key = base ? base(id) : id;
+    return { id, name: catalog[key] || null, url: url ? url(id) : null, known: key in catalog, wellFormed: true };
+};
+
+export const referencesOf = (threat, type) => (Array.isArray(threat[type]) ? threat[type] : []);
+
+export const hasReferences = (threat) => REFERENCE_TYPES.some(t => referencesOf(threat, t.id).length > 0);
+
+// Normalizes the ids a threat cites, dropping duplicates. Malformed ids are
+// kept as written so that they can still be shown, and flagged.
+export const withReferences = (threat) => {
+    const normalized = {};
+    ALL_REFERENCE_TYPES.forEach(({ id }) => {
+        if (!Array.isArray(threat[id])) return;
+        normalized[id] = [...new Set(threat[id].map(text => normalizeReference(id, text) || String(text)))];
+    });
+    return { ...threat, ...normalized };
+};
+
+// The ids a threat cites or maps its mitigation to that are malformed or
+// missing from the catalogs, as `{ type, label, ...describeReference }`.
+export const unverifiedReferences = (threat) => ALL_REFERENCE_TYPES.flatMap(({ id: type, label }) => (
+    referencesOf(threat, type)
+        .map(text => ({ type, label, ...describeReference(type, text) }))
+        .filter(reference => !reference.known)
+));
+
+// `[{ reference, threats }]` per id of `type` that the threats cite, in the
+// order the threats come in, and `reference: null` for the threats citing none.
+// A threat citing several ids appears under each of them.
+export const groupByReference = (threats, type) => {
+    const groups = new Map();
+    const none = [];
+    threats.forEach(threat => {
+        const ids = referencesOf(threat, type);
+        if (ids.length === 0) none.push(threat);
+        ids.forEach(text => {
+            const reference = describeReference(type, text);
+            if (!groups.has(reference.id)) groups.set(reference.id, { reference, threats: [] });
+            groups.get(reference.id).threats.push(threat);
+        });
+    });
+    return [...groups.values(), ...(none.length > 0 ? [{ reference: null, threats: none }] : [])];
+};
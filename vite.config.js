@@ -1,7 +1,15 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// The analysis proxy (server/index.js) owns the LLM API keys and listens on
+// loopback by default.
+const apiProxy = {
+  '/api': `http://127.0.0.1:${process.env.API_PORT || 8787}`,
+}
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: { proxy: apiProxy },
+  preview: { proxy: apiProxy },
 })